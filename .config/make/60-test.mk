@@ -128,6 +128,10 @@ test-lint:
 ##
 # Run the project's unit and integration tests.
 #
+# The Node.js test runner runs each `*.test.js` file in the workflow tests.
+#
 test-unit:
-	# TEMPLATE TODO
-	$(call _debug, No unit tests have been defined.)
+	$(call _header, Running unit tests)
+
+	cd .github/workflows/tests
+	node --test
@@ -51,6 +51,21 @@ module.exports = class ActionContext {
    */
   static exec;
 
+  /**
+   * Whether this is a dry run, which logs mutations to the GitHub GraphQL API instead of sending them.
+   *
+   * Queries still send as usual. Enable dry runs by setting the `DRY_RUN` environment variable, or the `dry-run` input
+   * of a `workflow_dispatch` event, to `true`.
+   *
+   * @see GraphQLClient.request
+   *
+   * @type {Boolean}
+   *
+   * @public
+   * @static
+   */
+  static dryRun = false;
+
   /**
    * A reference to the `node-fetch` package.
    *
@@ -138,5 +153,24 @@ module.exports = class ActionContext {
     ActionContext.io = io;
     ActionContext.exec = exec;
     ActionContext.fetch = fetch;
+
+    ActionContext.dryRun = ActionContext._isDryRun(context);
+  }
+
+  /**
+   * Whether the environment, or the inputs of the event that triggered the run, request a dry run.
+   *
+   * @param {context} context - an object containing the context of the workflow run
+   *
+   * @returns {Boolean}
+   *
+   * @protected
+   * @static
+   */
+  static _isDryRun(context) {
+    const inputs = context && context.payload && context.payload.inputs ? context.payload.inputs : {};
+    const value = "DRY_RUN" in process.env ? process.env.DRY_RUN : inputs["dry-run"];
+
+    return ["true", "1", "yes"].includes(String(value).trim().toLowerCase());
   }
 };
@@ -1,6 +1,7 @@
 const ActionContext = require("../ActionContext");
 const Constants = require("../Constants");
 const Issue = require("../GitHub/Issue");
+const User = require("../GitHub/User");
 const WorkflowAbstract = require("../WorkflowAbstract");
 
 /**
@@ -26,19 +27,20 @@ module.exports = class OnIssues extends WorkflowAbstract {
     this._debugCall("handleUserAssigned", arguments);
 
     const issue = new Issue(ActionContext.context.issue.number);
+    const assignee = new User(ActionContext.context.payload.assignee.login);
 
-    // // Remove the `Help Wanted` Label
-    // this._eCore.startGroup(
-    //   "Removing 'Help Wanted' Label from Issue " +
-    //     `${ActionContext.context.repo.owner}/${ActionContext.context.repo.repo} #${issue.number}`,
-    // );
+    this._eCore.info(`User \`${assignee.login}\` assigned to Issue #${issue.number}.`);
 
-    // await issue.removeLabels([
-    //   "Help Wanted",
-    // ]);
+    // Remove the `Help Wanted` Label
+    this._eCore.startGroup(
+      "Removing 'Help Wanted' Label from Issue " +
+        `${ActionContext.context.repo.owner}/${ActionContext.context.repo.repo} #${issue.number}`,
+    );
 
-    // this._eCore.info("`Help Wanted` Label removed.");
-    // this._eCore.endGroup();
+    await issue.removeLabels(["Help Wanted"]);
+
+    this._eCore.info("`Help Wanted` Label removed.");
+    this._eCore.endGroup();
 
     // // If the `Needs Triage` Label is still on the Issue, comment a warning
     // this._eCore.startGroup(`Checking for 'Needs Triage' Label on Issue #${issue.number}`);
@@ -61,9 +63,9 @@ module.exports = class OnIssues extends WorkflowAbstract {
     //     return await issue.addWarning(
     //       this._eCore.shrinkWhitespace(`
     //         A Contributor assignment was just made, however, this Issue is still marked as being in
-    //         [Triage](${Constants.URL.CONTRIBUTING}#issue-triage). Issued marked as needing triage can't undergo
-    //         approval. There is no responsibility for Project Maintainers to accept any work performed on non-triaged
-    //         issues.
+    //         [Triage](${(await Constants.URL).CONTRIBUTING}#issue-triage). Issued marked as needing triage can't
+    //         undergo approval. There is no responsibility for Project Maintainers to accept any work performed on
+    //         non-triaged issues.
 
     //         A Project Maintainer needs to triage this issue or inform the Contributor on whether to halt progress.
 
@@ -1,4 +1,4 @@
-const ActionContext = require("./ActionContext");
+const Repository = require("./GitHub/Repository");
 
 /**
  * Constants.
@@ -6,15 +6,38 @@ const ActionContext = require("./ActionContext");
  * @classdesc
  * Provides constant data used in various parts of the automation pipeline.
  *
+ * Values about the Repository the automation runs in resolve through it, once the action context is initialized:
+ *
+ * ```js
+ * const contributing = (await Constants.URL).CONTRIBUTING;
+ * ```
+ *
  * @author Andrew Vaughan <hello@andrewvaughan.io>
  * @license MIT
  *
  * @class
  */
 module.exports = class Constants {
-  static REPO_BASE_URL = `${ActionContext.context.serverUrl}/${ActionContext.context.repo.owner}/${ActionContext.context.repo.repo}`;
+  /**
+   * The URL of the Repository the automation runs in.
+   *
+   * @public @static @async @type {Promise<String>}
+   */
+  static get REPO_BASE_URL() {
+    return Promise.resolve(new Repository().url);
+  }
+
+  /**
+   * Links to pages of the Repository the automation runs in, on its default branch.
+   *
+   * @public @static @async @type {Promise<Object<String, String>>}
+   */
+  static get URL() {
+    // Empty Repositories have no default branch, so link to whichever becomes it
+    const branch = Promise.resolve(new Repository().defaultBranchRef).then((ref) => (ref ? ref.name : "HEAD"));
 
-  static URL = {
-    CONTRIBUTING: `${Constants.REPO_BASE_URL}/blob/main/.github/CONTRIBUTING.md`,
-  };
+    return Promise.all([Constants.REPO_BASE_URL, branch]).then(([base, name]) => ({
+      CONTRIBUTING: `${base}/blob/${name}/.github/CONTRIBUTING.md`,
+    }));
+  }
 };
@@ -424,9 +424,31 @@ class EnhancedCore {
       levelName = `${lvlANSI}[${levelName}]${EnhancedCore.ANSI.RESET} `;
     }
 
-    // If the message isn't a String, convert it
+    // If the message isn't a String, convert it, marking any object that contains itself (e.g., models related both
+    // ways). Only the objects containing the current value count, so the same object may still show more than once.
     if (typeof message !== "string" && !(message instanceof String)) {
-      message = JSON.stringify(message, null, 2).split("\n");
+      const ancestors = [];
+
+      message = JSON.stringify(
+        message,
+        function (key, value) {
+          // Each value's holder is `this`, so any ancestor deeper than it has already been converted
+          while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+            ancestors.pop();
+          }
+
+          if (value && typeof value === "object") {
+            if (ancestors.includes(value)) {
+              return "[Circular]";
+            }
+
+            ancestors.push(value);
+          }
+
+          return value;
+        },
+        2,
+      ).split("\n");
     }
 
     // If the message still isn't an array, convert it
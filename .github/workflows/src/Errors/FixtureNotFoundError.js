@@ -0,0 +1,36 @@
+/**
+ * FixtureNotFoundError.
+ *
+ * @classdesc
+ * Error raised when replaying GraphQL fixtures and a request doesn't match any recorded request.
+ *
+ * @see GraphQLFixtures
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends Error
+ */
+module.exports = class FixtureNotFoundError extends Error {
+  /**
+   * A line diff between the next expected request and the request made, or `undefined` if none were expected.
+   *
+   * @public @readonly @type {String|undefined}
+   */
+  diff;
+
+  /**
+   * Create a FixtureNotFoundError.
+   *
+   * @param {String} message - the error message
+   * @param {String} [diff=undefined] - a line diff between the next expected request and the request made
+   *
+   * @public @constructor
+   */
+  constructor(message, diff = undefined) {
+    super(diff ? `${message}\n\n${diff}` : message);
+
+    this.name = this.constructor.name;
+    this.diff = diff;
+  }
+};
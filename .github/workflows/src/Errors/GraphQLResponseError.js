@@ -0,0 +1,103 @@
+/**
+ * GraphQLResponseError.
+ *
+ * @classdesc
+ * Error raised when a call to the GitHub GraphQL API fails or returns an unexpected response. More specific failures
+ * raise one of the subclasses of this error, so callers can catch and recover from them individually.
+ *
+ * @example
+ * ```js
+ * try {
+ *   await issue.addLabels("Needs Triage");
+ * } catch (error) {
+ *   if (!(error instanceof NotFoundError)) {
+ *     throw error;
+ *   }
+ *
+ *   // Recover from the missing Label...
+ * }
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/graphql/overview/about-the-graphql-api}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends Error
+ */
+module.exports = class GraphQLResponseError extends Error {
+  /**
+   * The name of the query or mutation that failed, if named.
+   *
+   * @public @readonly @type {String|undefined}
+   */
+  queryName;
+
+  /**
+   * The variables sent with the query or mutation.
+   *
+   * @public @readonly @type {Object<String, *>}
+   */
+  variables;
+
+  /**
+   * The error type GitHub returned (e.g., `NOT_FOUND`), if any.
+   *
+   * @public @readonly @type {String|undefined}
+   */
+  type;
+
+  /**
+   * The path in the response where the error occurred, if known.
+   *
+   * @public @readonly @type {Array<String|Number>|undefined}
+   */
+  path;
+
+  /**
+   * The HTTP status of the response, if known.
+   *
+   * @public @readonly @type {Number|undefined}
+   */
+  status;
+
+  /**
+   * Every error GitHub returned in the response.
+   *
+   * @public @readonly @type {Object<String, *>[]}
+   */
+  errors;
+
+  /**
+   * Any partial data GitHub returned alongside the errors.
+   *
+   * @public @readonly @type {Object<String, *>|undefined}
+   */
+  data;
+
+  /**
+   * Create a GraphQLResponseError.
+   *
+   * @param {String} message - the error message
+   * @param {Object<String, *>} [details={}] - the `query`, `variables`, `type`, `path`, `status`, `errors`, `data`,
+   *   and `cause` of the error, where known
+   *
+   * @public @constructor
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+
+    this.name = this.constructor.name;
+
+    const name = details.query ? /^\s*(?:query|mutation)\s+(\w+)/.exec(details.query) : null;
+
+    this.queryName = name ? name[1] : undefined;
+    this.variables = details.variables ? details.variables : {};
+    this.type = details.type;
+    this.path = details.path;
+    this.status = details.status;
+    this.errors = details.errors ? details.errors : [];
+    this.data = details.data;
+  }
+};
@@ -0,0 +1,17 @@
+const GraphQLResponseError = require("./GraphQLResponseError");
+
+/**
+ * NotFoundError.
+ *
+ * @classdesc
+ * Error raised when the requested object doesn't exist in GitHub, or isn't visible with the current token.
+ *
+ * @see {@link https://docs.github.com/en/graphql/overview/about-the-graphql-api}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLResponseError
+ */
+module.exports = class NotFoundError extends GraphQLResponseError {};
@@ -0,0 +1,17 @@
+const GraphQLResponseError = require("./GraphQLResponseError");
+
+/**
+ * PermissionDeniedError.
+ *
+ * @classdesc
+ * Error raised when the current token doesn't have permission, or the required scopes, to perform a call.
+ *
+ * @see {@link https://docs.github.com/en/graphql/overview/about-the-graphql-api}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLResponseError
+ */
+module.exports = class PermissionDeniedError extends GraphQLResponseError {};
@@ -0,0 +1,17 @@
+const GraphQLResponseError = require("./GraphQLResponseError");
+
+/**
+ * RateLimitedError.
+ *
+ * @classdesc
+ * Error raised when GitHub rate limits a call and the rate limit doesn't reset within the allowed wait.
+ *
+ * @see {@link https://docs.github.com/en/graphql/overview/about-the-graphql-api}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLResponseError
+ */
+module.exports = class RateLimitedError extends GraphQLResponseError {};
@@ -0,0 +1,17 @@
+const GraphQLResponseError = require("./GraphQLResponseError");
+
+/**
+ * ValidationError.
+ *
+ * @classdesc
+ * Error raised when GitHub rejects a query or mutation as invalid, such as an unknown field or bad argument.
+ *
+ * @see {@link https://docs.github.com/en/graphql/overview/about-the-graphql-api}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLResponseError
+ */
+module.exports = class ValidationError extends GraphQLResponseError {};
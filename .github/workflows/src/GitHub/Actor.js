@@ -0,0 +1,237 @@
+const EnhancedCore = require("../EnhancedCore");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLBatcher = require("./GraphQLBatcher");
+
+/**
+ * Actor.
+ *
+ * @classdesc
+ * Manages various actions on GitHub Actors via GraphQL API. This is an Interface for anything that can take actions on
+ * GitHub, such as a User, Bot, or Organization.
+ *
+ * Actors build as the subclass named after their type, where one exists (e.g., {@link User}). Every kind of Actor has
+ * its `login` and `type`:
+ *
+ * ```js
+ * const author = await new Issue(42).author;
+ *
+ * console.log(`Opened by ${author.login} (${author.type}) at ${await author.url}`);
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/interfaces#actor}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class Actor extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    avatarUrl: Field.scalar("URI", { nullable: false }),
+    login: Field.scalar("String", { nullable: false }),
+    resourcePath: Field.scalar("URI", { nullable: false }),
+    url: Field.scalar("URI", { nullable: false }),
+  };
+
+  /**
+   * @inheritdoc
+   */
+  static _MEMBER_TYPES = ["Bot", "User"];
+
+  /**
+   * The Actor's login.
+   *
+   * @public @readonly @type {String}
+   */
+  login;
+
+  /**
+   * The GraphQL type of the Actor (e.g., `User`, `Bot`, or `Organization`).
+   *
+   * @public @readonly @type {String}
+   */
+  type;
+
+  /**
+   * Create an Actor.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {String} login - the Actor's login
+   * @param {String} [type=undefined] - the GraphQL type of the Actor, defaulting to the type of this class
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor(login, type = undefined) {
+    super(login);
+
+    this._debugCall("constructor", arguments);
+
+    // Setting via reflection avoids the special setter override
+    this.login = login;
+    this.type = type ? type : this.constructor._getGraphQLType();
+
+    this._eCore.debug(`New ${this.constructor.name}(login: ${this.login}, type: ${this.type})`);
+
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE, field = undefined) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(
+      this.name,
+      "create",
+      { caller: caller.constructor.name, pageSize: pageSize, field: field },
+      false,
+      logger,
+    );
+
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    /**
+     * Issue or PullRequest.
+     */
+    if (
+      ["Issue", "PullRequest"].includes(caller.constructor.name) &&
+      ["author", "editor", "mergedBy"].includes(field)
+    ) {
+      const container = ["repository", caller.constructor._getRepositoryField()];
+
+      const query = `query GetActorBy${caller.constructor.name}($owner: String!, $repository: String!, $number: Int!) {
+        repository(owner: $owner, name: $repository) {
+          ${container[1]}(number: $number) {
+            ${field} {
+              ${this._getObjectSelection()}
+            }
+          }
+        }
+      }`;
+
+      const map = {
+        owner: caller.repository.owner,
+        repository: caller.repository.name,
+        number: caller.number,
+      };
+
+      return GraphQLBatcher.load(query, map).then((response) => {
+        // Issues without an editor, or whose author's account was deleted, have no Actor
+        const data = this._getContainer(response, container, query, map)[field];
+
+        return data ? this._build(data) : null;
+      });
+    }
+
+    /**
+     * Anything else with a node ID and an Actor, such as a Comment.
+     */
+    if ("id" in caller.constructor._fields && ["author", "editor"].includes(field)) {
+      const query = `query GetActorByNode($nodeID: ID!) {
+        node(id: $nodeID) {
+          ... on ${caller.constructor._getGraphQLType()} {
+            ${field} {
+              ${this._getObjectSelection()}
+            }
+          }
+        }
+      }`;
+
+      return Promise.resolve(caller.id).then(async (nodeID) => {
+        const map = { nodeID: nodeID };
+        const response = await GraphQLBatcher.load(query, map);
+        const data = this._getContainer(response, ["node"], query, map)[field];
+
+        return data ? this._build(data) : null;
+      });
+    }
+
+    throw new NotImplementedError(
+      `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`` +
+        (field ? ` for \`${field}\`.` : "."),
+    );
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * Data with a `__typename` builds as the subclass for that type, where one exists.
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    const cls = this._getBuildClass(data);
+
+    if (cls !== this) {
+      logger.debug(`Building the \`${data.__typename}\` Actor...`);
+      return cls._build(data, ignoreAdditional);
+    }
+
+    if (!("login" in data)) {
+      throw new ReferenceError(`Missing required ${this.name} field: \`login\``);
+    }
+
+    const actor = new this(data.login, data.__typename);
+
+    // Hydrate directly to not trigger a GitHub update on the setter
+    return actor._hydrate(data, ignoreAdditional);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getIdentityKeys() {
+    return [`${this.type}:${this.login}`.toLowerCase()];
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * Actors without a node ID load by their login, which only Users and Organizations can do.
+   */
+  _getGraphQLQuery() {
+    this._debugCall("_getGraphQLQuery", arguments);
+
+    if (this._cache.id) {
+      return super._getGraphQLQuery();
+    }
+
+    if (!["Actor", "Organization", "User"].includes(this.type)) {
+      throw new NotImplementedError(`Loading the ${this.type} \`${this.login}\` requires its node ID.`);
+    }
+
+    const query = `
+      query GetActorByLogin($login: String!) {
+        repositoryOwner(login: $login) {
+          ... on ${this.type} {
+            ${this.constructor._getPrimitiveFields().join(" ")}
+          }
+        }
+      }`;
+
+    const map = {
+      login: this.login,
+    };
+
+    const container = ["repositoryOwner"];
+
+    return [query, map, container];
+  }
+};
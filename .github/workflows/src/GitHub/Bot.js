@@ -0,0 +1,51 @@
+const Actor = require("./Actor");
+const Field = require("./Field");
+
+/**
+ * Bot.
+ *
+ * @classdesc
+ * Manages various actions on GitHub Bots, such as GitHub Apps acting on a Repository, via GraphQL API.
+ *
+ * Bots can't load by login, so they only load alongside the object they relate to, or by node ID.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#bot}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends Actor
+ */
+module.exports = class Bot extends Actor {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    ...Actor._fields,
+    createdAt: Field.scalar("DateTime", { nullable: false }),
+    databaseId: Field.scalar("Int"),
+    id: Field.scalar("ID", { nullable: false }),
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
+  };
+
+  /**
+   * Create a Bot.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {String} login - the Bot's login
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor(login) {
+    super(login);
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
+  }
+};
@@ -0,0 +1,376 @@
+const EnhancedCore = require("../EnhancedCore");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Actor = require("./Actor");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLClient = require("./GraphQLClient");
+const crypto = require("crypto");
+
+/**
+ * Comment.
+ *
+ * @classdesc
+ * Manages various actions on GitHub Issue and Pull Request comments via GraphQL API.
+ *
+ * Comments load through the Issue or Pull Request they're on, or as returned when adding them:
+ *
+ * ```js
+ * const comment = await issue.addComment("Working on it.");
+ *
+ * await comment.update("Done!");
+ * await comment.minimize("RESOLVED");
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#issuecomment}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class Comment extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    author: Field.object(Actor),
+    authorAssociation: Field.scalar("CommentAuthorAssociation", { nullable: false }),
+    body: Field.scalar("String", { nullable: false, mutation: "updateIssueComment" }),
+    bodyHTML: Field.scalar("HTML", { nullable: false }),
+    bodyText: Field.scalar("String", { nullable: false }),
+    createdAt: Field.scalar("DateTime", { nullable: false }),
+    createdViaEmail: Field.scalar("Boolean", { nullable: false }),
+    databaseId: Field.scalar("Int"),
+    editor: Field.object(Actor),
+    fullDatabaseId: Field.scalar("BigInt"),
+    id: Field.scalar("ID", { nullable: false }),
+    includesCreatedEdit: Field.scalar("Boolean", { nullable: false }),
+    isMinimized: Field.scalar("Boolean", { nullable: false }),
+    issue: Field.object(() => require("./Issue"), { nullable: false }),
+    lastEditedAt: Field.scalar("DateTime"),
+    minimizedReason: Field.scalar("String"),
+    publishedAt: Field.scalar("DateTime"),
+    pullRequest: Field.object(() => require("./PullRequest")),
+    // reactionGroups: ReactionGroup,
+    // reactions: Reaction,
+    // repository: Repository,
+    resourcePath: Field.scalar("URI", { nullable: false }),
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
+    url: Field.scalar("URI", { nullable: false }),
+    // userContentEdits: UserContentEdit,
+    viewerCanDelete: Field.scalar("Boolean", { nullable: false }),
+    viewerCanMinimize: Field.scalar("Boolean", { nullable: false }),
+    viewerCanReact: Field.scalar("Boolean", { nullable: false }),
+    viewerCanUpdate: Field.scalar("Boolean", { nullable: false }),
+    // viewerCannotUpdateReasons,   // TODO - Returns Array of Strings
+    viewerDidAuthor: Field.scalar("Boolean", { nullable: false }),
+  };
+
+  /**
+   * @inheritdoc
+   */
+  static _GRAPHQL_TYPE = "IssueComment";
+
+  /**
+   * The reasons a Comment can be minimized for, as accepted by {@link Comment#minimize}.
+   *
+   * @see {@link https://docs.github.com/en/graphql/reference/enums#reportedcontentclassifiers}
+   *
+   * @public @static @constant @type {String[]}
+   */
+  static MINIMIZE_REASONS = ["ABUSE", "DUPLICATE", "OFF_TOPIC", "OUTDATED", "RESOLVED", "SPAM"];
+
+  /**
+   * The pattern of the hidden marker identifying a Comment by key, capturing the key.
+   *
+   * @see Comment.getMarker
+   *
+   * @protected @static @constant @type {RegExp}
+   */
+  static _MARKER_PATTERN = /<!-- comment-key: (\S+) -->/;
+
+  /**
+   * Create a Comment.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "create", { caller: caller.constructor.name, pageSize: pageSize }, false, logger);
+
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    switch (caller.constructor.name) {
+      /**
+       * Issue or PullRequest.
+       */
+      case "Issue":
+      case "PullRequest":
+        return this._paginate(
+          `query GetCommentsBy${caller.constructor.name}(
+            $owner: String!, $repository: String!, $number: Int!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+          ) {
+            repository(owner: $owner, name: $repository) {
+              ${caller.constructor._getRepositoryField()}(number: $number) {
+                ${this._getConnectionSelection("comments", {}, [this._getNodeSelection()])}
+              }
+            }
+          }`,
+          {
+            owner: caller.repository.owner,
+            repository: caller.repository.name,
+            number: caller.number,
+          },
+          ["repository", caller.constructor._getRepositoryField(), "comments"],
+          undefined,
+          pageSize,
+        );
+    }
+
+    throw new NotImplementedError(
+      `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`.`,
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    const comment = new Comment();
+
+    // Hydrate directly to not trigger a GitHub update on the setter, using any existing instance of the comment
+    return comment._hydrate(data, ignoreAdditional);
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * The Issue, and any Pull Request, always load alongside the Comment, as there's no way to load them on their own.
+   */
+  static _getNodeSelection() {
+    const parent = "number repository { name owner { login } }";
+
+    return `${super._getNodeSelection()} issue { ${parent} } pullRequest { ${parent} }`;
+  }
+
+  // Markers -----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Return the hidden HTML marker that identifies a Comment by key, for embedding in its body.
+   *
+   * @param {String} key - the key, made of anything but whitespace and `--`
+   *
+   * @returns {String} the marker
+   *
+   * @throws {TypeError} if the key can't be embedded in an HTML comment
+   *
+   * @public @static
+   */
+  static getMarker(key) {
+    if (typeof key !== "string" || !/^\S+$/.test(key) || key.includes("--")) {
+      throw new TypeError(`Unexpected Comment key: \`${key}\` (expected no whitespace or \`--\`)`);
+    }
+
+    return `<!-- comment-key: ${key} -->`;
+  }
+
+  /**
+   * The key of the hidden marker embedded in the Comment's body, or `null` if it has none.
+   *
+   * @see Comment.getMarker
+   *
+   * @public @async @type {Promise<String|null>}
+   */
+  get key() {
+    return Promise.resolve(this.body).then((body) => {
+      const match = Comment._MARKER_PATTERN.exec(body);
+
+      return match ? match[1] : null;
+    });
+  }
+
+  // Actions -----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Replaces the body of the Comment.
+   *
+   * @param {String} body - the new body of the Comment
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @public @async
+   */
+  async update(body) {
+    this._debugCall("update", { body: "..." });
+
+    this._eCore.verbose(body);
+
+    const commentID = await this.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to update Comment \`${commentID}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation UpdateComment($clientID: String!, $commentID: ID!, $body: String!) {
+        updateIssueComment(input: {
+          clientMutationId: $clientID,
+          id: $commentID,
+          body: $body
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        commentID: commentID,
+        body: body,
+      },
+    );
+
+    this.invalidate(["body", "bodyHTML", "bodyText", "editor", "includesCreatedEdit", "lastEditedAt", "updatedAt"]);
+
+    return response;
+  }
+
+  /**
+   * Deletes the Comment.
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @public @async
+   */
+  async delete() {
+    this._debugCall("delete", arguments);
+
+    const [commentID, issue, pullRequest] = await Promise.all([this.id, this.issue, this.pullRequest]);
+
+    this._eCore.debug(`Calling GitHub GraphQL API to delete Comment \`${commentID}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation DeleteComment($clientID: String!, $commentID: ID!) {
+        deleteIssueComment(input: {
+          clientMutationId: $clientID,
+          id: $commentID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        commentID: commentID,
+      },
+    );
+
+    // Comments on a Pull Request are on its underlying Issue, too
+    (pullRequest || issue).invalidate(["comments", "participants", "updatedAt"]);
+
+    return response;
+  }
+
+  /**
+   * Minimizes, or hides, the Comment.
+   *
+   * @param {String} reason - the reason to minimize the Comment for, as one of {@link Comment.MINIMIZE_REASONS}
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @throws {TypeError} if the reason isn't one of {@link Comment.MINIMIZE_REASONS}
+   *
+   * @public @async
+   */
+  async minimize(reason) {
+    this._debugCall("minimize", arguments);
+
+    const classifier = typeof reason === "string" ? reason.toUpperCase() : reason;
+
+    if (!Comment.MINIMIZE_REASONS.includes(classifier)) {
+      throw new TypeError(
+        `Unexpected minimize reason: \`${reason}\` (expected one of \`${Comment.MINIMIZE_REASONS.join("`, `")}\`)`,
+      );
+    }
+
+    const commentID = await this.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to minimize Comment \`${commentID}\` as \`${classifier}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation MinimizeComment($clientID: String!, $commentID: ID!, $classifier: ReportedContentClassifiers!) {
+        minimizeComment(input: {
+          clientMutationId: $clientID,
+          subjectId: $commentID,
+          classifier: $classifier
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        commentID: commentID,
+        classifier: classifier,
+      },
+    );
+
+    this.invalidate(["isMinimized", "minimizedReason"]);
+
+    return response;
+  }
+
+  /**
+   * Unminimizes, or shows, the Comment.
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @public @async
+   */
+  async unminimize() {
+    this._debugCall("unminimize", arguments);
+
+    const commentID = await this.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to unminimize Comment \`${commentID}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation UnminimizeComment($clientID: String!, $commentID: ID!) {
+        unminimizeComment(input: {
+          clientMutationId: $clientID,
+          subjectId: $commentID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        commentID: commentID,
+      },
+    );
+
+    this.invalidate(["isMinimized", "minimizedReason"]);
+
+    return response;
+  }
+};
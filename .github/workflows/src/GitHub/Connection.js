@@ -0,0 +1,183 @@
+const WorkflowAbstract = require("../WorkflowAbstract");
+
+/**
+ * Connection.
+ *
+ * @classdesc
+ * A set of GraphQLAbstract objects loaded, page-by-page, from a GitHub GraphQL API connection. Pages load by following
+ * the `pageInfo { hasNextPage endCursor }` cursor GitHub returns with each page.
+ *
+ * A Connection is both awaitable, resolving to the fully materialized array of items, and asynchronously iterable,
+ * loading each page only once iteration reaches it:
+ *
+ * ```js
+ * const labels = await issue.labels;
+ *
+ * for await (const label of issue.labels) {
+ *   // ...
+ * }
+ * ```
+ *
+ * Loaded pages are kept, so iterating or awaiting the same Connection again doesn't call the API a second time.
+ *
+ * @see {@link https://docs.github.com/en/graphql/guides/using-pagination-in-the-graphql-api}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends WorkflowAbstract
+ */
+module.exports = class Connection extends WorkflowAbstract {
+  /**
+   * The total number of items in the connection, as reported by GitHub, or `undefined` until the first page loads.
+   *
+   * @public @readonly @type {Number}
+   */
+  totalCount;
+
+  /**
+   * The function used to load a page, given the cursor to load after.
+   *
+   * @protected @constant @type {Function}
+   */
+  _loadPage;
+
+  /**
+   * The items loaded so far, in order.
+   *
+   * @protected @type {GraphQLAbstract[]}
+   */
+  _items = [];
+
+  /**
+   * The cursor of the last loaded page, or `null` before the first page loads.
+   *
+   * @protected @type {String|null}
+   */
+  _cursor = null;
+
+  /**
+   * Whether more pages remain to load.
+   *
+   * @protected @type {Boolean}
+   */
+  _hasNextPage = true;
+
+  /**
+   * The page currently loading, if any, so that concurrent consumers share a single request.
+   *
+   * @protected @type {Promise|undefined}
+   */
+  _pending;
+
+  /**
+   * Create a Connection.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when the Connection is first awaited or iterated.
+   *
+   * @param {Function} loadPage - an async function, given the cursor to load after, that resolves to an object with
+   *   the `totalCount`, `pageInfo`, and built `nodes` of the page
+   * @param {String|Object} [loggerConfig=undefined] - an optional config to include with the logger name
+   *
+   * @public @constructor
+   */
+  constructor(loadPage, loggerConfig = undefined) {
+    super(loggerConfig);
+
+    this._loadPage = loadPage;
+  }
+
+  /**
+   * Whether every page of the Connection has loaded.
+   *
+   * @public @type {Boolean}
+   */
+  get loaded() {
+    return !this._hasNextPage;
+  }
+
+  /**
+   * Load the next page of the Connection.
+   *
+   * @protected @async
+   */
+  async _next() {
+    this._debugCall("_next", arguments, true);
+
+    if (!this._pending) {
+      this._pending = this._loadPage(this._cursor)
+        .then((page) => {
+          this.totalCount = page.totalCount;
+          this._items.push(...page.nodes);
+
+          // Guard against looping forever if GitHub reports another page without a cursor to reach it
+          this._hasNextPage = Boolean(page.pageInfo.hasNextPage && page.pageInfo.endCursor);
+          this._cursor = page.pageInfo.endCursor;
+
+          this._eCore.debug(`Loaded ${this._items.length} of ${this.totalCount} item(s).`);
+        })
+        .finally(() => {
+          this._pending = undefined;
+        });
+    }
+
+    return this._pending;
+  }
+
+  /**
+   * Load every remaining page of the Connection.
+   *
+   * @returns {GraphQLAbstract[]} all items in the Connection
+   *
+   * @public @async
+   */
+  async all() {
+    this._debugCall("all", arguments);
+
+    while (this._hasNextPage) {
+      await this._next();
+    }
+
+    return [...this._items];
+  }
+
+  /**
+   * Allows awaiting the Connection directly, resolving to every item in the Connection.
+   *
+   * @see Connection.all
+   *
+   * @param {Function} [onFulfilled=undefined] - called with the array of items once every page loads
+   * @param {Function} [onRejected=undefined] - called with the error if a page fails to load
+   *
+   * @returns {Promise}
+   *
+   * @public
+   */
+  then(onFulfilled = undefined, onRejected = undefined) {
+    return this.all().then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Iterate over every item in the Connection, loading pages as iteration reaches them.
+   *
+   * @yields {GraphQLAbstract} each item in the Connection
+   *
+   * @public @async
+   */
+  async *[Symbol.asyncIterator]() {
+    let index = 0;
+
+    while (true) {
+      while (index < this._items.length) {
+        yield this._items[index++];
+      }
+
+      if (!this._hasNextPage) {
+        return;
+      }
+
+      await this._next();
+    }
+  }
+};
@@ -0,0 +1,255 @@
+/**
+ * Field.
+ *
+ * @classdesc
+ * Describes a single field of a GitHub GraphQL API object: its GraphQL type, whether it's nullable, whether it's a
+ * scalar, a single related object, or a paginated connection of related objects, and the mutation that updates it.
+ *
+ * Fields are declared with the static factories, rather than the constructor:
+ *
+ * ```js
+ * static _fields = {
+ *   title: Field.scalar("String", { nullable: false, mutation: "updateIssue" }),
+ *   closedAt: Field.scalar("DateTime"),
+ *   labels: Field.connection(Label),
+ * };
+ * ```
+ *
+ * Relations to classes that require the declaring class in turn take a function returning the class, rather than the
+ * class itself, so it's only required once used (e.g., `Field.object(() => require("./ProjectV2"))`).
+ *
+ * Scalars coerce to JavaScript values by their GraphQL type (e.g., `DateTime` to a timestamp via `Date.parse`). Enums
+ * and any other unknown scalar types are treated as strings.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/scalars}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class
+ */
+module.exports = class Field {
+  /**
+   * The kinds of fields.
+   *
+   * @public @static @constant @enum @type {Object<String, String>}
+   */
+  static KIND = {
+    SCALAR: "scalar",
+    OBJECT: "object",
+    CONNECTION: "connection",
+  };
+
+  /**
+   * GraphQL scalar types, mapped to the JavaScript type GitHub returns them as and the function that casts them.
+   *
+   * `BigInt` values stay strings, as GitHub sends them, since they can exceed the integers a Number holds exactly.
+   *
+   * @public @static @constant @type {Object<String, Array>}
+   */
+  static SCALARS = {
+    BigInt: ["string", String],
+    Boolean: ["boolean", Boolean],
+    Date: ["string", Date.parse],
+    DateTime: ["string", Date.parse],
+    Float: ["number", Number],
+    GitObjectID: ["string", String],
+    GitRefname: ["string", String],
+    HTML: ["string", String],
+    ID: ["string", String],
+    Int: ["number", Number],
+    String: ["string", String],
+    URI: ["string", String],
+  };
+
+  /**
+   * The GraphQL type name, for scalars, or the GraphQLAbstract class, or a function returning it, for relations.
+   *
+   * @see Field.type
+   *
+   * @protected @readonly @type {String|Function}
+   */
+  _type;
+
+  /**
+   * The kind of field.
+   *
+   * @see Field.KIND
+   *
+   * @public @readonly @type {String}
+   */
+  kind;
+
+  /**
+   * Whether GitHub may return `null` for this field.
+   *
+   * @public @readonly @type {Boolean}
+   */
+  nullable;
+
+  /**
+   * The name of the GitHub GraphQL API mutation that updates this field, if it's mutable.
+   *
+   * @see GraphQLAbstract.save
+   *
+   * @public @readonly @type {String|undefined}
+   */
+  mutation;
+
+  /**
+   * Whether the field is a list of related objects, rather than a single one.
+   *
+   * @public @readonly @type {Boolean}
+   */
+  list;
+
+  /**
+   * Create a Field.
+   *
+   * @param {String|Function} type - the GraphQL type name, or GraphQLAbstract class (or function returning it) for
+   *   relations
+   * @param {String} kind - the kind of field, from {@link Field.KIND}
+   * @param {Object<String, *>} [options={}] - the `nullable`, `mutation`, and `list` options for the field
+   *
+   * @public @constructor
+   */
+  constructor(type, kind, options = {}) {
+    this._type = type;
+    this.kind = kind;
+    this.nullable = "nullable" in options ? Boolean(options.nullable) : true;
+    this.mutation = options.mutation;
+    this.list = Boolean(options.list);
+  }
+
+  /**
+   * Create a scalar, or enum, field.
+   *
+   * @param {String} type - the GraphQL type name (e.g., `String`, `DateTime`, or an enum name like `IssueState`)
+   * @param {Object<String, *>} [options={}] - the `nullable` (default `true`) and `mutation` options for the field
+   *
+   * @returns {Field}
+   *
+   * @public @static
+   */
+  static scalar(type, options = {}) {
+    return new Field(type, Field.KIND.SCALAR, options);
+  }
+
+  /**
+   * Create a field for a single related object.
+   *
+   * @param {Function} type - the GraphQLAbstract class of the related object, or a function returning it
+   * @param {Object<String, *>} [options={}] - the `nullable` (default `true`), `mutation`, and `list` (default `false`)
+   *   options for the field, where `list` fields hold a list of the objects rather than one
+   *
+   * @returns {Field}
+   *
+   * @public @static
+   */
+  static object(type, options = {}) {
+    return new Field(type, Field.KIND.OBJECT, options);
+  }
+
+  /**
+   * Create a field for a paginated connection of related objects.
+   *
+   * @param {Function} type - the GraphQLAbstract class of the connection's nodes, or a function returning it
+   * @param {Object<String, *>} [options={}] - the `nullable` (default `true`) and `mutation` options for the field
+   *
+   * @returns {Field}
+   *
+   * @public @static
+   */
+  static connection(type, options = {}) {
+    return new Field(type, Field.KIND.CONNECTION, options);
+  }
+
+  /**
+   * The GraphQL type name, for scalars, or the GraphQLAbstract class, for related objects and connections.
+   *
+   * @public @type {String|Function}
+   */
+  get type() {
+    // Classes have a prototype, unlike the arrow functions that return one
+    if (this.isRelation && typeof this._type === "function" && !this._type.prototype) {
+      return this._type();
+    }
+
+    return this._type;
+  }
+
+  /**
+   * Whether the field can be set and saved.
+   *
+   * @public @type {Boolean}
+   */
+  get mutable() {
+    return Boolean(this.mutation);
+  }
+
+  /**
+   * Whether the field relates to another GraphQLAbstract object, or connection of objects, rather than a scalar.
+   *
+   * @public @type {Boolean}
+   */
+  get isRelation() {
+    return this.kind !== Field.KIND.SCALAR;
+  }
+
+  /**
+   * The GraphQL type of the field, as written in the GitHub GraphQL schema (e.g., `String!` or `LabelConnection`).
+   *
+   * @public @type {String}
+   */
+  get graphQLType() {
+    let name = this.type;
+
+    // Classes for unions and interfaces are named after their schema type, but select fields on a common interface
+    if (this.isRelation) {
+      name = Object.prototype.hasOwnProperty.call(this.type, "_MEMBER_TYPES")
+        ? this.type.name
+        : this.type._getGraphQLType();
+    }
+
+    if (this.kind === Field.KIND.CONNECTION) {
+      name = `${name}Connection`;
+    }
+
+    if (this.list) {
+      name = `[${name}!]`;
+    }
+
+    return this.nullable ? name : `${name}!`;
+  }
+
+  /**
+   * Validate and cast a scalar value for this field.
+   *
+   * @param {*} value - the value, as returned by, or to send to, the GitHub GraphQL API
+   *
+   * @returns {*} the cast value, or `null` if `value` is `null` and the field is nullable
+   *
+   * @throws {TypeError} if `value` is `null` or `undefined` and the field isn't nullable
+   * @throws {TypeError} if `value` isn't the type GitHub uses for the field's scalar type
+   *
+   * @public
+   */
+  coerce(value) {
+    if (value === null || typeof value === "undefined") {
+      if (!this.nullable) {
+        throw new TypeError(`Expected a non-null \`${this.graphQLType}\`, but received \`${value}\`.`);
+      }
+
+      return null;
+    }
+
+    const [expected, cast] = this.type in Field.SCALARS ? Field.SCALARS[this.type] : ["string", String];
+
+    if (typeof value !== expected) {
+      throw new TypeError(`Expected a \`${this.graphQLType}\` as a ${expected}, but received a ${typeof value}.`);
+    }
+
+    return cast(value);
+  }
+};
@@ -1,7 +1,16 @@
-const ActionContext = require("../ActionContext");
 const EnhancedCore = require("../EnhancedCore");
+const GraphQLResponseError = require("../Errors/GraphQLResponseError");
+const NotFoundError = require("../Errors/NotFoundError");
 const NotImplementedError = require("../Errors/NotImplementedError");
 const WorkflowAbstract = require("../WorkflowAbstract");
+const Connection = require("./Connection");
+const Field = require("./Field");
+const GraphQLBatcher = require("./GraphQLBatcher");
+const GraphQLClient = require("./GraphQLClient");
+const Schema = require("../GraphQL/Schema");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 
 /**
  * GraphQLAbstract.
@@ -9,6 +18,10 @@ const WorkflowAbstract = require("../WorkflowAbstract");
  * @classdesc
  * Implements shared methods used by this library to interact with the GitHub GraphQL API.
  *
+ * Objects share one canonical instance per GitHub object for the whole run. Constructing an object already known by
+ * its natural key (e.g., an Issue's owner, repository, and number), or building one from data with a node `id` already
+ * loaded, returns the existing instance and its cache, so every path to an object sees the same data.
+ *
  * @see {@link https://docs.github.com/en/rest/issues}
  * @see {@link https://docs.github.com/en/graphql/reference/objects#issue}
  * @see {@link https://github.com/actions/github-script}
@@ -20,26 +33,53 @@ const WorkflowAbstract = require("../WorkflowAbstract");
  */
 module.exports = class GraphQLAbstract extends WorkflowAbstract {
   /**
-   * Fields mapped from the GitHub API with the function used to typecast or generate the resulting data into an
-   * instantiated object.
+   * Fields mapped from the GitHub API, described by their GraphQL type, nullability, kind, and mutability.
    *
    * @example
    * ```js
    * static _fields = {
-   *  name: String,            // Primitive typecast, provide the function
-   *  updatedAt: Date.parse,   // Generator, provide the function
-   *  author: Actor,           // One-to-many factory, provide the GraphQLAbstract class name
-   *  comments: Comment,       // Many-to-many factory, provide the GraphQLAbstract class name
+   *  name: Field.scalar("String", { nullable: false }),         // Scalar, coerced by its GraphQL type
+   *  body: Field.scalar("String", { mutation: "updateIssue" }), // Mutable scalar, saved via the given mutation
+   *  updatedAt: Field.scalar("DateTime"),                       // Scalar, coerced to a timestamp
+   *  author: Field.object(Actor),                               // Single related object, provide the class
+   *  comments: Field.connection(Comment),                       // Paginated connection, provide the class
    * };
    * ```
    *
-   * This doesn't store information about mutability, nullability, etc. of the fields in question. The GitHub API
-   * returns errors on mutating these fields, if any.
+   * Mutable fields must be updatable by a mutation that takes an `input` argument of the matching input type (e.g.,
+   * `UpdateIssueInput`) with an `id` and one argument per field, named the same as the field.
+   *
+   * @see Field
+   * @see GraphQLAbstract.save
    *
-   * @protected @static @constant @type {Object<String, Function>}
+   * @protected @static @constant @type {Object<String, Field>}
    */
   static _fields = {};
 
+  /**
+   * The name of the GitHub GraphQL API type this class represents, if it isn't the same as the class name.
+   *
+   * This only applies to the class declaring it, so subclasses of a class for a union or interface represent the
+   * object type named after them.
+   *
+   * @see GraphQLAbstract._getGraphQLType
+   *
+   * @protected @static @constant @type {String|undefined}
+   */
+  static _GRAPHQL_TYPE = undefined;
+
+  /**
+   * The name of each object type in the union or interface this class represents, for classes that represent one.
+   *
+   * Each is also the name of the subclass that represents it, which objects of the type build as.
+   *
+   * @see GraphQLAbstract._getObjectSelection
+   * @see GraphQLAbstract._getBuildClass
+   *
+   * @protected @static @constant @type {String[]|undefined}
+   */
+  static _MEMBER_TYPES = undefined;
+
   /**
    * The number of items to return per-page when generating this object.
    *
@@ -47,6 +87,36 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
    */
   static _PAGE_SIZE = 20;
 
+  /**
+   * The variable definitions that paginated queries must declare for {@link GraphQLAbstract._paginate} to fill.
+   *
+   * @protected @static @constant @type {String}
+   */
+  static _PAGINATION_VARIABLES = "$pageSize: Int!, $cursor: String";
+
+  /**
+   * The canonical instance of each object loaded during the run, by node ID (`node:<id>`) and by natural key.
+   *
+   * @see GraphQLAbstract#_getIdentityKeys
+   *
+   * @protected @static @type {Map<String, GraphQLAbstract>}
+   */
+  static _identities = new Map();
+
+  /**
+   * The proxy each registered object is used through, by the object and by the proxy itself.
+   *
+   * @protected @static @type {WeakMap<GraphQLAbstract, GraphQLAbstract>}
+   */
+  static _receivers = new WeakMap();
+
+  /**
+   * The functions called after a mutation, or {@link GraphQLAbstract#invalidate}, changes an object.
+   *
+   * @protected @static @type {Function[]}
+   */
+  static _invalidationHooks = [];
+
   /**
    * Cached items from GraphQL.
    *
@@ -54,6 +124,13 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
    */
   _cache = {};
 
+  /**
+   * Fields set on this object that haven't been saved to GitHub, yet.
+   *
+   * @protected @type {Set<String>}
+   */
+  _dirty = new Set();
+
   /**
    * A basic constructor that allows for overriding getters dynamically.
    *
@@ -70,20 +147,379 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
     super(loggerConfig);
 
     // Allows this to override all getters that aren't explicitly set. Copy this line into any child constructors.
-    return new Proxy(this, this);
+    const proxy = new Proxy(this, this);
+
+    // Getters run on each layer of Proxy, so loads may start from this object rather than the Proxy used
+    GraphQLAbstract._receivers.set(this, proxy);
+
+    return proxy;
+  }
+
+  // Identity Map ------------------------------------------------------------------------------------------------------
+
+  /**
+   * Return the natural keys that identify this object without its node ID, prefixed by its type.
+   *
+   * Keys should ignore case wherever GitHub does, such as in owner, repository, and Label names.
+   *
+   * @returns {String[]} the natural keys, or none if the object is only identifiable by its node ID
+   *
+   * @protected
+   */
+  _getIdentityKeys() {
+    return [];
+  }
+
+  /**
+   * Return the canonical instance for this newly-constructed object, registering it if it's the first of its identity.
+   *
+   * Child constructors return the result of this, in place of their Proxy.
+   *
+   * @example
+   * ```js
+   * return this._register(new Proxy(this, this));
+   * ```
+   *
+   * @param {Proxy} receiver - the Proxy this object is used through
+   *
+   * @returns {Proxy} the canonical instance with the same identity, or `receiver` if it's the first
+   *
+   * @protected
+   */
+  _register(receiver) {
+    const identities = GraphQLAbstract._identities;
+    const keys = this._getIdentityKeys();
+    const existing = keys.map((key) => identities.get(key)).find((instance) => instance);
+
+    if (existing) {
+      this._eCore.debug(`Using canonical instance for \`${keys.join("`, `")}\`.`);
+      return existing;
+    }
+
+    GraphQLAbstract._receivers.set(this, receiver);
+    GraphQLAbstract._receivers.set(receiver, receiver);
+
+    keys.forEach((key) => identities.set(key, receiver));
+
+    return receiver;
+  }
+
+  /**
+   * Return the Proxy this object is used through, as registered in the identity map.
+   *
+   * Child classes wrap the Proxy of their parent in another, so this follows each layer out to the outermost one.
+   *
+   * @returns {Proxy}
+   *
+   * @protected
+   */
+  _getReceiver() {
+    let receiver = this;
+
+    while (GraphQLAbstract._receivers.has(receiver) && GraphQLAbstract._receivers.get(receiver) !== receiver) {
+      receiver = GraphQLAbstract._receivers.get(receiver);
+    }
+
+    return receiver;
+  }
+
+  /**
+   * Forget every canonical instance, so objects constructed afterward load from GitHub again.
+   *
+   * @public @static
+   */
+  static clearIdentityMap() {
+    GraphQLAbstract._identities = new Map();
+    GraphQLAbstract._receivers = new WeakMap();
+  }
+
+  /**
+   * Forget this object as the canonical instance of its identity, such as after transferring, renaming, or deleting it
+   * on GitHub, so objects constructed afterward don't resolve to it.
+   *
+   * This drops every key mapping to this object, being its natural keys from {@link GraphQLAbstract#_getIdentityKeys}
+   * and its node ID, even once its cache is cleared.
+   *
+   * @protected
+   */
+  _unregister() {
+    const receiver = this._getReceiver();
+
+    for (const [key, instance] of GraphQLAbstract._identities) {
+      if (instance === receiver) {
+        GraphQLAbstract._identities.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Register a function to call whenever a mutation, or {@link GraphQLAbstract#invalidate}, changes an object.
+   *
+   * @example
+   * ```js
+   * const unregister = GraphQLAbstract.onInvalidate((object, fields) => {
+   *   console.log(`${object.constructor.name} changed: ${fields.join(", ")}`);
+   * });
+   * ```
+   *
+   * @param {Function} hook - called with the object changed and the names of the fields changed
+   *
+   * @returns {Function} that unregisters the hook
+   *
+   * @public @static
+   */
+  static onInvalidate(hook) {
+    GraphQLAbstract._invalidationHooks.push(hook);
+
+    return () => {
+      GraphQLAbstract._invalidationHooks = GraphQLAbstract._invalidationHooks.filter((other) => other !== hook);
+    };
+  }
+
+  /**
+   * Call every invalidation hook for a changed object.
+   *
+   * @param {GraphQLAbstract} object - the object changed
+   * @param {String[]} fields - the names of the fields changed
+   *
+   * @protected @static
+   */
+  static _fireInvalidationHooks(object, fields) {
+    GraphQLAbstract._invalidationHooks.forEach((hook) => hook(object, fields));
+  }
+
+  /**
+   * Drop cached fields a mutation changed on GitHub, so they reload when next accessed, and fire the invalidation
+   * hooks.
+   *
+   * Fields set, but not saved, keep their unsaved value. The node `id` never changes, so it stays cached to reload by.
+   *
+   * @param {String[]} [fields=all cached fields] - the names of the fields changed
+   *
+   * @public
+   */
+  invalidate(fields = undefined) {
+    this._debugCall("invalidate", arguments);
+
+    fields = fields ? fields : Object.keys(this._cache);
+
+    fields.forEach((field) => {
+      if (field !== "id" && !this._dirty.has(field)) {
+        delete this._cache[field];
+      }
+    });
+
+    GraphQLAbstract._fireInvalidationHooks(this._getReceiver(), fields);
+  }
+
+  // Loading -----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Return the name of the GitHub GraphQL API type this class represents.
+   *
+   * @see GraphQLAbstract._GRAPHQL_TYPE
+   *
+   * @returns {String}
+   *
+   * @protected @static
+   */
+  static _getGraphQLType() {
+    return Object.prototype.hasOwnProperty.call(this, "_GRAPHQL_TYPE") && this._GRAPHQL_TYPE
+      ? this._GRAPHQL_TYPE
+      : this.name;
+  }
+
+  /**
+   * Load any object from the GitHub GraphQL API by its global node ID, building the model class for its type.
+   *
+   * Node IDs come from webhook payloads (e.g., `context.payload.issue.node_id`) and from API responses. An object
+   * already loaded with the ID returns without calling the API.
+   *
+   * @example
+   * ```js
+   * const issue = await GraphQLAbstract.fromNodeId(ActionContext.context.payload.issue.node_id);
+   * ```
+   *
+   * @param {String} id - the global node ID
+   *
+   * @returns {GraphQLAbstract} the canonical instance of the object
+   *
+   * @throws {NotFoundError} if no object has the ID
+   * @throws {NotImplementedError} if no model class supports the object's type
+   *
+   * @public @static @async
+   */
+  static async fromNodeId(id) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "fromNodeId", arguments, false, logger);
+
+    const known = GraphQLAbstract._identities.get(`node:${id}`);
+
+    if (known) {
+      logger.debug(`Node \`${id}\` already loaded.`);
+      return known;
+    }
+
+    // Find the object's type first, as the fields to select depend on the model class for it
+    const typeQuery = `query GetNodeType($id: ID!) {
+      node(id: $id) {
+        __typename
+      }
+    }`;
+
+    const typename = this._getContainer(await GraphQLBatcher.load(typeQuery, { id: id }), ["node"], typeQuery, {
+      id: id,
+    }).__typename;
+
+    const cls = GraphQLAbstract._getModelClass(typename);
+
+    if (!cls) {
+      throw new NotImplementedError(`No model class supports loading the \`${typename}\` GraphQL type by node ID.`);
+    }
+
+    logger.debug(`Loading node \`${id}\` as \`${cls.name}\`...`);
+
+    const query = cls._getNodeQuery(typename);
+    const data = this._getContainer(await GraphQLBatcher.load(query, { id: id }), ["node"], query, { id: id });
+
+    return cls._build(data);
+  }
+
+  /**
+   * Return the model class for a GraphQL type, by the name of its module in this directory.
+   *
+   * Types without their own class, such as each kind of `ProjectV2FieldConfiguration`, use the class for the union or
+   * interface they belong to.
+   *
+   * @param {String} typename - the name of the GraphQL type
+   *
+   * @returns {Function|undefined} the model class, or `undefined` if none supports the type
+   *
+   * @protected @static
+   */
+  static _getModelClass(typename) {
+    const load = (name) => {
+      if (!fs.existsSync(path.join(__dirname, `${name}.js`))) {
+        return undefined;
+      }
+
+      const cls = require(`./${name}`);
+
+      return cls.prototype instanceof GraphQLAbstract ? cls : undefined;
+    };
+
+    const cls = load(typename);
+
+    if (cls) {
+      return cls;
+    }
+
+    const schema = Schema.github();
+
+    for (const [name, type] of schema.types) {
+      if (
+        ["InterfaceTypeDefinition", "UnionTypeDefinition"].includes(type.kind) &&
+        schema.isPossibleType(name, typename) &&
+        load(name)
+      ) {
+        return load(name);
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Return the fields to select when loading this object by node ID.
+   *
+   * Classes that need more than their primitive fields to build, such as the Repository an object belongs to, extend
+   * this selection.
+   *
+   * @returns {String} the selection, inside a fragment on the object's type
+   *
+   * @protected @static
+   */
+  static _getNodeSelection() {
+    return this._getPrimitiveFields().join(" ");
+  }
+
+  /**
+   * Return the selection for this object inside a field, or connection, that relates to it.
+   *
+   * Classes for unions or interfaces also select the fields of each of their object types' subclasses on that type.
+   *
+   * @returns {String} the selection
+   *
+   * @protected @static
+   */
+  static _getObjectSelection() {
+    const selection = `__typename ... on ${this._getGraphQLType()} { ${this._getNodeSelection()} }`;
+
+    if (!Object.prototype.hasOwnProperty.call(this, "_MEMBER_TYPES") || !this._MEMBER_TYPES) {
+      return selection;
+    }
+
+    // Subclasses load on first use, as they require this class themselves
+    const fragments = this._MEMBER_TYPES.map((typename) => {
+      return `... on ${typename} { ${GraphQLAbstract._getModelClass(typename)._getNodeSelection()} }`;
+    });
+
+    return `${selection} ${fragments.join(" ")}`;
+  }
+
+  /**
+   * Return the class to build data as, which is the subclass for its `__typename`, if this class has one.
+   *
+   * @param {Object<String, *>} data - the data from the API call to build from
+   *
+   * @returns {Function}
+   *
+   * @protected @static
+   */
+  static _getBuildClass(data) {
+    const cls = data.__typename ? GraphQLAbstract._getModelClass(data.__typename) : undefined;
+
+    return cls && cls.prototype instanceof this ? cls : this;
+  }
+
+  /**
+   * Return a query that loads this object by node ID, with an `$id` variable and a `node` container.
+   *
+   * @param {String} [typename=this._getGraphQLType()] - the GraphQL type to select the fields on
+   *
+   * @returns {String} the query
+   *
+   * @protected @static
+   */
+  static _getNodeQuery(typename = undefined) {
+    typename = typename ? typename : this._getGraphQLType();
+
+    return `query GetNodeById($id: ID!) {
+      node(id: $id) {
+        __typename
+        ... on ${typename} {
+          ${this._getNodeSelection()}
+        }
+      }
+    }`;
   }
 
   /**
    * Create this item, or a set of this items, given data from a GraphQL API response.
    *
+   * Sets of items return a {@link Connection}, which loads each page of the set as needed.
+   *
    * @param {GraphQLAbstract} caller - the calling class used to generate the data
-   * @param {Number} [pageSize=GraphQLAbstract._PAGE_SIZE] - the number of responses to return, for a set
+   * @param {Number} [pageSize=GraphQLAbstract._PAGE_SIZE] - the number of responses to return per page, for a set
+   * @param {String} [field=undefined] - the name of the caller's field being loaded, for when this class is related to
+   *   the caller by more than one field
    *
-   * @returns {GraphQLAbstract|GraphQLAbstract[]} the item, or items, generated from this data
+   * @returns {GraphQLAbstract|Connection} the item, or items, generated from this data
    *
    * @public @static @async
    */
-  static async create(caller, pageSize = GraphQLAbstract._PAGE_SIZE) {
+  static async create(caller, pageSize = GraphQLAbstract._PAGE_SIZE, field = undefined) {
     this._debugStaticCall(this.name, "create", arguments);
 
     throw new NotImplementedError(`Missing implementation of the \`${this.name}.create\` static method.`);
@@ -111,7 +547,7 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
   /**
    * Return fields not mapped to GraphQLAbstract objects.
    *
-   * @param {Object<String, Function>} [map=this._fields] the field mapping
+   * @param {Object<String, Field>} [map=this._fields] the field mapping
    *
    * @returns {String[]} the primitive fields for the object
    */
@@ -123,12 +559,12 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
 
     let fields = [];
 
-    for (const [field, func] of Object.entries(map ? map : this._fields)) {
-      if (func.prototype instanceof GraphQLAbstract) {
+    for (const [name, field] of Object.entries(map ? map : this._fields)) {
+      if (field.isRelation) {
         continue;
       }
 
-      fields.push(field);
+      fields.push(name);
     }
 
     logger.verbose("Primitive field set:");
@@ -137,31 +573,346 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
     return fields;
   }
 
+  /**
+   * Return the selection for a paginated connection of this class, for use inside a query passed to
+   * {@link GraphQLAbstract._paginate}.
+   *
+   * @example
+   * ```js
+   * const query = `
+   *   query GetLabelsByIssue(
+   *     $owner: String!, $repository: String!, $issueNumber: Int!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+   *   ) {
+   *     repository(owner: $owner, name: $repository) {
+   *       issue(number: $issueNumber) {
+   *         ${Label._getConnectionSelection("labels")}
+   *       }
+   *     }
+   *   }`;
+   * ```
+   *
+   * @param {String} connection - the name of the connection field
+   * @param {Object<String, String>} [args={}] - additional arguments for the connection, as GraphQL literals
+   * @param {String[]} [fields=this._getPrimitiveFields()] - the fields to select on each node
+   *
+   * @returns {String} the connection selection
+   *
+   * @protected @static
+   */
+  static _getConnectionSelection(connection, args = {}, fields = undefined) {
+    const params = ["first: $pageSize", "after: $cursor"];
+
+    for (const [name, value] of Object.entries(args)) {
+      params.push(`${name}: ${value}`);
+    }
+
+    return `${connection}(${params.join(", ")}) {
+      totalCount
+      pageInfo { hasNextPage endCursor }
+      nodes { ${(fields ? fields : this._getPrimitiveFields()).join(" ")} }
+    }`;
+  }
+
+  /**
+   * Create a Connection that pages through the results of a paginated GraphQL query.
+   *
+   * The query must declare the {@link GraphQLAbstract._PAGINATION_VARIABLES} and select the connection with
+   * {@link GraphQLAbstract._getConnectionSelection}. Each page calls the API with the same query, moving the cursor
+   * forward until GitHub reports no further pages.
+   *
+   * @param {String} query - the paginated GraphQL query
+   * @param {Object<String, *>} map - the query data map, not including the pagination variables, where values may be
+   *   Promises
+   * @param {String[]} container - the keys to travel down the response to reach the connection
+   * @param {Function} [build=this._build] - the function used to build each node of the connection
+   * @param {Number} [pageSize=this._PAGE_SIZE] - the number of items to request per page
+   *
+   * @returns {Connection} of the built items
+   *
+   * @throws {NotFoundError} if an object containing the connection doesn't exist
+   * @throws {GraphQLResponseError} if a page response doesn't have the expected container
+   *
+   * @protected @static
+   */
+  static _paginate(query, map, container, build = undefined, pageSize = undefined) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "_paginate", { query: "...", map: map, container: container }, false, logger);
+
+    build = build ? build : (data) => this._build(data);
+    pageSize = pageSize ? pageSize : this._PAGE_SIZE;
+
+    return new Connection(async (cursor) => {
+      logger.debug(`Loading page of \`${container.join(".")}\` after cursor \`${cursor}\`...`);
+
+      const variables = { ...map, pageSize: pageSize, cursor: cursor };
+
+      // Values in the map may still be loading, such as the ID of a calling object
+      for (const [key, value] of Object.entries(variables)) {
+        variables[key] = await value;
+      }
+      const response = await GraphQLBatcher.load(query, variables);
+
+      logger.verbose("Full response:");
+      logger.verbose(response);
+
+      // Travel down the returned response to the connection, which, if missing itself, is an empty set
+      const parent = this._getContainer(response, container.slice(0, -1), query, variables);
+      const page = parent[container[container.length - 1]];
+
+      if (!page) {
+        logger.debug(`No items found in \`${container.join(".")}\`.`);
+
+        return { totalCount: 0, pageInfo: { hasNextPage: false, endCursor: null }, nodes: [] };
+      }
+
+      return {
+        totalCount: page.totalCount,
+        pageInfo: page.pageInfo,
+        nodes: page.nodes.map(build),
+      };
+    }, `${this.name}[]`);
+  }
+
+  /**
+   * Travel down a GraphQL API response to the object at the end of the container path.
+   *
+   * @param {Object<String, *>} response - the GraphQL API response
+   * @param {String[]} container - the keys to travel down the response
+   * @param {String} query - the query that returned the response, for error reporting
+   * @param {Object<String, *>} variables - the variables sent with the query, for error reporting
+   *
+   * @returns {Object<String, *>} the object at the end of the container path
+   *
+   * @throws {NotFoundError} if any object along the path is `null`, as GitHub returns for objects that don't exist
+   * @throws {GraphQLResponseError} if any key along the path is missing from the response
+   *
+   * @protected @static
+   */
+  static _getContainer(response, container, query, variables) {
+    container.forEach((key, index) => {
+      const path = container.slice(0, index + 1);
+
+      if (!response || !(key in response)) {
+        throw new GraphQLResponseError(`Expected container key \`${key}\` in GraphQL response not found.`, {
+          query: query,
+          variables: variables,
+          path: path,
+        });
+      }
+
+      if (response[key] === null) {
+        throw new NotFoundError(`No \`${key}\` found in GraphQL response for ${JSON.stringify(variables)}.`, {
+          query: query,
+          variables: variables,
+          type: "NOT_FOUND",
+          path: path,
+        });
+      }
+
+      response = response[key];
+    });
+
+    return response;
+  }
+
   /**
    * Return an array containing the query, data map, and container information to parse data from the GitHub GraphQL
    * API.
    *
+   * By default, objects load by their node ID, once known. Classes identified by natural keys override this to load
+   * by those instead.
+   *
    * @returns {Array} contining three elements, the query string, the query data map object, and a container array
    *
+   * @throws {NotImplementedError} if the object's node ID isn't known
+   *
    * @protected
    */
   _getGraphQLQuery() {
     this._debugCall("_getGraphQLQuery", arguments);
 
-    throw new NotImplementedError(
-      `Missing implementation of the \`${this.constructor.name}._getGraphQLQuery\` method.`,
-    );
+    if (!this._cache.id) {
+      throw new NotImplementedError(
+        `Loading \`${this.constructor.name}\` requires its node ID; build it from a response or use \`fromNodeId\`.`,
+      );
+    }
+
+    return [this.constructor._getNodeQuery(), { id: this._cache.id }, ["node"]];
+  }
+
+  /**
+   * Validate, coerce, and cache data for this object from a GitHub GraphQL API response.
+   *
+   * Scalar fields coerce by their {@link Field} description, and single related objects build via their class. Fields
+   * set, but not saved, keep their unsaved value. Properties that identify the object, such as a Label's `name`, update
+   * to the value GitHub returns.
+   *
+   * Data for a node already loaded into another instance loads into that canonical instance instead.
+   *
+   * @param {Object<String, *>} data - the data from the API call to load
+   * @param {Boolean} [ignoreAdditional=true] - whether to ignore unmapped data types that appear in the results
+   *
+   * @returns {GraphQLAbstract} the canonical instance the data loaded into
+   *
+   * @throws {GraphQLResponseError} if a value doesn't match its field's nullability or GraphQL type
+   * @throws {ReferenceError} when encountering an unexpected data type and `ignoreAdditional` is `false`
+   *
+   * @protected
+   */
+  _hydrate(data, ignoreAdditional = true) {
+    this._debugCall("_hydrate", { data: "...", ignoreAdditional: ignoreAdditional }, true);
+
+    const cls = this.constructor.name;
+    const fields = this.constructor._fields;
+    const receiver = this._getReceiver();
+    const canonical = data.id ? GraphQLAbstract._identities.get(`node:${data.id}`) : undefined;
+
+    if (canonical && canonical !== receiver) {
+      this._eCore.debug(`Loading into the canonical instance for node \`${data.id}\`.`);
+      return canonical._hydrate(data, ignoreAdditional);
+    }
+
+    for (const [key, value] of Object.entries(data)) {
+      const field = fields[key];
+
+      if (!field) {
+        if (!ignoreAdditional) {
+          throw new ReferenceError(`Unexpected field in ${cls} data: \`${key}\``);
+        }
+
+        continue;
+      }
+
+      // Don't overwrite fields set, but not saved, yet
+      if (this._dirty.has(key)) {
+        this._eCore.verbose(`Skipping unsaved field \`${key}\`.`);
+        continue;
+      }
+
+      // Connections load through their class' `create` method, so there's nothing to cache from here
+      if (field.kind === Field.KIND.CONNECTION) {
+        continue;
+      }
+
+      if (field.kind === Field.KIND.OBJECT) {
+        this._eCore.verbose(`Calling \`_build\` method on \`${field.type.name}\` for \`${key}\`...`);
+
+        const build = (item) => field.type._build(item);
+        this._cache[key] = value === null ? null : field.list ? value.map(build) : build(value);
+        continue;
+      }
+
+      try {
+        this._cache[key] = field.coerce(value);
+      } catch (error) {
+        throw new GraphQLResponseError(`Invalid value for \`${cls}.${key}\` in GraphQL response: ${error.message}`, {
+          path: [key],
+          cause: error,
+        });
+      }
+
+      // Properties that identify the object, such as a Label's name, take GitHub's value over the one the object was
+      // constructed with, which can differ in case. This defines it directly, as setting it would clear the cache.
+      if (Object.prototype.hasOwnProperty.call(this, key) && this[key] !== this._cache[key]) {
+        Object.defineProperty(this, key, { value: this._cache[key] });
+      }
+    }
+
+    if (this._cache.id) {
+      GraphQLAbstract._receivers.set(receiver, receiver);
+      GraphQLAbstract._identities.set(`node:${this._cache.id}`, receiver);
+    }
+
+    return receiver;
   }
 
   /**
    * Clears the cache.
    *
+   * This also discards any fields set, but not saved.
+   *
    * @public
    */
   clearCache() {
     this._debugCall("clearCache", arguments);
 
     this._cache = {};
+    this._dirty = new Set();
+  }
+
+  /**
+   * Send any fields set on this object to the GitHub GraphQL API.
+   *
+   * Setting a mutable field only updates the cache until saved. Saving sends only fields that changed, grouped by the
+   * mutation that updates them.
+   *
+   * @example
+   * ```js
+   * issue.title = "A new title";
+   * issue.body = "A new body";
+   *
+   * await issue.save();
+   * ```
+   *
+   * @see GraphQLAbstract._fields
+   *
+   * @returns {Object<String, *>[]} the full response from each GitHub GraphQL API mutation sent
+   *
+   * @public @async
+   */
+  async save() {
+    this._debugCall("save", arguments);
+
+    if (this._dirty.size <= 0) {
+      this._eCore.debug("No changed fields to save.");
+      return [];
+    }
+
+    // Group the changed fields by the mutation that updates them
+    let mutations = {};
+
+    this._dirty.forEach((field) => {
+      const mutation = this.constructor._fields[field].mutation;
+
+      mutations[mutation] = mutations[mutation] ? mutations[mutation] : {};
+      mutations[mutation][field] = this._cache[field];
+    });
+
+    const id = await this.id;
+
+    let responses = [];
+
+    for (const [mutation, values] of Object.entries(mutations)) {
+      const inputType = `${mutation.charAt(0).toUpperCase()}${mutation.slice(1)}Input`;
+
+      this._eCore.debug(`Calling GitHub GraphQL API to save ${Object.keys(values).join(", ")} via \`${mutation}\`...`);
+
+      responses.push(
+        await GraphQLClient.request(
+          `mutation Save${this.constructor.name}($input: ${inputType}!) {
+            ${mutation}(input: $input) {
+              clientMutationId
+            }
+          }`,
+          {
+            input: {
+              clientMutationId: crypto.randomUUID(),
+              id: id,
+              ...values,
+            },
+          },
+        ),
+      );
+
+      Object.keys(values).forEach((field) => {
+        this._dirty.delete(field);
+      });
+
+      GraphQLAbstract._fireInvalidationHooks(this._getReceiver(), Object.keys(values));
+    }
+
+    return responses;
   }
 
   // GETTERS / SETTERS -------------------------------------------------------------------------------------------------
@@ -175,6 +926,9 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
    * This getter is asynchronous, returning a `Promise` when requiring a GitHub API lookup. Caching of all calls occurs
    * automatically and lasts indefinitely, unless the user calls {@link GraphQLAbstract#clearCache}.
    *
+   * Sets of mapped GraphQLAbstract objects return a {@link Connection} instead, which can be awaited for every item or
+   * iterated with `for await`.
+   *
    * @example
    * As this getter may return a `Promise` if requiring an API lookup, users should always use the `await` operator when
    * making a call:
@@ -187,14 +941,17 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
    *
    * @param {GraphQLAbstract} target - the target to look up on
    * @param {String|Symbol} prop - the name of the property to look up
+   * @param {Proxy} receiver - the proxy the property was requested through
    *
-   * @returns {Promise|undefined|*} the value of `prop`, possibly returned via a `Promise`, or undefined if not found
+   * @returns {Promise|Connection|undefined|*} the value of `prop`, possibly returned via a `Promise`, or undefined if
+   *   not found
    *
-   * @throws {ReferenceError} if the configured response doesn't have the expected fields
+   * @throws {NotFoundError} if the object doesn't exist in GitHub
+   * @throws {GraphQLResponseError} if the configured response doesn't have the expected fields
    *
    * @public @async
    */
-  get(target, prop) {
+  get(target, prop, receiver) {
     const sProp = String(prop); // Convert `prop` to a String for the case of Symbols.
     const direct = Reflect.get(...arguments);
     const cls = this.constructor.name;
@@ -223,11 +980,20 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
     target._eCore.verbose(`Lookup \`${cls}.${sProp}\` cache miss.`);
 
     // If the requested property is a GraphQLAbstract class, use the proper `create` method
-    if (fields[sProp].prototype instanceof GraphQLAbstract) {
-      target._eCore.debug(`Sending creation request to mapped \`${fields[sProp].name}\` class to generate.`);
+    if (fields[sProp].isRelation) {
+      target._eCore.debug(`Sending creation request to mapped \`${fields[sProp].type.name}\` class to generate.`);
+
+      // Pass the receiver, rather than the target, so the creating class can use this object's getters
+      const created = fields[sProp].type.create(receiver, undefined, sProp);
+
+      // Connections load lazily, so cache them immediately to share loaded pages between callers
+      if (created instanceof Connection) {
+        target._cache[sProp] = created;
+        return target._cache[sProp];
+      }
 
       return (async function LoadFromSmartObject() {
-        return await fields[sProp].create(target).then((created) => {
+        return await Promise.resolve(created).then((created) => {
           target._eCore.verbose("Created from response:");
           target._eCore.verbose(created);
 
@@ -252,40 +1018,20 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
       target._eCore.verbose(container);
 
       return (async function LoadPrimitiveFromGraphQL() {
-        return await ActionContext.github.graphql(query, map).then((response) => {
+        return await GraphQLBatcher.load(query, map).then((response) => {
           target._eCore.debug("GraphQL API call complete.");
 
           target._eCore.verbose("Full GraphQL API response:");
           target._eCore.verbose(response);
 
           // Travel down the returned response to the data container
-          container.forEach((key) => {
-            if (!(key in response)) {
-              throw new ReferenceError(`Expected container key \`${key}\` in GraphQL response not found.`);
-            }
+          response = target.constructor._getContainer(response, container, query, map);
 
-            response = response[key];
-          });
-
-          // Run the field function or appropriate generator on each result
-          for (const [key, value] of Object.entries(response)) {
-            const sKey = String(key);
-            const func = target.constructor._fields[sKey];
-
-            // If the field is a GraphQLAbstract instance, run the create function
-            if (func.prototype instanceof GraphQLAbstract) {
-              target._eCore.verbose(`Calling \`create\` method on \`${func.name}\` for \`${sKey}\`...`);
-              target._cache[sKey] = func._build(value);
-
-              // Otherwise, run the configured function directly on the value
-            } else {
-              target._eCore.verbose(`Calling \`${func.name}\` on \`${sKey}\`...`);
-              target._cache[sKey] = func(value);
-            }
-          }
+          // Validate and coerce each result into the cache of the canonical instance, which is generally this one
+          const loaded = target._hydrate(response);
 
           // Now loaded, return the cached property, if set
-          return target._cache[sProp];
+          return loaded._cache[sProp];
         });
       })();
     }
@@ -303,7 +1049,7 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
    */
   has(target, prop) {
     // If directly part of the target's schema, it exists
-    if (Reflect.get(...arguments) !== "undefined") {
+    if (Reflect.has(target, prop)) {
       return true;
     }
 
@@ -322,7 +1068,8 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
    * If this object explicitly defines the property, this setter logic assumes that target property defines how the
    * performance of the API lookup functions. As such, the setter clears any cache that set, if this occurs.
    *
-   * This also handles updating a loaded object's reference via the GitHub GraphQL API, if changed.
+   * Setting a mutable field updates the cache and marks the field as changed, to send to the GitHub GraphQL API on
+   * the next call to {@link GraphQLAbstract#save}.
    *
    * @param {GraphQLAbstract} obj - the object to update
    * @param {String|Symbol} prop - the property to update
@@ -330,12 +1077,16 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
    *
    * @returns {boolean} whether the set was successful
    *
+   * @throws {TypeError} if attempting to set a read-only field on the GraphQL object
+   * @throws {NotImplementedError} if attempting to set a field relating to other GraphQL objects
+   * @throws {TypeError} if the value doesn't match the field's nullability or GraphQL type
    * @throws {TypeError} if attempting to set an unmapped variable on the GraphQL object
    *
    * @public
    */
   set(target, prop, value) {
     const sProp = String(prop); // Convert `prop` to a String for the case of Symbols.
+    const cls = target.constructor.name;
     const isPrimitive = typeof value === "object" || typeof value === "function";
 
     target._debugCall("SET", {
@@ -343,28 +1094,50 @@ module.exports = class GraphQLAbstract extends WorkflowAbstract {
       value: isPrimitive || target._eCore.debugLevel >= EnhancedCore.LOG_LEVEL.VERBOSE ? value : "...",
     });
 
-    // If the property exists explicitly, clear the cache before setting it.
-    if (Reflect.has(target, prop)) {
+    // If the property exists explicitly, clear the cache and unsaved fields before setting it. This checks the target's
+    // own properties, as `has` also reports mapped fields.
+    if (Object.prototype.hasOwnProperty.call(target, prop)) {
       target._eCore.verbose(`Class property \`${sProp}\` set; clearing cache.`);
       target._cache = {};
+      target._dirty = new Set();
 
       return Reflect.set(...arguments);
     }
 
     // Otherwise, update the field.
     if (sProp in target.constructor._fields) {
-      const func = target.constructor._fields[sProp];
+      const field = target.constructor._fields[sProp];
+
+      if (field.isRelation) {
+        throw new NotImplementedError(
+          `Field \`${sProp}\` relates to other objects and cannot be set on \`${cls}\`; use its methods instead.`,
+        );
+      }
 
-      if (func.prototype instanceof GraphQLAbstract) {
-        // TODO - Update one-to-many data
-        // TODO - Update many-to-many data
-        throw new NotImplementedError();
+      if (!field.mutable) {
+        throw new TypeError(`Field \`${sProp}\` is read-only and cannot be set on \`${cls}\`.`);
       }
 
-      // TODO - Update the GraphQL API if the value changed
+      // Validate and typecast the object, and only mark it for saving if it changed
+      let cast;
+
+      try {
+        cast = field.coerce(value);
+      } catch (error) {
+        throw new TypeError(`Invalid value for \`${cls}.${sProp}\`: ${error.message}`);
+      }
 
-      // Typecast the object and set it on the Label
-      target._cache[sProp] = func(value);
+      if (sProp in target._cache && target._cache[sProp] === cast) {
+        target._eCore.verbose(`Field \`${cls}.${sProp}\` unchanged; skipping.`);
+        return true;
+      }
+
+      target._cache[sProp] = cast;
+      target._dirty.add(sProp);
+
+      target._eCore.verbose(`Field \`${cls}.${sProp}\` changed; saves on next call to \`save\`.`);
+
+      return true;
     }
 
     // Setting unmapped fields on GraphQLAbstract objects isn't supported.
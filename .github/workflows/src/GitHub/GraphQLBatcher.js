@@ -0,0 +1,409 @@
+const EnhancedCore = require("../EnhancedCore");
+const WorkflowAbstract = require("../WorkflowAbstract");
+const Parser = require("../GraphQL/Parser");
+const GraphQLClient = require("./GraphQLClient");
+
+/**
+ * GraphQLBatcher.
+ *
+ * @classdesc
+ * Collects GitHub GraphQL API queries made in the same tick and sends them as a single, aliased GraphQL document,
+ * routing each part of the response back to the query that requested it.
+ *
+ * Identical queries with identical variables coalesce into a single lookup, and queries that can't combine (e.g.,
+ * mutations or anonymous queries) send on their own.
+ *
+ * @example
+ * ```js
+ * // Both lookups send to GitHub as a single request
+ * const [id, labels] = await Promise.all([issue.id, issue.labels]);
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/graphql/guides/forming-calls-with-graphql}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends WorkflowAbstract
+ */
+module.exports = class GraphQLBatcher extends WorkflowAbstract {
+  /**
+   * The most queries to combine into a single GraphQL document.
+   *
+   * GitHub limits the total number of nodes a single call can request, so larger batches split into several calls.
+   *
+   * @see {@link https://docs.github.com/en/graphql/overview/resource-limitations}
+   *
+   * @public @static @type {Number}
+   */
+  static MAX_BATCH_SIZE = 20;
+
+  /**
+   * Lookups waiting to send.
+   *
+   * @protected @static @type {Object[]}
+   */
+  static _queue = [];
+
+  /**
+   * Whether a dispatch of the queue is already scheduled.
+   *
+   * @protected @static @type {Boolean}
+   */
+  static _scheduled = false;
+
+  /**
+   * Matches a string, block string, or comment, which copy verbatim when rewriting a query so their contents aren't
+   * mistaken for variables or fields.
+   *
+   * @protected @static @constant @type {String}
+   */
+  static _LITERAL = String.raw`"""[\s\S]*?(?<!\\)"""|"(?:[^"\\\n\r]|\\.)*"|#[^\n\r]*`;
+
+  /**
+   * Queue a GraphQL query to send with any other queries made in the same tick.
+   *
+   * @param {String} query - the GraphQL query
+   * @param {Object<String, *>} [variables={}] - the variables for the query
+   *
+   * @returns {Object<String, *>} the response for the query, as if it had been sent on its own
+   *
+   * @public @static @async
+   */
+  static load(query, variables = {}) {
+    this._debugStaticCall(this.name, "load", { query: "...", variables: variables }, true);
+
+    return new Promise((resolve, reject) => {
+      this._queue.push({ query: query, variables: variables, resolve: resolve, reject: reject });
+
+      if (!this._scheduled) {
+        this._scheduled = true;
+
+        // Wait for the current tick, including any pending Promise callbacks, to queue their lookups
+        setImmediate(() => this._dispatch());
+      }
+    });
+  }
+
+  /**
+   * Send every queued lookup, combining as many as possible into each call.
+   *
+   * @protected @static @async
+   */
+  static async _dispatch() {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "_dispatch", arguments, false, logger);
+
+    const queue = this._queue;
+
+    this._queue = [];
+    this._scheduled = false;
+
+    // Coalesce identical lookups so that they share a single result
+    let groups = new Map();
+
+    queue.forEach((entry) => {
+      const key = `${entry.query}\n${JSON.stringify(entry.variables)}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          query: entry.query,
+          variables: entry.variables,
+          parsed: this._parse(entry.query),
+          entries: [],
+        });
+      }
+
+      groups.get(key).entries.push(entry);
+    });
+
+    groups = [...groups.values()];
+
+    logger.debug(`Dispatching ${queue.length} lookup(s) as ${groups.length} distinct query(s).`);
+
+    // Queries that can't combine send on their own
+    let batchable = [];
+
+    groups.forEach((group) => {
+      if (group.parsed && groups.length > 1) {
+        batchable.push(group);
+        return;
+      }
+
+      this._settle([group], this._sendSingle(group));
+    });
+
+    for (let i = 0; i < batchable.length; i += this.MAX_BATCH_SIZE) {
+      const batch = batchable.slice(i, i + this.MAX_BATCH_SIZE);
+
+      if (batch.length === 1) {
+        this._settle(batch, this._sendSingle(batch[0]));
+        continue;
+      }
+
+      this._settle(batch, this._sendBatch(batch, logger));
+    }
+  }
+
+  /**
+   * Combine a batch of parsed queries into a single aliased document and send it.
+   *
+   * Each query's variables and top-level fields are prefixed with its position in the batch, so the results can route
+   * back to the query that requested them.
+   *
+   * @param {Object[]} batch - the groups of lookups to combine
+   * @param {EnhancedCore} logger - the logger to use
+   *
+   * @returns {Object<String, *>[]} the response for each group in the batch, in order
+   *
+   * @protected @static @async
+   */
+  static async _sendBatch(batch, logger) {
+    let definitions = [];
+    let selections = [];
+    let variables = {};
+
+    batch.forEach((group, index) => {
+      group.prefix = `q${index}_`;
+
+      const renamed = this._prefixVariables(group.parsed.definitions, group.prefix);
+      const aliased = this._prefixFields(this._prefixVariables(group.parsed.selection, group.prefix), group.prefix);
+
+      if (renamed.trim()) {
+        definitions.push(renamed);
+      }
+
+      selections.push(aliased.selection);
+      group.keys = aliased.keys;
+
+      for (const [name, value] of Object.entries(group.variables)) {
+        variables[`${group.prefix}${name}`] = value;
+      }
+    });
+
+    const query = `query Batch${definitions.length ? `(${definitions.join(", ")})` : ""} {
+      ${selections.join("\n")}
+    }`;
+
+    logger.debug(`Sending ${batch.length} queries as a single request...`);
+    logger.verbose(query);
+
+    const route = (data) => {
+      return batch.map((group) => {
+        let response = {};
+
+        group.keys.forEach((key) => {
+          response[key] = data ? data[`${group.prefix}${key}`] : undefined;
+        });
+
+        return response;
+      });
+    };
+
+    try {
+      return route(await this._send(query, variables));
+    } catch (error) {
+      // Only GraphQL errors with a path can route to the query that caused them; anything else fails every query
+      if (!Array.isArray(error.errors) || !error.errors.every((err) => Array.isArray(err.path) && err.path.length)) {
+        throw error;
+      }
+
+      const routed = route(error.data);
+
+      return batch.map((group, index) => {
+        const errors = error.errors
+          .filter((err) => String(err.path[0]).startsWith(group.prefix))
+          .map((err) => ({ ...err, path: [String(err.path[0]).slice(group.prefix.length), ...err.path.slice(1)] }));
+
+        if (errors.length <= 0) {
+          return routed[index];
+        }
+
+        return GraphQLClient.translateError(
+          { message: errors.map((err) => err.message).join("\n"), errors: errors, data: routed[index] },
+          group.query,
+          group.variables,
+        );
+      });
+    }
+  }
+
+  /**
+   * Send a group of lookups unchanged, on its own.
+   *
+   * @param {Object} group - the group of lookups to send
+   *
+   * @returns {Object<String, *>[]} the response for the group, as a batch of one
+   *
+   * @protected @static @async
+   */
+  static async _sendSingle(group) {
+    return [await this._send(group.query, group.variables)];
+  }
+
+  /**
+   * Send a single GraphQL document to GitHub through the {@link GraphQLClient}.
+   *
+   * @param {String} query - the GraphQL document
+   * @param {Object<String, *>} variables - the variables for the document
+   *
+   * @returns {Object<String, *>} the GitHub GraphQL API response
+   *
+   * @protected @static @async
+   */
+  static async _send(query, variables) {
+    return GraphQLClient.request(query, variables);
+  }
+
+  /**
+   * Resolve or reject every lookup in the given groups once their response arrives.
+   *
+   * @param {Object[]} groups - the groups of lookups sent
+   * @param {Promise} request - resolves to an array with a response, or an error, for each group
+   *
+   * @protected @static
+   */
+  static _settle(groups, request) {
+    request.then(
+      (responses) => {
+        groups.forEach((group, index) => {
+          group.entries.forEach((entry) => {
+            return responses[index] instanceof Error ? entry.reject(responses[index]) : entry.resolve(responses[index]);
+          });
+        });
+      },
+      (error) => {
+        groups.forEach((group) => {
+          group.entries.forEach((entry) => entry.reject(error));
+        });
+      },
+    );
+  }
+
+  // Parsing -----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Split a named or anonymous GraphQL query into its variable definitions and selection set.
+   *
+   * @param {String} query - the GraphQL query
+   *
+   * @returns {Object<String, String>|undefined} the `definitions` and `selection`, or `undefined` if the document
+   *   isn't a single query that can combine with others
+   *
+   * @protected @static
+   */
+  static _parse(query) {
+    let definitions;
+
+    try {
+      definitions = Parser.parse(query).definitions;
+    } catch (error) {
+      // Invalid queries send on their own, so GitHub reports the error against them alone
+      return undefined;
+    }
+
+    const [operation] = definitions;
+
+    // Fragments belong to the whole document, and top-level directives and inline fragments have no response key to
+    // alias, so a query using them can't merge into another
+    if (
+      definitions.length !== 1 ||
+      operation.kind !== "OperationDefinition" ||
+      operation.operation !== "query" ||
+      (operation.directives && operation.directives.length > 0) ||
+      operation.selectionSet.some((selection) => selection.kind !== "Field" || selection.directives.length > 0)
+    ) {
+      return undefined;
+    }
+
+    const match = /^\s*query\b\s*\w*\s*(?:\(([^)]*)\))?\s*\{([\s\S]*)\}\s*$/.exec(query);
+
+    if (!match) {
+      return undefined;
+    }
+
+    return { definitions: match[1] ? match[1] : "", selection: match[2] };
+  }
+
+  /**
+   * Prefix every variable reference and definition in a piece of a GraphQL document, except within strings or comments.
+   *
+   * @param {String} text - the GraphQL text to update
+   * @param {String} prefix - the prefix to add to each variable name
+   *
+   * @returns {String} the updated text
+   *
+   * @protected @static
+   */
+  static _prefixVariables(text, prefix) {
+    return text.replace(new RegExp(`(${this._LITERAL})|\\$(\\w+)`, "g"), (match, literal, name) =>
+      literal ? literal : `$${prefix}${name}`,
+    );
+  }
+
+  /**
+   * Alias every top-level field of a selection set with the given prefix.
+   *
+   * @param {String} selection - the selection set, without its surrounding braces
+   * @param {String} prefix - the prefix to alias each field with
+   *
+   * @returns {Object} the aliased `selection` and the original response `keys` of each top-level field
+   *
+   * @protected @static
+   */
+  static _prefixFields(selection, prefix) {
+    let output = "";
+    let keys = [];
+    let depth = 0;
+    let i = 0;
+
+    while (i < selection.length) {
+      const char = selection[i];
+
+      // Copy strings and comments verbatim so their contents aren't mistaken for fields
+      if (char === '"' || char === "#") {
+        const pattern = new RegExp(this._LITERAL, "y");
+
+        pattern.lastIndex = i;
+
+        const literal = pattern.exec(selection)[0];
+
+        output += literal;
+        i += literal.length;
+        continue;
+      }
+
+      if (char === "{" || char === "(") {
+        depth++;
+      } else if (char === "}" || char === ")") {
+        depth--;
+      }
+
+      // Only top-level names, outside of any arguments or selections, are response keys
+      if (depth === 0 && /[A-Za-z_]/.test(char)) {
+        const name = /^\w+/.exec(selection.slice(i))[0];
+        const alias = /^\s*:\s*\w+/.exec(selection.slice(i + name.length));
+
+        keys.push(name);
+
+        // Already-aliased fields keep their field name, but swap to the prefixed alias
+        if (alias) {
+          output += `${prefix}${name}${alias[0]}`;
+          i += name.length + alias[0].length;
+          continue;
+        }
+
+        output += `${prefix}${name}: ${name}`;
+        i += name.length;
+        continue;
+      }
+
+      output += char;
+      i++;
+    }
+
+    return { selection: output, keys: keys };
+  }
+};
@@ -0,0 +1,419 @@
+const ActionContext = require("../ActionContext");
+const EnhancedCore = require("../EnhancedCore");
+const GraphQLResponseError = require("../Errors/GraphQLResponseError");
+const NotFoundError = require("../Errors/NotFoundError");
+const PermissionDeniedError = require("../Errors/PermissionDeniedError");
+const RateLimitedError = require("../Errors/RateLimitedError");
+const ValidationError = require("../Errors/ValidationError");
+const Parser = require("../GraphQL/Parser");
+const WorkflowAbstract = require("../WorkflowAbstract");
+
+/**
+ * GraphQLClient.
+ *
+ * @classdesc
+ * The central request layer for every call this library makes to the GitHub GraphQL API.
+ *
+ * Queries automatically select the `rateLimit` object, so the client can track the cost and remaining points of the
+ * current rate limit window. Before sending a call, the client waits out an exhausted rate limit until it resets, as
+ * long as the wait is within {@link GraphQLClient.MAX_RATE_LIMIT_WAIT}.
+ *
+ * Failed calls retry with jittered, exponential backoff when GitHub reports a rate limit (primary or secondary) or a
+ * transient server error. Mutations only retry on rate limits, as GitHub may have applied a mutation that failed with
+ * a server error. Calls that still fail throw a {@link GraphQLResponseError}, or one of its more specific subclasses.
+ *
+ * During a dry run (see {@link ActionContext.dryRun}), mutations don't send. The client logs each mutation with its
+ * variables, returns a successful response without any payload fields beyond `clientMutationId`, and keeps a list of
+ * them for {@link GraphQLClient.logDryRunSummary} to report at the end of the run.
+ *
+ * @see {@link https://docs.github.com/en/graphql/overview/rate-limits-and-node-limits-for-the-graphql-api}
+ * @see {@link https://docs.github.com/en/rest/using-the-rest-api/best-practices-for-using-the-rest-api}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends WorkflowAbstract
+ */
+module.exports = class GraphQLClient extends WorkflowAbstract {
+  /**
+   * The most times to retry a failed call before giving up.
+   *
+   * @public @static @type {Number}
+   */
+  static MAX_RETRIES = 5;
+
+  /**
+   * The delay, in milliseconds, before the first retry. Each following retry doubles the delay.
+   *
+   * @public @static @type {Number}
+   */
+  static BASE_DELAY = 1000;
+
+  /**
+   * The longest delay, in milliseconds, between backoff retries.
+   *
+   * @public @static @type {Number}
+   */
+  static MAX_DELAY = 60000;
+
+  /**
+   * The longest time, in milliseconds, to wait for an exhausted rate limit to reset before failing.
+   *
+   * @public @static @type {Number}
+   */
+  static MAX_RATE_LIMIT_WAIT = 300000;
+
+  /**
+   * HTTP statuses GitHub returns for transient server errors.
+   *
+   * @public @static @constant @type {Number[]}
+   */
+  static TRANSIENT_STATUSES = [500, 502, 503, 504];
+
+  /**
+   * The most recent rate limit information GitHub returned, if any.
+   *
+   * @public @static @type {Object<String, *>|undefined}
+   */
+  static rateLimit;
+
+  /**
+   * The mutations skipped during a dry run, in order, each with its operation `name`, mutation `fields`, and
+   * `variables`.
+   *
+   * @public @static @type {Object[]}
+   */
+  static skippedMutations = [];
+
+  /**
+   * Send a query or mutation to the GitHub GraphQL API, retrying and waiting out rate limits as needed.
+   *
+   * @param {String} query - the GraphQL query or mutation
+   * @param {Object<String, *>} [variables={}] - the variables for the call
+   *
+   * @returns {Object<String, *>} the GitHub GraphQL API response, without the tracked `rateLimit`
+   *
+   * @throws {GraphQLResponseError} the last error encountered, if the call doesn't succeed within the configured
+   *   retries
+   * @throws {RateLimitedError} if the rate limit doesn't reset within {@link GraphQLClient.MAX_RATE_LIMIT_WAIT}
+   *
+   * @public @static @async
+   */
+  static async request(query, variables = {}) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "request", { query: "...", variables: variables }, true, logger);
+
+    const isMutation = /^\s*mutation\b/.test(query);
+    const tracked = !isMutation && !/\brateLimit\b/.test(query);
+
+    if (isMutation && ActionContext.dryRun) {
+      return this._skipMutation(query, variables, logger);
+    }
+
+    // Select the rate limit with every query, as mutations can't
+    const document = tracked ? query.replace(/\}\s*$/, "  rateLimit { cost remaining resetAt }\n}") : query;
+
+    for (let attempt = 0; ; attempt++) {
+      await this._waitForRateLimit(logger, query, variables);
+
+      try {
+        const response = await ActionContext.github.graphql(document, variables);
+
+        return tracked ? this._trackRateLimit(response, logger) : response;
+      } catch (error) {
+        if (tracked && error.data) {
+          error.data = this._trackRateLimit(error.data, logger);
+        }
+
+        const delay = this._getRetryDelay(error, attempt, !isMutation);
+
+        if (typeof delay === "undefined") {
+          throw this.translateError(error, query, variables);
+        }
+
+        logger.info(
+          `GitHub GraphQL API call failed (${error.message}); retrying in ${Math.round(delay / 1000)}s ` +
+            `(attempt ${attempt + 1} of ${this.MAX_RETRIES})...`,
+        );
+
+        await this._sleep(delay);
+      }
+    }
+  }
+
+  // Dry Runs ----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Log and record a mutation instead of sending it, returning a successful response in its place.
+   *
+   * @param {String} mutation - the GraphQL mutation
+   * @param {Object<String, *>} variables - the variables for the mutation
+   * @param {EnhancedCore} logger - the logger to use
+   *
+   * @returns {Object<String, *>} a response with each mutation field's `clientMutationId`
+   *
+   * @protected @static
+   */
+  static _skipMutation(mutation, variables, logger) {
+    const operation = Parser.parse(mutation).definitions.find((def) => def.kind === "OperationDefinition");
+    const fields = operation.selectionSet.filter((selection) => selection.kind === "Field");
+    const name = operation.name ? operation.name : fields.map((field) => field.name).join(", ");
+
+    this.skippedMutations.push({ name: name, fields: fields.map((field) => field.name), variables: variables });
+
+    logger.info(`Dry run: skipped mutation \`${name}\` with variables:`);
+    logger.info(variables);
+
+    let response = {};
+
+    fields.forEach((field) => {
+      response[field.alias ? field.alias : field.name] = {
+        clientMutationId: this._getClientMutationId(field, variables),
+      };
+    });
+
+    return response;
+  }
+
+  /**
+   * Return the `clientMutationId` a mutation field sends, resolving any variables.
+   *
+   * @param {Object} field - the parsed mutation field
+   * @param {Object<String, *>} variables - the variables for the mutation
+   *
+   * @returns {String|null} the client mutation ID, or `null` if the mutation doesn't send one
+   *
+   * @protected @static
+   */
+  static _getClientMutationId(field, variables) {
+    const input = field.arguments.find((arg) => arg.name === "input");
+    let value = input ? input.value : undefined;
+
+    // The input may be a variable itself, or an object literal with a variable or string for the ID
+    if (value && value.kind === "Variable") {
+      value = variables[value.name] ? variables[value.name].clientMutationId : undefined;
+    } else if (value && value.kind === "ObjectValue") {
+      const id = value.fields.find((inputField) => inputField.name === "clientMutationId");
+
+      value = id && id.value.kind === "Variable" ? variables[id.value.name] : id ? id.value.value : undefined;
+    }
+
+    return typeof value === "undefined" ? null : value;
+  }
+
+  /**
+   * Log a summary of the mutations skipped during a dry run.
+   *
+   * Call this once the automation finishes. Nothing logs unless this is a dry run.
+   *
+   * @public @static
+   */
+  static logDryRunSummary() {
+    if (!ActionContext.dryRun) {
+      return;
+    }
+
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "logDryRunSummary", arguments, false, logger);
+
+    logger.startGroup(`Dry run: skipped ${this.skippedMutations.length} mutation(s)`);
+
+    this.skippedMutations.forEach((mutation, index) => {
+      logger.info(`${index + 1}. \`${mutation.name}\` (${mutation.fields.join(", ")})`);
+      logger.info(mutation.variables);
+    });
+
+    logger.endGroup();
+
+    logger.notice(`Dry run complete; ${this.skippedMutations.length} mutation(s) weren't sent to GitHub.`, "Dry run");
+  }
+
+  // Rate Limits -------------------------------------------------------------------------------------------------------
+
+  /**
+   * Record and remove the `rateLimit` object from a response.
+   *
+   * @param {Object<String, *>} response - the response data from GitHub
+   * @param {EnhancedCore} logger - the logger to use
+   *
+   * @returns {Object<String, *>} the response without the `rateLimit` object
+   *
+   * @protected @static
+   */
+  static _trackRateLimit(response, logger) {
+    if (!response || !response.rateLimit) {
+      return response;
+    }
+
+    const { rateLimit, ...data } = response;
+
+    this.rateLimit = rateLimit;
+
+    logger.verbose(
+      `Rate limit: cost ${rateLimit.cost}, ${rateLimit.remaining} point(s) remaining, resets at ${rateLimit.resetAt}.`,
+    );
+
+    return data;
+  }
+
+  /**
+   * Wait for the rate limit to reset if the last known rate limit has no points remaining.
+   *
+   * @param {EnhancedCore} logger - the logger to use
+   * @param {String} query - the GraphQL query or mutation waiting to send
+   * @param {Object<String, *>} variables - the variables for the call
+   *
+   * @throws {RateLimitedError} if the rate limit doesn't reset within {@link GraphQLClient.MAX_RATE_LIMIT_WAIT}
+   *
+   * @protected @static @async
+   */
+  static async _waitForRateLimit(logger, query, variables) {
+    if (!this.rateLimit || this.rateLimit.remaining > 0) {
+      return;
+    }
+
+    const wait = Date.parse(this.rateLimit.resetAt) - Date.now();
+
+    if (!(wait > 0)) {
+      return;
+    }
+
+    if (wait > this.MAX_RATE_LIMIT_WAIT) {
+      throw new RateLimitedError(
+        `GitHub GraphQL API rate limit exhausted until ${this.rateLimit.resetAt}, which is longer than the ` +
+          `${Math.round(this.MAX_RATE_LIMIT_WAIT / 1000)}s allowed to wait.`,
+        { query: query, variables: variables, type: "RATE_LIMITED" },
+      );
+    }
+
+    logger.info(`GitHub GraphQL API rate limit exhausted; waiting ${Math.round(wait / 1000)}s for it to reset...`);
+
+    await this._sleep(wait);
+
+    this.rateLimit = undefined;
+  }
+
+  /**
+   * Return how long to wait before retrying a failed call, or `undefined` if it shouldn't retry.
+   *
+   * @param {Error} error - the error the call failed with
+   * @param {Number} attempt - the number of retries already made
+   * @param {Boolean} idempotent - whether the call is safe to retry after a server error
+   *
+   * @returns {Number|undefined} the delay, in milliseconds, or `undefined` to stop retrying
+   *
+   * @protected @static
+   */
+  static _getRetryDelay(error, attempt, idempotent) {
+    if (attempt >= this.MAX_RETRIES) {
+      return undefined;
+    }
+
+    const status = error.status ? error.status : error.response ? error.response.status : undefined;
+    const headers = (error.response ? error.response.headers : error.headers) || {};
+    const types = Array.isArray(error.errors) ? error.errors.map((err) => err.type) : [];
+
+    // Primary rate limits reset at a known time, so wait until then
+    if (types.includes("RATE_LIMITED") || ([403, 429].includes(status) && headers["x-ratelimit-remaining"] === "0")) {
+      const reset = headers["x-ratelimit-reset"]
+        ? Number(headers["x-ratelimit-reset"]) * 1000
+        : Date.parse(this.rateLimit ? this.rateLimit.resetAt : undefined);
+
+      const wait = Number.isNaN(reset) ? this._getBackoff(attempt) : Math.max(reset - Date.now(), 0) + 1000;
+
+      return wait <= this.MAX_RATE_LIMIT_WAIT ? wait : undefined;
+    }
+
+    // Secondary rate limits ask for a delay, or otherwise for exponential backoff
+    if ([403, 429].includes(status) && (headers["retry-after"] || /secondary rate limit/i.test(error.message))) {
+      return headers["retry-after"] ? Number(headers["retry-after"]) * 1000 : this._getBackoff(attempt);
+    }
+
+    if (idempotent && this.TRANSIENT_STATUSES.includes(status)) {
+      return this._getBackoff(attempt);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Translate an error from the GitHub GraphQL API into a {@link GraphQLResponseError}, or one of its subclasses.
+   *
+   * The GitHub error type of the first error in the response takes precedence over the HTTP status.
+   *
+   * @param {Error} error - the error to translate
+   * @param {String} query - the GraphQL query or mutation that failed
+   * @param {Object<String, *>} [variables={}] - the variables for the call
+   *
+   * @returns {GraphQLResponseError} the translated error, or `error` itself if already translated
+   *
+   * @public @static
+   */
+  static translateError(error, query, variables = {}) {
+    if (error instanceof GraphQLResponseError) {
+      return error;
+    }
+
+    const errors = Array.isArray(error.errors) ? error.errors : [];
+    const first = errors.length ? errors[0] : {};
+    const status = error.status ? error.status : error.response ? error.response.status : undefined;
+    const headers = (error.response ? error.response.headers : error.headers) || {};
+    const type = first.type ? first.type : first.extensions ? first.extensions.code : undefined;
+
+    let ErrorClass = GraphQLResponseError;
+
+    if (
+      type === "RATE_LIMITED" ||
+      ([403, 429].includes(status) && (headers["x-ratelimit-remaining"] === "0" || headers["retry-after"])) ||
+      /rate limit/i.test(error.message)
+    ) {
+      ErrorClass = RateLimitedError;
+    } else if (type === "NOT_FOUND" || status === 404) {
+      ErrorClass = NotFoundError;
+    } else if (["FORBIDDEN", "INSUFFICIENT_SCOPES"].includes(type) || [401, 403].includes(status)) {
+      ErrorClass = PermissionDeniedError;
+    } else if (type === "UNPROCESSABLE" || status === 422 || (first.extensions && first.extensions.code)) {
+      ErrorClass = ValidationError;
+    }
+
+    return new ErrorClass(first.message ? first.message : error.message, {
+      query: query,
+      variables: variables,
+      type: type,
+      path: first.path,
+      status: status,
+      errors: errors,
+      data: error.data,
+      cause: error,
+    });
+  }
+
+  /**
+   * Return the jittered, exponential backoff delay for the given attempt.
+   *
+   * @param {Number} attempt - the number of retries already made
+   *
+   * @returns {Number} the delay, in milliseconds
+   *
+   * @protected @static
+   */
+  static _getBackoff(attempt) {
+    const delay = Math.min(this.MAX_DELAY, this.BASE_DELAY * 2 ** attempt);
+
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  /**
+   * Wait for the given time.
+   *
+   * @param {Number} ms - the time to wait, in milliseconds
+   *
+   * @protected @static @async
+   */
+  static async _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+};
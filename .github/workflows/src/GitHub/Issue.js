@@ -1,9 +1,17 @@
-const ActionContext = require("../ActionContext");
-const NotImplementedError = require("../Errors/NotImplementedError");
+const EnhancedCore = require("../EnhancedCore");
+const Actor = require("./Actor");
+const Comment = require("./Comment");
+const Field = require("./Field");
 const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLClient = require("./GraphQLClient");
+const IssueAbstract = require("./IssueAbstract");
 const Label = require("./Label");
-const crypto = require("crypto");
+const Milestone = require("./Milestone");
+const ProjectV2 = require("./ProjectV2");
 const ProjectV2Item = require("./ProjectV2Item");
+const Repository = require("./Repository");
+const User = require("./User");
+const crypto = require("crypto");
 
 /**
  * Issue.
@@ -17,96 +25,99 @@ const ProjectV2Item = require("./ProjectV2Item");
  * @author Andrew Vaughan <hello@andrewvaughan.io>
  * @license MIT
  *
- * @class @extends GraphQLAbstract
+ * @class @extends IssueAbstract
  */
-module.exports = class Issue extends GraphQLAbstract {
+module.exports = class Issue extends IssueAbstract {
   /**
    * @inheritdoc
    */
   static _fields = {
-    activeLockReason: String,
-    // assignees: User,
-    // author: Actor,
-    authorAssociation: String,
-    body: String,
-    bodyHTML: String,
-    bodyResourcePath: String,
-    bodyText: String,
-    bodyUrl: String,
-    closed: Boolean,
-    closedAt: Date.parse,
-    // comments: Comment,
-    createdAt: Date.parse,
-    createdViaEmail: Boolean,
-    databaseId: Number,
-    // editor: Actor,
-    fullDatabaseId: Number,
+    activeLockReason: Field.scalar("LockReason"),
+    assignees: Field.connection(User, { nullable: false }),
+    author: Field.object(Actor),
+    authorAssociation: Field.scalar("CommentAuthorAssociation", { nullable: false }),
+    body: Field.scalar("String", { nullable: false, mutation: "updateIssue" }),
+    bodyHTML: Field.scalar("HTML", { nullable: false }),
+    bodyResourcePath: Field.scalar("URI", { nullable: false }),
+    bodyText: Field.scalar("String", { nullable: false }),
+    bodyUrl: Field.scalar("URI", { nullable: false }),
+    closed: Field.scalar("Boolean", { nullable: false }),
+    closedAt: Field.scalar("DateTime"),
+    comments: Field.connection(Comment, { nullable: false }),
+    createdAt: Field.scalar("DateTime", { nullable: false }),
+    createdViaEmail: Field.scalar("Boolean", { nullable: false }),
+    databaseId: Field.scalar("Int"),
+    editor: Field.object(Actor),
+    fullDatabaseId: Field.scalar("BigInt"),
     // hovercard: Hovercard,        // TODO - Search function
-    id: String,
-    includesCreatedEdit: Boolean,
-    isPinned: Boolean,
-    isReadByViewer: Boolean,
-    labels: Label,
-    lastEditedAt: Date.parse,
+    id: Field.scalar("ID", { nullable: false }),
+    includesCreatedEdit: Field.scalar("Boolean", { nullable: false }),
+    isPinned: Field.scalar("Boolean"),
+    isReadByViewer: Field.scalar("Boolean"),
+    labels: Field.connection(Label),
+    lastEditedAt: Field.scalar("DateTime"),
     // linkedBranches: LinkedBranch,
-    locked: Boolean,
-    // milestone: Milestone,
-    number: Number,
-    // participants: User,
+    locked: Field.scalar("Boolean", { nullable: false }),
+    milestone: Field.object(Milestone),
+    number: Field.scalar("Int", { nullable: false }),
+    participants: Field.connection(User, { nullable: false }),
     // projectCards: ProjectCard,
-    projectItems: ProjectV2Item,
+    projectItems: Field.connection(ProjectV2Item, { nullable: false }),
     // projectV2: ProjectV2,        // TODO - Search function
-    // projectsV2: ProjectV2,
-    publishedAt: Date.parse,
+    projectsV2: Field.connection(ProjectV2, { nullable: false }),
+    publishedAt: Field.scalar("DateTime"),
     // reactionGroups: ReactionGroup,
     // reactions: Reaction,
     // repository: Repository,
-    resourcePath: String,
-    state: String,
-    stateReason: String,
+    resourcePath: Field.scalar("URI", { nullable: false }),
+    state: Field.scalar("IssueState", { nullable: false }),
+    stateReason: Field.scalar("IssueStateReason"),
     // timeline: IssueTimeline,
     // timelineItems: IssueTimelineItems,
-    title: String,
-    titleHTML: String,
-    trackedInIssues: Issue,
-    trackedIssues: Issue,
-    trackedIssuesCount: Number,
-    updatedAt: Date.parse,
-    url: Date.parse,
+    title: Field.scalar("String", { nullable: false, mutation: "updateIssue" }),
+    titleHTML: Field.scalar("String", { nullable: false }),
+    trackedInIssues: Field.connection(Issue, { nullable: false }),
+    trackedIssues: Field.connection(Issue, { nullable: false }),
+    trackedIssuesCount: Field.scalar("Int", { nullable: false }),
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
+    url: Field.scalar("URI", { nullable: false }),
     // userContentEdits: UserContentEdit,
-    viewerCanClose: Boolean,
-    viewerCanDelete: Boolean,
-    viewerCanReact: Boolean,
-    viewerCanReopen: Boolean,
-    viewerCanSubscribe: Boolean,
-    viewerCanUpdate: Boolean,
+    viewerCanClose: Field.scalar("Boolean", { nullable: false }),
+    viewerCanDelete: Field.scalar("Boolean", { nullable: false }),
+    viewerCanReact: Field.scalar("Boolean", { nullable: false }),
+    viewerCanReopen: Field.scalar("Boolean", { nullable: false }),
+    viewerCanSubscribe: Field.scalar("Boolean", { nullable: false }),
+    viewerCanUpdate: Field.scalar("Boolean", { nullable: false }),
     // viewerCannotUpdateReasons,   // TODO - Returns Array of Strings
-    viewerDidAuthor: Boolean,
-    viewerSubscription: String,
-    viewerThreadSubscriptionFormAction: String,
-    viewerThreadSubscriptionStatus: String,
+    viewerDidAuthor: Field.scalar("Boolean", { nullable: false }),
+    viewerSubscription: Field.scalar("SubscriptionState"),
+    viewerThreadSubscriptionFormAction: Field.scalar("ThreadSubscriptionFormAction"),
+    viewerThreadSubscriptionStatus: Field.scalar("ThreadSubscriptionState"),
   };
 
   /**
-   * The Issue number.
+   * The reasons an Issue can be closed for, as accepted by {@link Issue#close}.
    *
-   * @public @readonly @type {Number}
-   */
-  number;
-
-  /**
-   * The Repository name containing the Issue.
+   * @see {@link https://docs.github.com/en/graphql/reference/enums#issueclosedstatereason}
    *
-   * @public @readonly @type {String}
+   * @public @static @constant @type {String[]}
    */
-  repository;
+  static CLOSE_REASONS = ["COMPLETED", "DUPLICATE", "NOT_PLANNED"];
 
   /**
-   * The Owner name for the Repository.
+   * The fields that change along with the state of the Issue.
    *
-   * @public @readonly @type {String}
+   * @protected @static @constant @type {String[]}
    */
-  owner;
+  static _STATE_FIELDS = [
+    "closed",
+    "closedAt",
+    "state",
+    "stateReason",
+    "updatedAt",
+    "viewerCanClose",
+    "viewerCanReopen",
+  ];
 
   /**
    * Create an Issue.
@@ -114,206 +125,320 @@ module.exports = class Issue extends GraphQLAbstract {
    * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
    *
    * @param {Number} number - the Issue number to load
-   * @param {String} [repository=context.repo.repo] - the Repository the Issue is part of
-   * @param {String} [owner=context.repo.owner] - the owner of the Repository
+   * @param {Repository|String} [repository=context.repo.repo] - the Repository the Issue is part of, or its name
+   * @param {String} [owner=context.repo.owner] - the owner of the Repository, if given by name
    *
    * @returns {Proxy} of this object to allow for enhanced getters and setters
    *
    * @override @public @constructor
    */
   constructor(number, repository = undefined, owner = undefined) {
-    super(number);
+    super(number, repository, owner);
 
     this._debugCall("constructor", arguments);
 
-    // Setting via reflection avoids the special setter override
-    this.number = number;
-    this.repository = repository ? repository : ActionContext.context.repo.repo;
-    this.owner = owner ? owner : ActionContext.context.repo.owner;
-
-    this._eCore.debug(`New Issue(number: ${this.number}, repository: ${this.repository}, owner: ${this.owner})`);
-
-    // Allows this to override all getters that aren't explicitly set.
-    return new Proxy(this, this);
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
   }
 
   /**
    * @inheritdoc
    */
-  static async create(caller, data = undefined) {
-    this._debugStaticCall(this.name, "create", arguments);
-
-    throw new NotImplementedError(); // TODO
-  }
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE, field = undefined) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(
+      this.name,
+      "create",
+      { caller: caller.constructor.name, pageSize: pageSize, field: field },
+      false,
+      logger,
+    );
 
-  /**
-   * @inheritdoc
-   */
-  _getGraphQLQuery() {
-    this._debugCall("_getGraphQLQuery", arguments);
-
-    const query = `
-      query GetIssueByNumber($owner: String!, $repository: String!, $issueNumber: Int!) {
-        repository(owner: $owner, name: $repository) {
-          issue(number: $issueNumber) {
-            ${this.constructor._getPrimitiveFields().join(" ")}
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    /**
+     * PullRequest.
+     */
+    if (caller.constructor.name === "PullRequest" && field === "closingIssuesReferences") {
+      return this._paginate(
+        `query GetClosingIssuesByPullRequest(
+          $owner: String!, $repository: String!, $number: Int!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+        ) {
+          repository(owner: $owner, name: $repository) {
+            pullRequest(number: $number) {
+              ${this._getConnectionSelection("closingIssuesReferences", {}, [this._getNodeSelection()])}
+            }
           }
-        }
-      }`;
-
-    const map = {
-      owner: this.owner,
-      repository: this.repository,
-      issueNumber: this.number,
-    };
-
-    const container = ["repository", "issue"];
+        }`,
+        {
+          owner: caller.repository.owner,
+          repository: caller.repository.name,
+          number: caller.number,
+        },
+        ["repository", "pullRequest", "closingIssuesReferences"],
+        undefined,
+        pageSize,
+      );
+    }
 
-    return [query, map, container];
+    return super.create(caller, pageSize, field);
   }
 
-  // Labels ------------------------------------------------------------------------------------------------------------
+  // Opening -----------------------------------------------------------------------------------------------------------
 
   /**
-   * Add one or more Labels to the Issue.
+   * Opens a new Issue.
+   *
+   * Labels, Users, the Milestone, and ProjectsV2 may be given by name, login, or number, which resolve to their IDs.
+   *
+   * GitHub doesn't add Issues to ProjectsV2 as it opens them, so each ProjectV2 adds the Issue in a separate call once
+   * it's open. If one of those calls fails, the Issue stays open, in any ProjectsV2 added to before the failure.
+   *
+   * @example
+   * ```js
+   * const issue = await Issue.open({
+   *   title: "Triage digest",
+   *   body: "...",
+   *   labels: ["triage"],
+   *   assignees: ["octocat"],
+   *   projects: [1],
+   * });
+   * ```
+   *
+   * @param {Object<String, *>} options - the options to open with
+   * @param {String} options.title - the title of the Issue
+   * @param {String} [options.body] - the body of the Issue
+   * @param {String[]|Label[]} [options.labels=[]] - the Labels, or label names, to add
+   * @param {String[]|User[]} [options.assignees=[]] - the Users, or logins, to assign
+   * @param {Milestone|Number} [options.milestone] - the Milestone, or its number, to add the Issue to
+   * @param {ProjectV2[]|Number[]} [options.projects=[]] - the ProjectsV2, or numbers of ProjectsV2 with the same owner
+   *   as the Repository, to add the Issue to
+   * @param {Repository|String} [options.repository=context.repo.repo] - the Repository, or name of a Repository with
+   *   the same owner as the current one, to open the Issue in
    *
-   * @param {String|String[]|Label|Label[]} labels - one or more Labels or label names to add to the Issue
+   * @returns {Issue|null} the Issue, or `null` on a dry run, as no Issue is opened
    *
+   * @throws {TypeError} if the title is missing
    * @throws {TypeError} upon encountering an unexpected object type
+   * @throws {NotFoundError} if a Label, User, Milestone, or ProjectV2 doesn't exist, before opening the Issue
+   * @throws {GraphQLResponseError} if adding the opened Issue to a ProjectV2 fails
    *
-   * @public @async
+   * @public @static @async
    */
-  async addLabels(labels) {
-    this._debugCall("addLabels", arguments);
+  static async open({
+    title = undefined,
+    body = undefined,
+    labels = [],
+    assignees = [],
+    milestone = undefined,
+    projects = [],
+    repository = undefined,
+  } = {}) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(
+      this.name,
+      "open",
+      { title: title, body: "...", labels: labels, assignees: assignees, milestone: milestone, projects: projects },
+      true,
+      logger,
+    );
 
-    if (!Array.isArray(labels)) {
-      labels = [labels];
+    if (typeof title !== "string" || !title) {
+      throw new TypeError("Missing required Issue title");
     }
 
-    this._eCore.verbose("Parsing label names...");
+    repository = Repository.resolve(repository);
 
-    let promises = [];
+    logger.verbose("Parsing labels, users, milestone, and projects...");
 
-    labels.forEach(async (label) => {
-      if (typeof label === "string") {
-        label = new Label(label, this.repository, this.owner);
-      }
+    // Names and numbers resolve in the Repository, or its owner, the Issue opens in
+    const resolve = (values, type, primitive, build) => {
+      return values.map((value) => {
+        value = typeof value === primitive ? build(value) : value;
 
-      if (!(label instanceof Label)) {
-        throw new TypeError(`Unexpected Label type encountered: \`${label.constructor.name}\``);
-      }
+        if (!(value instanceof type)) {
+          throw new TypeError(`Unexpected ${type.name} type encountered: \`${value.constructor.name}\``);
+        }
 
-      promises.push(label.id);
-    });
+        return value;
+      });
+    };
 
-    const issueID = await this.id;
+    labels = resolve(labels, Label, "string", (name) => new Label(name, repository));
+    assignees = resolve(assignees, User, "string", (login) => new User(login));
+    projects = resolve(projects, ProjectV2, "number", (number) => new ProjectV2(number, repository.owner));
+
+    const milestones = milestone
+      ? resolve([milestone], Milestone, "number", (number) => new Milestone(number, repository))
+      : [];
+
+    // Wait for all the IDs to fetch, together, so anything missing rejects the whole call before opening the Issue
+    const [repositoryID, ...ids] = await Promise.all([
+      repository.id,
+      Promise.all(labels.map((label) => label.id)),
+      Promise.all(assignees.map((user) => user.id)),
+      Promise.all(milestones.map((item) => item.id)),
+      Promise.all(projects.map((project) => project.id)),
+    ]);
+
+    logger.debug(`Calling GitHub GraphQL API to open an Issue in \`${repository.owner}/${repository.name}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation CreateIssue(
+        $clientID: String!, $repositoryID: ID!, $title: String!, $body: String,
+        $labelIDs: [ID!], $userIDs: [ID!], $milestoneID: ID
+      ) {
+        createIssue(input: {
+          clientMutationId: $clientID,
+          repositoryId: $repositoryID,
+          title: $title,
+          body: $body,
+          labelIds: $labelIDs,
+          assigneeIds: $userIDs,
+          milestoneId: $milestoneID
+        }) {
+          clientMutationId
+          issue {
+            ${this._getNodeSelection()}
+          }
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        repositoryID: repositoryID,
+        title: title,
+        body: typeof body === "undefined" ? null : body,
+        labelIDs: ids[0],
+        userIDs: ids[1],
+        milestoneID: ids[2].length ? ids[2][0] : null,
+      },
+    );
 
-    // Wait for all the Issue IDs to fetch
-    return Promise.all(promises).then((labelIDs) => {
-      this._eCore.debug(`Calling GitHub GraphQL API to add Labels to Issue #${this.number}...`);
-      this._eCore.verbose(`Label IDs: ${labelIDs.join(", ")}`);
-
-      return ActionContext.github.graphql(
-        `mutation AddLabelsToIssue($clientID: String!, $labelIDs: [ID!]!, $issueID: ID!) {
-            addLabelsToLabelable(input: {
-              clientMutationId: $clientID,
-              labelIds: $labelIDs,
-              labelableId: $issueID
-            }) {
-              clientMutationId
-            }
-          }`,
-        {
-          clientID: crypto.randomUUID(),
-          labelIDs: labelIDs,
-          issueID: issueID,
-        },
-      );
-    });
+    repository.invalidate(["issues", "updatedAt"]);
+
+    if (!response.createIssue.issue) {
+      return null;
+    }
+
+    const issue = this._build({ ...response.createIssue.issue, repository: repository });
+
+    // `createIssue` only takes classic Projects, so ProjectsV2 add the Issue themselves
+    for (const project of projects) {
+      await project.addItem(issue);
+    }
+
+    return issue;
   }
 
+  // State -------------------------------------------------------------------------------------------------------------
+
   /**
-   * Remove one or more Labels from the Issue.
+   * Closes the Issue.
+   *
+   * @example
+   * ```js
+   * await issue.close({ reason: "NOT_PLANNED" });
+   * await issue.close({ duplicateOf: 41 });
+   * ```
    *
-   * Labels must exist in the Issue's Repository to succeed without failure.
+   * @param {Object<String, *>} [options={}] - the options to close with
+   * @param {String} [options.reason] - the reason to close the Issue for, as one of {@link Issue.CLOSE_REASONS},
+   *   defaulting to `DUPLICATE` when `duplicateOf` is given and `COMPLETED` otherwise
+   * @param {Issue|Number} [options.duplicateOf] - the Issue, or number of the Issue in the same Repository, that this
+   *   duplicates
    *
-   * @param {String|String[]|Label|Label[]} labels - one or more Labels or label names to remove from the Issue
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @throws {TypeError} if the reason isn't one of {@link Issue.CLOSE_REASONS}
+   * @throws {TypeError} if `duplicateOf` is given for a reason other than `DUPLICATE`
+   * @throws {TypeError} upon encountering an unexpected object type for `duplicateOf`
    *
    * @public @async
    */
-  async removeLabels(labels) {
-    this._debugCall("removeLabels", arguments);
+  async close({ reason = undefined, duplicateOf = undefined } = {}) {
+    // Issues can refer back to themselves through their Comments, so only log the duplicate's node ID, once loaded
+    this._debugCall("close", { reason: reason, duplicateOf: duplicateOf ? "..." : null });
 
-    if (!Array.isArray(labels)) {
-      labels = [labels];
+    if (typeof reason === "undefined") {
+      reason = duplicateOf ? "DUPLICATE" : "COMPLETED";
     }
 
-    this._eCore.verbose("Parsing label names...");
+    const stateReason = typeof reason === "string" ? reason.toUpperCase() : reason;
+
+    if (!Issue.CLOSE_REASONS.includes(stateReason)) {
+      throw new TypeError(
+        `Unexpected close reason: \`${reason}\` (expected one of \`${Issue.CLOSE_REASONS.join("`, `")}\`)`,
+      );
+    }
 
-    let promises = [];
+    if (duplicateOf && stateReason !== "DUPLICATE") {
+      throw new TypeError(`Unexpected duplicate Issue for close reason: \`${stateReason}\` (expected \`DUPLICATE\`)`);
+    }
 
-    labels.forEach(async (label) => {
-      if (typeof label === "string") {
-        label = new Label(label, this.repository, this.owner);
-      }
+    if (typeof duplicateOf === "number") {
+      duplicateOf = new Issue(duplicateOf, this.repository);
+    }
 
-      if (!(label instanceof Label)) {
-        throw new TypeError(`Unexpected Label type encountered: \`${label.constructor.name}\``);
-      }
+    if (duplicateOf && !(duplicateOf instanceof Issue)) {
+      throw new TypeError(`Unexpected Issue type encountered: \`${duplicateOf.constructor.name}\``);
+    }
 
-      promises.push(label.id);
-    });
+    const [issueID, duplicateID] = await Promise.all([this.id, duplicateOf ? duplicateOf.id : null]);
 
-    const issueID = await this.id;
+    this._eCore.debug(`Calling GitHub GraphQL API to close Issue #${this.number} as \`${stateReason}\`...`);
 
-    // Wait for all the Issue IDs to fetch
-    return Promise.all(promises).then((labelIDs) => {
-      this._eCore.debug(`Calling GitHub GraphQL API to remove Labels from Issue #${this.number}...`);
-      this._eCore.verbose(`Label IDs: ${labelIDs.join(", ")}`);
-
-      return ActionContext.github.graphql(
-        `mutation RemoveLabelsFromIssue($clientID: String!, $labelIDs: [ID!]!, $issueID: ID!) {
-            removeLabelsFromLabelable(input: {
-              clientMutationId: $clientID,
-              labelIds: $labelIDs,
-              labelableId: $issueID
-            }) {
-              clientMutationId
-            }
-          }`,
-        {
-          clientID: crypto.randomUUID(),
-          labelIDs: labelIDs,
-          issueID: issueID,
-        },
-      );
-    });
-  }
+    if (duplicateID) {
+      this._eCore.verbose(`Duplicate Issue ID: ${duplicateID}`);
+    }
 
-  // Comments ----------------------------------------------------------------------------------------------------------
+    const response = await GraphQLClient.request(
+      `mutation CloseIssue(
+        $clientID: String!, $issueID: ID!, $stateReason: IssueClosedStateReason!, $duplicateID: ID
+      ) {
+        closeIssue(input: {
+          clientMutationId: $clientID,
+          issueId: $issueID,
+          stateReason: $stateReason,
+          duplicateIssueId: $duplicateID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        issueID: issueID,
+        stateReason: stateReason,
+        duplicateID: duplicateID,
+      },
+    );
+
+    this.invalidate(Issue._STATE_FIELDS);
+
+    return response;
+  }
 
   /**
-   * Adds a comment to the Issue.
+   * Reopens the Issue.
    *
-   * @param {String} comment - the message to include in the comment
-   *
-   * @returns {Object<String, *>} - the full response from the GitHub REST API
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
    *
    * @public @async
    */
-  async addComment(comment) {
-    this._debugCall("addComment", { comment: "..." });
-
-    this._eCore.verbose(comment);
+  async reopen() {
+    this._debugCall("reopen", arguments);
 
     const issueID = await this.id;
 
-    return ActionContext.github.graphql(
-      `mutation AddCommentToIssue($clientID: String!, $issueID: ID!, $comment: String!) {
-        addComment(input: {
+    this._eCore.debug(`Calling GitHub GraphQL API to reopen Issue #${this.number}...`);
+
+    const response = await GraphQLClient.request(
+      `mutation ReopenIssue($clientID: String!, $issueID: ID!) {
+        reopenIssue(input: {
           clientMutationId: $clientID,
-          subjectId: $issueID,
-          body: $comment
+          issueId: $issueID
         }) {
           clientMutationId
         }
@@ -321,59 +446,137 @@ module.exports = class Issue extends GraphQLAbstract {
       {
         clientID: crypto.randomUUID(),
         issueID: issueID,
-        comment: comment,
       },
     );
+
+    this.invalidate(Issue._STATE_FIELDS);
+
+    return response;
   }
 
   /**
-   * Adds a notice-formatted comment to the Issue.
-   *
-   * @param {String} message - the message to include in the comment
+   * Pins the Issue to its Repository.
    *
-   * @returns {Object<String, *>} - the full response from the GitHub REST API
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
    *
    * @public @async
    */
-  async addNotice(message) {
-    this._debugCall("addNotice", { message: "..." });
+  async pin() {
+    this._debugCall("pin", arguments);
 
-    this._eCore.verbose(message);
+    const issueID = await this.id;
 
-    return this.addComment(`## :thought_balloon: Notice\n\n${message}`);
+    this._eCore.debug(`Calling GitHub GraphQL API to pin Issue #${this.number}...`);
+
+    const response = await GraphQLClient.request(
+      `mutation PinIssue($clientID: String!, $issueID: ID!) {
+        pinIssue(input: {
+          clientMutationId: $clientID,
+          issueId: $issueID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        issueID: issueID,
+      },
+    );
+
+    this.invalidate(["isPinned"]);
+
+    return response;
   }
 
   /**
-   * Adds a warning-formatted comment to the Issue.
-   *
-   * @param {string} message - the message to include in the comment
+   * Unpins the Issue from its Repository.
    *
-   * @returns {Object<string, *>} - the full response from the GitHub REST API
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
    *
    * @public @async
    */
-  async addWarning(message) {
-    this._debugCall("addWarning", { message: "..." });
+  async unpin() {
+    this._debugCall("unpin", arguments);
 
-    this._eCore.verbose(message);
+    const issueID = await this.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to unpin Issue #${this.number}...`);
 
-    return this.addComment(`## :warning: Warning\n\n${message}`);
+    const response = await GraphQLClient.request(
+      `mutation UnpinIssue($clientID: String!, $issueID: ID!) {
+        unpinIssue(input: {
+          clientMutationId: $clientID,
+          issueId: $issueID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        issueID: issueID,
+      },
+    );
+
+    this.invalidate(["isPinned"]);
+
+    return response;
   }
 
   /**
-   * Adds an error-formatted comment to the Issue.
+   * Transfers the Issue to another Repository, which gives it a new number there.
+   *
+   * This Issue still refers to the old number, so use the returned Issue from then on.
    *
-   * @param {string} message - the message to include in the comment
+   * @param {Repository|String} repository - the Repository, or name of a Repository with the same owner, to transfer to
+   * @param {Boolean} [createLabelsIfMissing=false] - whether to create the Issue's Labels in the Repository, where
+   *   missing, rather than dropping them
    *
-   * @returns {Object<string, *>>} - the full response from the GitHub REST API
+   * @returns {Issue|null} the Issue in its new Repository, or `null` on a dry run, as nothing is transferred
+   *
+   * @throws {TypeError} upon encountering an unexpected object type
    *
    * @public @async
    */
-  async addError(message) {
-    this._debugCall("addError", { message: "..." });
+  async transferTo(repository, createLabelsIfMissing = false) {
+    this._debugCall("transferTo", arguments);
+
+    repository = Repository.resolve(repository, this.repository.owner);
+
+    const [issueID, repositoryID] = await Promise.all([this.id, repository.id]);
+
+    this._eCore.debug(`Calling GitHub GraphQL API to transfer Issue #${this.number} to \`${repository.name}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation TransferIssue(
+        $clientID: String!, $issueID: ID!, $repositoryID: ID!, $createLabelsIfMissing: Boolean!
+      ) {
+        transferIssue(input: {
+          clientMutationId: $clientID,
+          issueId: $issueID,
+          repositoryId: $repositoryID,
+          createLabelsIfMissing: $createLabelsIfMissing
+        }) {
+          issue {
+            number
+          }
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        issueID: issueID,
+        repositoryID: repositoryID,
+        createLabelsIfMissing: Boolean(createLabelsIfMissing),
+      },
+    );
+
+    if (!response || !response.transferIssue || !response.transferIssue.issue) {
+      return null;
+    }
 
-    this._eCore.verbose(message);
+    // The old number no longer loads the Issue, so its identity belongs to the Issue in its new Repository instead
+    this.clearCache();
+    this._unregister();
 
-    return this.addComment(`## :rotating_light: Error\n\n${message}`);
+    return new Issue(response.transferIssue.issue.number, repository);
   }
 };
@@ -0,0 +1,835 @@
+const EnhancedCore = require("../EnhancedCore");
+const NotFoundError = require("../Errors/NotFoundError");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Comment = require("./Comment");
+const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLClient = require("./GraphQLClient");
+const Label = require("./Label");
+const Repository = require("./Repository");
+const User = require("./User");
+const crypto = require("crypto");
+
+/**
+ * IssueAbstract.
+ *
+ * @classdesc
+ * The behavior GitHub Issues and Pull Requests share, as both are numbered within a Repository and can be labeled,
+ * assigned, and commented on.
+ *
+ * Child classes load by the field of a Repository named after their GraphQL type (e.g., `pullRequest(number: 42)` for
+ * a `PullRequest`).
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/interfaces#labelable}
+ * @see {@link https://docs.github.com/en/graphql/reference/interfaces#assignable}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @abstract @class @extends GraphQLAbstract
+ */
+module.exports = class IssueAbstract extends GraphQLAbstract {
+  /**
+   * The reasons a conversation can be locked for, as accepted by {@link IssueAbstract#lock}.
+   *
+   * @see {@link https://docs.github.com/en/graphql/reference/enums#lockreason}
+   *
+   * @public @static @constant @type {String[]}
+   */
+  static LOCK_REASONS = ["OFF_TOPIC", "RESOLVED", "SPAM", "TOO_HEATED"];
+
+  /**
+   * The number within the Repository.
+   *
+   * @public @readonly @type {Number}
+   */
+  number;
+
+  /**
+   * The Repository containing this.
+   *
+   * @public @readonly @type {Repository}
+   */
+  repository;
+
+  /**
+   * Create an Issue or Pull Request.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {Number} number - the number to load
+   * @param {Repository|String} [repository=context.repo.repo] - the Repository this is part of, or its name
+   * @param {String} [owner=context.repo.owner] - the owner of the Repository, if given by name
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor(number, repository = undefined, owner = undefined) {
+    super(number);
+
+    this._debugCall("constructor", arguments);
+
+    // Setting via reflection avoids the special setter override
+    this.number = number;
+    this.repository = Repository.resolve(repository, owner);
+
+    const nameWithOwner = `${this.repository.owner}/${this.repository.name}`;
+
+    this._eCore.debug(`New ${this.constructor.name}(number: ${this.number}, repository: ${nameWithOwner})`);
+
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE, field = undefined) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(
+      this.name,
+      "create",
+      { caller: caller.constructor.name, pageSize: pageSize, field: field },
+      false,
+      logger,
+    );
+
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    // Repositories list each kind by the plural of the field that loads one (e.g., `issues` for `issue`)
+    const connection = `${this._getRepositoryField()}s`;
+
+    /**
+     * Repository.
+     */
+    if (caller.constructor.name === "Repository" && field === connection) {
+      return this._paginate(
+        `query Get${this.name}sByRepository(
+          $owner: String!, $repository: String!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+        ) {
+          repository(owner: $owner, name: $repository) {
+            ${this._getConnectionSelection(connection)}
+          }
+        }`,
+        {
+          owner: caller.owner,
+          repository: caller.name,
+        },
+        ["repository", connection],
+        (data) => this._build({ ...data, repository: caller }),
+        pageSize,
+      );
+    }
+
+    throw new NotImplementedError(
+      `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`` +
+        (field ? ` for \`${field}\`.` : "."),
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    // Loading by node ID selects the Repository, rather than knowing it up front
+    if (data.repository && !(data.repository instanceof Repository)) {
+      data = { ...data, repository: Repository._build(data.repository) };
+    }
+
+    ["repository", "number"].forEach((key) => {
+      if (!(key in data)) {
+        throw new ReferenceError(`Missing required ${this.name} field: \`${key}\``);
+      }
+    });
+
+    const { repository, ...fields } = data;
+    const built = new this(fields["number"], repository);
+
+    // Hydrate directly to not trigger a GitHub update on the setter
+    return built._hydrate(fields, ignoreAdditional);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _getNodeSelection() {
+    return `${super._getNodeSelection()} repository { name owner { login } }`;
+  }
+
+  /**
+   * Return the field of a Repository that loads this by number (e.g., `issue` or `pullRequest`).
+   *
+   * @returns {String}
+   *
+   * @protected @static
+   */
+  static _getRepositoryField() {
+    const type = this._getGraphQLType();
+
+    return `${type.charAt(0).toLowerCase()}${type.slice(1)}`;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getIdentityKeys() {
+    const repository = `${this.repository.owner}/${this.repository.name}`;
+
+    return [`${this.constructor.name}:${repository}#${this.number}`.toLowerCase()];
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getGraphQLQuery() {
+    this._debugCall("_getGraphQLQuery", arguments);
+
+    const field = this.constructor._getRepositoryField();
+
+    const query = `
+      query Get${this.constructor.name}ByNumber($owner: String!, $repository: String!, $number: Int!) {
+        repository(owner: $owner, name: $repository) {
+          ${field}(number: $number) {
+            ${this.constructor._getPrimitiveFields().join(" ")}
+          }
+        }
+      }`;
+
+    const map = {
+      owner: this.repository.owner,
+      repository: this.repository.name,
+      number: this.number,
+    };
+
+    const container = ["repository", field];
+
+    return [query, map, container];
+  }
+
+  // Labels ------------------------------------------------------------------------------------------------------------
+
+  /**
+   * Add one or more Labels to the Issue or Pull Request.
+   *
+   * @example
+   * ```js
+   * await issue.addLabels(["Needs Triage", "Request: Feature"]);
+   * await issue.addLabels("Flaky", { createMissing: true, defaults: { color: "fbca04", description: "Flaky test" } });
+   * ```
+   *
+   * @param {String|String[]|Label|Label[]} labels - one or more Labels or label names to add
+   * @param {Object<String, *>} [options={}] - the options to add with
+   * @param {Boolean} [options.createMissing=false] - whether to create Labels that don't exist in the Repository yet,
+   *   rather than failing
+   * @param {Object<String, String>} [options.defaults={}] - the `color` (default {@link Label.DEFAULT_COLOR}) and
+   *   `description` of any Labels created
+   *
+   * @returns {Object<String, *>|null} the full response from the GitHub GraphQL API, or `null` if there's no Label to
+   *   add, such as when only creating Labels on a dry run
+   *
+   * @throws {TypeError} upon encountering an unexpected object type
+   * @throws {NotFoundError} if any Labels don't exist in the Repository, and aren't created, naming each of them
+   *
+   * @public @async
+   */
+  async addLabels(labels, { createMissing = false, defaults = {} } = {}) {
+    this._debugCall("addLabels", arguments);
+
+    labels = this._parseLabels(labels);
+
+    // Missing Labels resolve to `null`, rather than rejecting, so they're all created or reported together
+    const [nodeID, foundIDs] = await Promise.all([
+      this.id,
+      Promise.all(
+        labels.map((label) => {
+          return Promise.resolve(label.id).catch((error) => {
+            if (error instanceof NotFoundError) {
+              return null;
+            }
+
+            throw error;
+          });
+        }),
+      ),
+    ]);
+
+    const missing = labels.filter((label, index) => !foundIDs[index]);
+    const nameWithOwner = `${this.repository.owner}/${this.repository.name}`;
+
+    if (missing.length && !createMissing) {
+      throw new NotFoundError(
+        `Labels not found in \`${nameWithOwner}\`: \`${missing.map((label) => label.name).join("`, `")}\` ` +
+          "(set `createMissing` to create them)",
+        { type: "NOT_FOUND" },
+      );
+    }
+
+    let labelIDs = foundIDs.filter((id) => id);
+
+    for (const label of missing) {
+      this._eCore.info(`Creating missing Label \`${label.name}\` in \`${nameWithOwner}\`...`);
+
+      const created = await this.repository.addLabel(
+        label.name,
+        defaults.color ? defaults.color : Label.DEFAULT_COLOR,
+        defaults.description,
+      );
+
+      // Nothing is created on a dry run, so there's no ID to add
+      if (created) {
+        labelIDs.push(await created.id);
+      }
+    }
+
+    if (!labelIDs.length) {
+      this._eCore.debug("No Labels to add.");
+      return null;
+    }
+
+    this._eCore.debug(`Calling GitHub GraphQL API to add Labels to ${this.constructor.name} #${this.number}...`);
+    this._eCore.verbose(`Label IDs: ${labelIDs.join(", ")}`);
+
+    const response = await GraphQLClient.request(
+      `mutation AddLabelsTo${this.constructor.name}($clientID: String!, $labelIDs: [ID!]!, $nodeID: ID!) {
+        addLabelsToLabelable(input: {
+          clientMutationId: $clientID,
+          labelIds: $labelIDs,
+          labelableId: $nodeID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        labelIDs: labelIDs,
+        nodeID: nodeID,
+      },
+    );
+
+    this.invalidate(["labels", "updatedAt"]);
+
+    return response;
+  }
+
+  /**
+   * Remove one or more Labels from the Issue or Pull Request.
+   *
+   * Labels that aren't on the Issue or Pull Request, including any that don't exist in its Repository, are ignored.
+   *
+   * @param {String|String[]|Label|Label[]} labels - one or more Labels or label names to remove
+   *
+   * @returns {Object<String, *>|null} the full response from the GitHub GraphQL API, or `null` if none of the Labels
+   *   are on the Issue or Pull Request
+   *
+   * @throws {TypeError} upon encountering an unexpected object type
+   *
+   * @public @async
+   */
+  async removeLabels(labels) {
+    this._debugCall("removeLabels", arguments);
+
+    const names = this._parseLabels(labels).map((label) => label.name.toLowerCase());
+
+    let present = [];
+
+    for await (const label of this.labels) {
+      if (names.includes(label.name.toLowerCase())) {
+        present.push(label);
+      }
+    }
+
+    if (!present.length) {
+      this._eCore.debug(`None of the Labels are on ${this.constructor.name} #${this.number}.`);
+      return null;
+    }
+
+    const [nodeID, labelIDs] = await Promise.all([this.id, Promise.all(present.map((label) => label.id))]);
+
+    this._eCore.debug(`Calling GitHub GraphQL API to remove Labels from ${this.constructor.name} #${this.number}...`);
+    this._eCore.verbose(`Label IDs: ${labelIDs.join(", ")}`);
+
+    const response = await GraphQLClient.request(
+      `mutation RemoveLabelsFrom${this.constructor.name}($clientID: String!, $labelIDs: [ID!]!, $nodeID: ID!) {
+        removeLabelsFromLabelable(input: {
+          clientMutationId: $clientID,
+          labelIds: $labelIDs,
+          labelableId: $nodeID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        labelIDs: labelIDs,
+        nodeID: nodeID,
+      },
+    );
+
+    this.invalidate(["labels", "updatedAt"]);
+
+    return response;
+  }
+
+  /**
+   * Return Labels in the Repository of the Issue or Pull Request, given one or more Labels or label names.
+   *
+   * @param {String|String[]|Label|Label[]} labels - one or more Labels or label names
+   *
+   * @returns {Label[]}
+   *
+   * @throws {TypeError} upon encountering an unexpected object type
+   *
+   * @protected
+   */
+  _parseLabels(labels) {
+    if (!Array.isArray(labels)) {
+      labels = [labels];
+    }
+
+    this._eCore.verbose("Parsing label names...");
+
+    return labels.map((label) => {
+      if (typeof label === "string") {
+        label = new Label(label, this.repository);
+      }
+
+      if (!(label instanceof Label)) {
+        throw new TypeError(`Unexpected Label type encountered: \`${label.constructor.name}\``);
+      }
+
+      return label;
+    });
+  }
+
+  // Locking -----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Locks the conversation on the Issue or Pull Request, so only collaborators can comment.
+   *
+   * @param {String} [reason=undefined] - the reason to lock the conversation for, as one of
+   *   {@link IssueAbstract.LOCK_REASONS}, if any
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @throws {TypeError} if the reason isn't one of {@link IssueAbstract.LOCK_REASONS}
+   *
+   * @public @async
+   */
+  async lock(reason = undefined) {
+    this._debugCall("lock", arguments);
+
+    const lockReason = typeof reason === "string" ? reason.toUpperCase() : reason;
+
+    if (typeof lockReason !== "undefined" && !IssueAbstract.LOCK_REASONS.includes(lockReason)) {
+      throw new TypeError(
+        `Unexpected lock reason: \`${reason}\` (expected one of \`${IssueAbstract.LOCK_REASONS.join("`, `")}\`)`,
+      );
+    }
+
+    const nodeID = await this.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to lock ${this.constructor.name} #${this.number}...`);
+
+    const response = await GraphQLClient.request(
+      `mutation Lock${this.constructor.name}($clientID: String!, $nodeID: ID!, $lockReason: LockReason) {
+        lockLockable(input: {
+          clientMutationId: $clientID,
+          lockableId: $nodeID,
+          lockReason: $lockReason
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        nodeID: nodeID,
+        lockReason: typeof lockReason === "undefined" ? null : lockReason,
+      },
+    );
+
+    this.invalidate(["activeLockReason", "locked", "updatedAt"]);
+
+    return response;
+  }
+
+  /**
+   * Unlocks the conversation on the Issue or Pull Request.
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @public @async
+   */
+  async unlock() {
+    this._debugCall("unlock", arguments);
+
+    const nodeID = await this.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to unlock ${this.constructor.name} #${this.number}...`);
+
+    const response = await GraphQLClient.request(
+      `mutation Unlock${this.constructor.name}($clientID: String!, $nodeID: ID!) {
+        unlockLockable(input: {
+          clientMutationId: $clientID,
+          lockableId: $nodeID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        nodeID: nodeID,
+      },
+    );
+
+    this.invalidate(["activeLockReason", "locked", "updatedAt"]);
+
+    return response;
+  }
+
+  // Assignees ---------------------------------------------------------------------------------------------------------
+
+  /**
+   * Assign one or more Users to the Issue or Pull Request.
+   *
+   * @param {String|String[]|User|User[]} users - one or more Users or logins to assign
+   *
+   * @throws {TypeError} upon encountering an unexpected object type
+   * @throws {NotFoundError} if a User doesn't exist
+   *
+   * @public @async
+   */
+  async addAssignees(users) {
+    this._debugCall("addAssignees", arguments);
+
+    if (!Array.isArray(users)) {
+      users = [users];
+    }
+
+    this._eCore.verbose("Parsing user logins...");
+
+    let promises = [];
+
+    users.forEach((user) => {
+      if (typeof user === "string") {
+        user = new User(user);
+      }
+
+      if (!(user instanceof User)) {
+        throw new TypeError(`Unexpected User type encountered: \`${user.constructor.name}\``);
+      }
+
+      promises.push(user.id);
+    });
+
+    // Wait for this ID and all the User IDs to fetch, together, so a missing User rejects the whole call
+    return Promise.all([this.id, Promise.all(promises)]).then(async ([nodeID, userIDs]) => {
+      this._eCore.debug(`Calling GitHub GraphQL API to assign to ${this.constructor.name} #${this.number}...`);
+      this._eCore.verbose(`User IDs: ${userIDs.join(", ")}`);
+
+      const response = await GraphQLClient.request(
+        `mutation AddAssigneesTo${this.constructor.name}($clientID: String!, $userIDs: [ID!]!, $nodeID: ID!) {
+            addAssigneesToAssignable(input: {
+              clientMutationId: $clientID,
+              assigneeIds: $userIDs,
+              assignableId: $nodeID
+            }) {
+              clientMutationId
+            }
+          }`,
+        {
+          clientID: crypto.randomUUID(),
+          userIDs: userIDs,
+          nodeID: nodeID,
+        },
+      );
+
+      this.invalidate(["assignees", "participants", "updatedAt"]);
+
+      return response;
+    });
+  }
+
+  /**
+   * Unassign one or more Users from the Issue or Pull Request.
+   *
+   * Users must exist to succeed without failure, but needn't be assigned to the Issue or Pull Request.
+   *
+   * @param {String|String[]|User|User[]} users - one or more Users or logins to unassign
+   *
+   * @throws {TypeError} upon encountering an unexpected object type
+   *
+   * @public @async
+   */
+  async removeAssignees(users) {
+    this._debugCall("removeAssignees", arguments);
+
+    if (!Array.isArray(users)) {
+      users = [users];
+    }
+
+    this._eCore.verbose("Parsing user logins...");
+
+    let promises = [];
+
+    users.forEach((user) => {
+      if (typeof user === "string") {
+        user = new User(user);
+      }
+
+      if (!(user instanceof User)) {
+        throw new TypeError(`Unexpected User type encountered: \`${user.constructor.name}\``);
+      }
+
+      promises.push(user.id);
+    });
+
+    // Wait for this ID and all the User IDs to fetch, together, so a missing User rejects the whole call
+    return Promise.all([this.id, Promise.all(promises)]).then(async ([nodeID, userIDs]) => {
+      this._eCore.debug(`Calling GitHub GraphQL API to unassign from ${this.constructor.name} #${this.number}...`);
+      this._eCore.verbose(`User IDs: ${userIDs.join(", ")}`);
+
+      const response = await GraphQLClient.request(
+        `mutation RemoveAssigneesFrom${this.constructor.name}($clientID: String!, $userIDs: [ID!]!, $nodeID: ID!) {
+            removeAssigneesFromAssignable(input: {
+              clientMutationId: $clientID,
+              assigneeIds: $userIDs,
+              assignableId: $nodeID
+            }) {
+              clientMutationId
+            }
+          }`,
+        {
+          clientID: crypto.randomUUID(),
+          userIDs: userIDs,
+          nodeID: nodeID,
+        },
+      );
+
+      this.invalidate(["assignees", "participants", "updatedAt"]);
+
+      return response;
+    });
+  }
+
+  // Comments ----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Adds a comment to the Issue or Pull Request.
+   *
+   * @param {String} comment - the message to include in the comment
+   *
+   * @returns {Comment|null} the Comment, or `null` on a dry run, as no Comment is created
+   *
+   * @public @async
+   */
+  async addComment(comment) {
+    this._debugCall("addComment", { comment: "..." });
+
+    this._eCore.verbose(comment);
+
+    const nodeID = await this.id;
+
+    const response = await GraphQLClient.request(
+      `mutation AddCommentTo${this.constructor.name}($clientID: String!, $nodeID: ID!, $comment: String!) {
+        addComment(input: {
+          clientMutationId: $clientID,
+          subjectId: $nodeID,
+          body: $comment
+        }) {
+          clientMutationId
+          commentEdge {
+            node {
+              ${Comment._getNodeSelection()}
+            }
+          }
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        nodeID: nodeID,
+        comment: comment,
+      },
+    );
+
+    this.invalidate(["comments", "participants", "updatedAt"]);
+
+    const edge = response.addComment.commentEdge;
+
+    return edge ? Comment._build(edge.node) : null;
+  }
+
+  /**
+   * Find the comment this workflow added with a key, via {@link IssueAbstract#upsertComment}.
+   *
+   * @param {String} key - the key of the comment
+   *
+   * @returns {Comment|null} the Comment, or `null` if there isn't one with the key
+   *
+   * @public @async
+   */
+  async findComment(key) {
+    this._debugCall("findComment", arguments);
+
+    const marker = Comment.getMarker(key);
+
+    for await (const comment of this.comments) {
+      if ((await comment.viewerDidAuthor) && (await comment.body).includes(marker)) {
+        return comment;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Adds a comment to the Issue or Pull Request identified by a key, or edits the existing comment with that key.
+   *
+   * The key is embedded in the comment as a hidden marker, so workflows that run more than once keep a single comment
+   * up to date, rather than posting a new copy each time. Resolved comments are shown again.
+   *
+   * @example
+   * ```js
+   * await issue.upsertComment("needs-triage", "This Issue needs triage before work begins.");
+   *
+   * // Once the problem is fixed
+   * await issue.resolveComment("needs-triage");
+   * ```
+   *
+   * @param {String} key - the key of the comment, made of anything but whitespace and `--`
+   * @param {String} body - the message to include in the comment
+   *
+   * @returns {Comment|null} the Comment, or `null` on a dry run when there's no existing Comment with the key
+   *
+   * @throws {TypeError} if the key can't be embedded in the comment
+   *
+   * @public @async
+   */
+  async upsertComment(key, body) {
+    this._debugCall("upsertComment", { key: key, body: "..." });
+
+    const content = `${Comment.getMarker(key)}\n${body}`;
+    const comment = await this.findComment(key);
+
+    if (!comment) {
+      this._eCore.debug(`Adding a comment with key \`${key}\` to ${this.constructor.name} #${this.number}...`);
+      return this.addComment(content);
+    }
+
+    if ((await comment.body) === content) {
+      this._eCore.debug(`Comment with key \`${key}\` is already up to date.`);
+    } else {
+      await comment.update(content);
+    }
+
+    if (await comment.isMinimized) {
+      await comment.unminimize();
+    }
+
+    return comment;
+  }
+
+  /**
+   * Marks the comment added to the Issue or Pull Request with a key as resolved, minimizing it.
+   *
+   * @param {String} key - the key of the comment
+   * @param {String} [body=undefined] - a message to replace the comment's body with, such as how it was resolved
+   *
+   * @returns {Comment|null} the Comment, or `null` if there isn't one with the key
+   *
+   * @public @async
+   */
+  async resolveComment(key, body = undefined) {
+    this._debugCall("resolveComment", { key: key, body: typeof body === "undefined" ? body : "..." });
+
+    const comment = await this.findComment(key);
+
+    if (!comment) {
+      this._eCore.debug(`No comment with key \`${key}\` found on ${this.constructor.name} #${this.number} to resolve.`);
+      return null;
+    }
+
+    if (typeof body !== "undefined") {
+      const content = `${Comment.getMarker(key)}\n${body}`;
+
+      if ((await comment.body) !== content) {
+        await comment.update(content);
+      }
+    }
+
+    if (!(await comment.isMinimized)) {
+      await comment.minimize("RESOLVED");
+    }
+
+    return comment;
+  }
+
+  /**
+   * Adds a notice-formatted comment to the Issue or Pull Request.
+   *
+   * @param {String} message - the message to include in the comment
+   * @param {String} [key=undefined] - a key to keep one copy of the comment by, via {@link IssueAbstract#upsertComment}
+   *
+   * @returns {Comment|null} the Comment, or `null` on a dry run, as no Comment is created
+   *
+   * @public @async
+   */
+  async addNotice(message, key = undefined) {
+    this._debugCall("addNotice", { message: "...", key: key });
+
+    this._eCore.verbose(message);
+
+    const body = `## :thought_balloon: Notice\n\n${message}`;
+
+    return key ? this.upsertComment(key, body) : this.addComment(body);
+  }
+
+  /**
+   * Adds a warning-formatted comment to the Issue or Pull Request.
+   *
+   * @param {string} message - the message to include in the comment
+   * @param {String} [key=undefined] - a key to keep one copy of the comment by, via {@link IssueAbstract#upsertComment}
+   *
+   * @returns {Comment|null} the Comment, or `null` on a dry run, as no Comment is created
+   *
+   * @public @async
+   */
+  async addWarning(message, key = undefined) {
+    this._debugCall("addWarning", { message: "...", key: key });
+
+    this._eCore.verbose(message);
+
+    const body = `## :warning: Warning\n\n${message}`;
+
+    return key ? this.upsertComment(key, body) : this.addComment(body);
+  }
+
+  /**
+   * Adds an error-formatted comment to the Issue or Pull Request.
+   *
+   * @param {string} message - the message to include in the comment
+   * @param {String} [key=undefined] - a key to keep one copy of the comment by, via {@link IssueAbstract#upsertComment}
+   *
+   * @returns {Comment|null} the Comment, or `null` on a dry run, as no Comment is created
+   *
+   * @public @async
+   */
+  async addError(message, key = undefined) {
+    this._debugCall("addError", { message: "...", key: key });
+
+    this._eCore.verbose(message);
+
+    const body = `## :rotating_light: Error\n\n${message}`;
+
+    return key ? this.upsertComment(key, body) : this.addComment(body);
+  }
+};
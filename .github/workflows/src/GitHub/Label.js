@@ -1,7 +1,10 @@
-const ActionContext = require("../ActionContext");
 const EnhancedCore = require("../EnhancedCore");
 const NotImplementedError = require("../Errors/NotImplementedError");
+const Field = require("./Field");
 const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLClient = require("./GraphQLClient");
+const Repository = require("./Repository");
+const crypto = require("crypto");
 
 /**
  * Label.
@@ -22,40 +25,40 @@ module.exports = class Label extends GraphQLAbstract {
    * @inheritdoc
    */
   static _fields = {
-    color: String,
-    createdAt: Date.parse,
-    description: String,
-    id: String,
-    isDefault: Boolean,
+    color: Field.scalar("String", { nullable: false, mutation: "updateLabel" }),
+    createdAt: Field.scalar("DateTime"),
+    description: Field.scalar("String", { mutation: "updateLabel" }),
+    id: Field.scalar("ID", { nullable: false }),
+    isDefault: Field.scalar("Boolean", { nullable: false }),
     // issues: Issue,               // TODO - Circular reference
-    name: String,
+    name: Field.scalar("String", { nullable: false }),
     // pullRequests: PullRequest,
     // repository: Repository,
-    resourcePath: String,
-    updatedAt: Date.parse,
-    url: String,
+    resourcePath: Field.scalar("URI", { nullable: false }),
+    updatedAt: Field.scalar("DateTime"),
+    url: Field.scalar("URI", { nullable: false }),
   };
 
   /**
-   * The Label name.
+   * The color of Labels created without one, as GitHub uses by default.
    *
-   * @public @readonly @type {String}
+   * @public @static @constant @type {String}
    */
-  name;
+  static DEFAULT_COLOR = "ededed";
 
   /**
-   * The Repository name containing the Label.
+   * The Label name.
    *
    * @public @readonly @type {String}
    */
-  repository;
+  name;
 
   /**
-   * The Owner name for the Repository.
+   * The Repository containing the Label.
    *
-   * @public @readonly @type {String}
+   * @public @readonly @type {Repository}
    */
-  owner;
+  repository;
 
   /**
    * Create a Label.
@@ -63,8 +66,8 @@ module.exports = class Label extends GraphQLAbstract {
    * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
    *
    * @param {String} name - the Label name to load
-   * @param {String} [repository=context.repo.repo] - the Repository the Issue is part of
-   * @param {String} [owner=context.repo.owner] - the owner of the Repository
+   * @param {Repository|String} [repository=context.repo.repo] - the Repository the Label is part of, or its name
+   * @param {String} [owner=context.repo.owner] - the owner of the Repository, if given by name
    *
    * @returns {Proxy} of this object to allow for enhanced getters and setters
    *
@@ -76,19 +79,18 @@ module.exports = class Label extends GraphQLAbstract {
     this._debugCall("constructor", arguments);
 
     this.name = name;
-    this.repository = repository ? repository : ActionContext.context.repo.repo;
-    this.owner = owner ? owner : ActionContext.context.repo.owner;
+    this.repository = Repository.resolve(repository, owner);
 
-    this._eCore.debug(`New Label(name: ${this.name}, repository: ${this.repository}, owner: ${this.owner})`);
+    this._eCore.debug(`New Label(name: ${this.name}, repository: ${this.repository.owner}/${this.repository.name})`);
 
-    // Allows this to override all getters that aren't explicitly set.
-    return new Proxy(this, this);
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
   }
 
   /**
    * @inheritdoc
    */
-  static async create(caller, pageSize = GraphQLAbstract._PAGE_SIZE) {
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE) {
     const logger = new EnhancedCore(`${this.name}[CLASS]`);
 
     this._debugStaticCall(this.name, "create", { caller: caller.constructor.name, pageSize: pageSize }, false, logger);
@@ -98,65 +100,50 @@ module.exports = class Label extends GraphQLAbstract {
 
     switch (caller.constructor.name) {
       /**
-       * Issue
+       * Issue or PullRequest
        */
       case "Issue":
-        return ActionContext.github
-          .graphql(
-            `query GetLabelsByIssue($owner: String!, $repository: String!, $issueNumber: Int!, $pageSize: Int!) {
-                repository(owner: $owner, name: $repository) {
-                  issue(number: $issueNumber) {
-                    labels (first: $pageSize) {
-                      totalCount,
-                      nodes {
-                        ${this._getPrimitiveFields().join(" ")}
-                      }
-                    }
-                  }
-                }
-              }`,
-            {
-              owner: await caller.owner,
-              repository: await caller.repository,
-              issueNumber: await caller.number,
-              pageSize: pageSize,
-            },
-          )
-          .then((response) => {
-            logger.debug("API response received.");
-
-            logger.verbose("Full response:");
-            logger.verbose(response);
-
-            const labels = response.repository.issue.labels;
-
-            if (!labels) {
-              logger.debug(`No Labels found for Issue #${caller.number}.`);
-              return [];
+      case "PullRequest":
+        return this._paginate(
+          `query GetLabelsBy${caller.constructor.name}(
+            $owner: String!, $repository: String!, $number: Int!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+          ) {
+            repository(owner: $owner, name: $repository) {
+              ${caller.constructor._getRepositoryField()}(number: $number) {
+                ${this._getConnectionSelection("labels")}
+              }
             }
+          }`,
+          {
+            owner: caller.repository.owner,
+            repository: caller.repository.name,
+            number: caller.number,
+          },
+          ["repository", caller.constructor._getRepositoryField(), "labels"],
+          (data) => this._build({ ...data, repository: caller.repository }),
+          pageSize,
+        );
 
-            const count = labels.totalCount;
-            logger.debug(`${count} Label(s) found for Issue #${caller.number} (capped at ${pageSize}).`);
-
-            // TODO Pagination
-
-            logger.verbose("Building Label set...");
-
-            let newSet = [];
-
-            labels.nodes.forEach((data) => {
-              // Add data to the dataset that won't be available up front
-              data["owner"] = caller.owner;
-              data["repository"] = caller.repository; // TODO - Transition to proper Repository object lookup
-
-              newSet.push(this._build(data));
-            });
-
-            logger.verbose("Label set build completed.");
-
-            // Wait for all of the Label builds to complete
-            return newSet;
-          });
+      /**
+       * Repository.
+       */
+      case "Repository":
+        return this._paginate(
+          `query GetLabelsByRepository(
+            $owner: String!, $repository: String!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+          ) {
+            repository(owner: $owner, name: $repository) {
+              ${this._getConnectionSelection("labels")}
+            }
+          }`,
+          {
+            owner: caller.owner,
+            repository: caller.name,
+          },
+          ["repository", "labels"],
+          (data) => this._build({ ...data, repository: caller }),
+          pageSize,
+        );
     }
 
     throw new NotImplementedError(
@@ -175,24 +162,36 @@ module.exports = class Label extends GraphQLAbstract {
     logger.verbose("API data:");
     logger.verbose(data);
 
-    ["owner", "repository", "name"].every((key) => {
-      if (!key in data) {
+    // Loading by node ID selects the Repository, rather than knowing it up front
+    if (data.repository && !(data.repository instanceof Repository)) {
+      data = { ...data, repository: Repository._build(data.repository) };
+    }
+
+    ["repository", "name"].forEach((key) => {
+      if (!(key in data)) {
         throw new ReferenceError(`Missing required ${this.name} field: \`${key}\``);
       }
     });
 
-    const label = new Label(data["name"], data["repository"], data["owner"]);
+    const { repository, ...fields } = data;
+    const label = new Label(fields["name"], repository);
 
-    for (const [key, val] of Object.entries(data)) {
-      if (!ignoreAdditional && !(key in this._fields)) {
-        throw new ReferenceError(`Unexpected field in Label data: \`${key}\``);
-      }
+    // Hydrate directly to not trigger a GitHub update on the setter
+    return label._hydrate(fields, ignoreAdditional);
+  }
 
-      // Set directly on the cache to not trigger a GitHub update on the setter
-      label._cache[key] = val;
-    }
+  /**
+   * @inheritdoc
+   */
+  static _getNodeSelection() {
+    return `${super._getNodeSelection()} repository { name owner { login } }`;
+  }
 
-    return label;
+  /**
+   * @inheritdoc
+   */
+  _getIdentityKeys() {
+    return [`Label:${this.repository.owner}/${this.repository.name}/${this.name}`.toLowerCase()];
   }
 
   /**
@@ -214,8 +213,8 @@ module.exports = class Label extends GraphQLAbstract {
       }`;
 
     const map = {
-      owner: this.owner,
-      repository: this.repository,
+      owner: this.repository.owner,
+      repository: this.repository.name,
       labelName: this.name,
     };
 
@@ -223,4 +222,96 @@ module.exports = class Label extends GraphQLAbstract {
 
     return [query, map, container];
   }
+
+  // Actions -----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Renames the Label, keeping it on every Issue and Pull Request it's already on.
+   *
+   * This Label still refers to the old name, so use the returned Label from then on.
+   *
+   * @param {String} name - the new name of the Label
+   *
+   * @returns {Label|null} the renamed Label, or `null` on a dry run, as nothing is renamed
+   *
+   * @public @async
+   */
+  async rename(name) {
+    this._debugCall("rename", arguments);
+
+    const labelID = await this.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to rename Label \`${this.name}\` to \`${name}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation RenameLabel($clientID: String!, $labelID: ID!, $name: String!) {
+        updateLabel(input: {
+          clientMutationId: $clientID,
+          id: $labelID,
+          name: $name
+        }) {
+          clientMutationId
+          label {
+            ${Label._getNodeSelection()}
+          }
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        labelID: labelID,
+        name: name,
+      },
+    );
+
+    const label = response.updateLabel.label;
+
+    if (!label) {
+      return null;
+    }
+
+    // The old name no longer loads the Label, so its identity belongs to the renamed Label instead
+    this.clearCache();
+    this._unregister();
+
+    this.repository.invalidate(["labels"]);
+
+    return Label._build({ ...label, repository: this.repository });
+  }
+
+  /**
+   * Deletes the Label, removing it from every Issue and Pull Request it's on.
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @public @async
+   */
+  async delete() {
+    this._debugCall("delete", arguments);
+
+    const labelID = await this.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to delete Label \`${this.name}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation DeleteLabel($clientID: String!, $labelID: ID!) {
+        deleteLabel(input: {
+          clientMutationId: $clientID,
+          id: $labelID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        labelID: labelID,
+      },
+    );
+
+    this.clearCache();
+    this._unregister();
+
+    this.repository.invalidate(["labels"]);
+
+    return response;
+  }
 };
@@ -0,0 +1,233 @@
+const EnhancedCore = require("../EnhancedCore");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLBatcher = require("./GraphQLBatcher");
+const Repository = require("./Repository");
+
+/**
+ * Milestone.
+ *
+ * @classdesc
+ * Manages various actions on GitHub Milestones via GraphQL API.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#milestone}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class Milestone extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    closed: Field.scalar("Boolean", { nullable: false }),
+    closedAt: Field.scalar("DateTime"),
+    createdAt: Field.scalar("DateTime", { nullable: false }),
+    // creator: Actor,
+    description: Field.scalar("String"),
+    dueOn: Field.scalar("DateTime"),
+    id: Field.scalar("ID", { nullable: false }),
+    // issues: Issue,               // TODO - Circular reference
+    number: Field.scalar("Int", { nullable: false }),
+    progressPercentage: Field.scalar("Float", { nullable: false }),
+    // pullRequests: PullRequest,
+    // repository: Repository,      // See `repository`
+    resourcePath: Field.scalar("URI", { nullable: false }),
+    state: Field.scalar("MilestoneState", { nullable: false }),
+    title: Field.scalar("String", { nullable: false }),
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
+    url: Field.scalar("URI", { nullable: false }),
+    viewerCanClose: Field.scalar("Boolean", { nullable: false }),
+    viewerCanReopen: Field.scalar("Boolean", { nullable: false }),
+  };
+
+  /**
+   * The Milestone number.
+   *
+   * @public @readonly @type {Number}
+   */
+  number;
+
+  /**
+   * The Repository containing the Milestone.
+   *
+   * @public @readonly @type {Repository}
+   */
+  repository;
+
+  /**
+   * Create a Milestone.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {Number} number - the Milestone number to load
+   * @param {Repository|String} [repository=context.repo.repo] - the Repository the Milestone is part of, or its name
+   * @param {String} [owner=context.repo.owner] - the owner of the Repository, if given by name
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor(number, repository = undefined, owner = undefined) {
+    super(number);
+
+    this._debugCall("constructor", arguments);
+
+    // Setting via reflection avoids the special setter override
+    this.number = number;
+    this.repository = Repository.resolve(repository, owner);
+
+    this._eCore.debug(
+      `New Milestone(number: ${this.number}, repository: ${this.repository.owner}/${this.repository.name})`,
+    );
+
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE, field = undefined) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(
+      this.name,
+      "create",
+      { caller: caller.constructor.name, pageSize: pageSize, field: field },
+      false,
+      logger,
+    );
+
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    switch (caller.constructor.name) {
+      /**
+       * Issue.
+       */
+      case "Issue": {
+        const query = `query GetMilestoneByIssue($owner: String!, $repository: String!, $number: Int!) {
+          repository(owner: $owner, name: $repository) {
+            issue(number: $number) {
+              milestone {
+                ${this._getNodeSelection()}
+              }
+            }
+          }
+        }`;
+
+        const map = {
+          owner: caller.repository.owner,
+          repository: caller.repository.name,
+          number: caller.number,
+        };
+
+        return GraphQLBatcher.load(query, map).then((response) => {
+          // Issues outside of any Milestone have none
+          const data = this._getContainer(response, ["repository", "issue"], query, map).milestone;
+
+          return data ? this._build(data) : null;
+        });
+      }
+
+      /**
+       * Repository.
+       */
+      case "Repository":
+        return this._paginate(
+          `query GetMilestonesByRepository(
+            $owner: String!, $repository: String!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+          ) {
+            repository(owner: $owner, name: $repository) {
+              ${this._getConnectionSelection("milestones")}
+            }
+          }`,
+          {
+            owner: caller.owner,
+            repository: caller.name,
+          },
+          ["repository", "milestones"],
+          (data) => this._build({ ...data, repository: caller }),
+          pageSize,
+        );
+    }
+
+    throw new NotImplementedError(
+      `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`.`,
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    // Loading by node ID selects the Repository, rather than knowing it up front
+    if (data.repository && !(data.repository instanceof Repository)) {
+      data = { ...data, repository: Repository._build(data.repository) };
+    }
+
+    ["repository", "number"].forEach((key) => {
+      if (!(key in data)) {
+        throw new ReferenceError(`Missing required ${this.name} field: \`${key}\``);
+      }
+    });
+
+    const { repository, ...fields } = data;
+    const milestone = new Milestone(fields["number"], repository);
+
+    // Hydrate directly to not trigger a GitHub update on the setter
+    return milestone._hydrate(fields, ignoreAdditional);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _getNodeSelection() {
+    return `${super._getNodeSelection()} repository { name owner { login } }`;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getIdentityKeys() {
+    return [`Milestone:${this.repository.owner}/${this.repository.name}#${this.number}`.toLowerCase()];
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getGraphQLQuery() {
+    this._debugCall("_getGraphQLQuery", arguments);
+
+    const query = `
+      query GetMilestoneByNumber($owner: String!, $repository: String!, $number: Int!) {
+        repository(owner: $owner, name: $repository) {
+          milestone(number: $number) {
+            ${this.constructor._getPrimitiveFields().join(" ")}
+          }
+        }
+      }`;
+
+    const map = {
+      owner: this.repository.owner,
+      repository: this.repository.name,
+      number: this.number,
+    };
+
+    const container = ["repository", "milestone"];
+
+    return [query, map, container];
+  }
+};
@@ -0,0 +1,400 @@
+const ActionContext = require("../ActionContext");
+const EnhancedCore = require("../EnhancedCore");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLBatcher = require("./GraphQLBatcher");
+const GraphQLClient = require("./GraphQLClient");
+const ProjectV2FieldConfiguration = require("./ProjectV2FieldConfiguration");
+const ProjectV2Item = require("./ProjectV2Item");
+const crypto = require("crypto");
+
+/**
+ * ProjectV2.
+ *
+ * @classdesc
+ * Manages various actions on GitHub ProjectV2s via GraphQL API.
+ *
+ * Projects load by their owner (a user or organization) and number, as shown in their URL:
+ *
+ * ```js
+ * const project = new ProjectV2(1, "andrewvaughan");
+ *
+ * const item = await project.addItem(new Issue(42));
+ * const stale = await project.findItems({ type: "ISSUE", where: async (i) => (await i.updatedAt) < cutoff });
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class ProjectV2 extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    closed: Field.scalar("Boolean", { nullable: false }),
+    closedAt: Field.scalar("DateTime"),
+    createdAt: Field.scalar("DateTime", { nullable: false }),
+    // creator: Actor,
+    databaseId: Field.scalar("Int"),
+    // field: ProjectV2FieldConfiguration,   // TODO - Search function
+    fields: Field.connection(ProjectV2FieldConfiguration, { nullable: false }),
+    fullDatabaseId: Field.scalar("BigInt"),
+    id: Field.scalar("ID", { nullable: false }),
+    items: Field.connection(ProjectV2Item, { nullable: false }),
+    number: Field.scalar("Int", { nullable: false }),
+    // owner: ProjectV2Owner,
+    public: Field.scalar("Boolean", { nullable: false }),
+    readme: Field.scalar("String"),
+    // repositories: Repository,
+    resourcePath: Field.scalar("URI", { nullable: false }),
+    shortDescription: Field.scalar("String"),
+    // statusUpdates: ProjectV2StatusUpdate,
+    // teams: Team,
+    template: Field.scalar("Boolean", { nullable: false }),
+    title: Field.scalar("String", { nullable: false }),
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
+    url: Field.scalar("URI", { nullable: false }),
+    // view: ProjectV2View,   // TODO - Search function
+    viewerCanClose: Field.scalar("Boolean", { nullable: false }),
+    viewerCanReopen: Field.scalar("Boolean", { nullable: false }),
+    viewerCanUpdate: Field.scalar("Boolean", { nullable: false }),
+    // views: ProjectV2View,
+    // workflow: ProjectV2Workflow,   // TODO - Search function
+    // workflows: ProjectV2Workflow,
+  };
+
+  /**
+   * The ProjectV2 number.
+   *
+   * @public @readonly @type {Number}
+   */
+  number;
+
+  /**
+   * The login of the user, or organization, owning the ProjectV2.
+   *
+   * @public @readonly @type {String}
+   */
+  owner;
+
+  /**
+   * Create a ProjectV2.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {Number} number - the ProjectV2 number to load
+   * @param {String} [owner=context.repo.owner] - the login of the user, or organization, owning the ProjectV2
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor(number, owner = undefined) {
+    super(number);
+
+    this._debugCall("constructor", arguments);
+
+    // Setting via reflection avoids the special setter override
+    this.number = number;
+    this.owner = owner ? owner : ActionContext.context.repo.owner;
+
+    this._eCore.debug(`New ProjectV2(number: ${this.number}, owner: ${this.owner})`);
+
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "create", { caller: caller.constructor.name, pageSize: pageSize }, false, logger);
+
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    /**
+     * Issue.
+     */
+    if (caller.constructor.name === "Issue") {
+      return this._paginate(
+        `query GetProjectsByIssue(
+          $owner: String!, $repository: String!, $issueNumber: Int!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+        ) {
+          repository(owner: $owner, name: $repository) {
+            issue(number: $issueNumber) {
+              ${this._getConnectionSelection("projectsV2", {}, [this._getObjectSelection()])}
+            }
+          }
+        }`,
+        {
+          owner: caller.repository.owner,
+          repository: caller.repository.name,
+          issueNumber: caller.number,
+        },
+        ["repository", "issue", "projectsV2"],
+        undefined,
+        pageSize,
+      );
+    }
+
+    /**
+     * Repository.
+     */
+    if (caller.constructor.name === "Repository") {
+      return this._paginate(
+        `query GetProjectsByRepository(
+          $owner: String!, $repository: String!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+        ) {
+          repository(owner: $owner, name: $repository) {
+            ${this._getConnectionSelection("projectsV2", {}, [this._getObjectSelection()])}
+          }
+        }`,
+        {
+          owner: caller.owner,
+          repository: caller.name,
+        },
+        ["repository", "projectsV2"],
+        undefined,
+        pageSize,
+      );
+    }
+
+    /**
+     * Anything in a ProjectV2 with a node ID, such as a ProjectV2Item or ProjectV2FieldConfiguration.
+     */
+    if ("id" in caller.constructor._fields && "project" in caller.constructor._fields) {
+      const query = `query GetProjectByNode($nodeID: ID!) {
+        node(id: $nodeID) {
+          ... on ${caller.constructor._getGraphQLType()} {
+            project {
+              ${this._getNodeSelection()}
+            }
+          }
+        }
+      }`;
+
+      return Promise.resolve(caller.id).then(async (nodeID) => {
+        const map = { nodeID: nodeID };
+        const response = await GraphQLBatcher.load(query, map);
+
+        return this._build(this._getContainer(response, ["node", "project"], query, map));
+      });
+    }
+
+    throw new NotImplementedError(
+      `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`.`,
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    // The owner is selected as an object, rather than known up front
+    if (data.owner && typeof data.owner === "object") {
+      data = { ...data, owner: data.owner.login };
+    }
+
+    ["owner", "number"].forEach((key) => {
+      if (!(key in data)) {
+        throw new ReferenceError(`Missing required ${this.name} field: \`${key}\``);
+      }
+    });
+
+    const { owner, ...fields } = data;
+    const project = new ProjectV2(fields["number"], owner);
+
+    // Hydrate directly to not trigger a GitHub update on the setter
+    return project._hydrate(fields, ignoreAdditional);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _getNodeSelection() {
+    return `${super._getNodeSelection()} owner { ... on Organization { login } ... on User { login } }`;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getIdentityKeys() {
+    return [`ProjectV2:${this.owner}#${this.number}`.toLowerCase()];
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getGraphQLQuery() {
+    this._debugCall("_getGraphQLQuery", arguments);
+
+    const query = `
+      query GetProjectByNumber($owner: String!, $projectNumber: Int!) {
+        repositoryOwner(login: $owner) {
+          ... on ProjectV2Owner {
+            projectV2(number: $projectNumber) {
+              ${this.constructor._getPrimitiveFields().join(" ")}
+            }
+          }
+        }
+      }`;
+
+    const map = {
+      owner: this.owner,
+      projectNumber: this.number,
+    };
+
+    const container = ["repositoryOwner", "projectV2"];
+
+    return [query, map, container];
+  }
+
+  // Items -------------------------------------------------------------------------------------------------------------
+
+  /**
+   * Find the items in the ProjectV2 that match a filter.
+   *
+   * @param {Object<String, *>} [filter={}] - the filter to match items against
+   * @param {Boolean} [filter.includeArchived=false] - whether to include archived items
+   * @param {String|String[]} [filter.type=undefined] - the `ProjectV2ItemType` (e.g., `ISSUE`), or types, to include
+   * @param {Function} [filter.where=undefined] - a function given each item, returning (or resolving to) whether to
+   *   include it
+   *
+   * @returns {ProjectV2Item[]} the matching items
+   *
+   * @public @async
+   */
+  async findItems(filter = {}) {
+    this._debugCall("findItems", arguments);
+
+    const types = typeof filter.type === "undefined" ? undefined : [].concat(filter.type);
+    let items = [];
+
+    for await (const item of this.items) {
+      if (!filter.includeArchived && (await item.isArchived)) {
+        continue;
+      }
+
+      if (types && !types.includes(await item.type)) {
+        continue;
+      }
+
+      if (filter.where && !(await filter.where(item))) {
+        continue;
+      }
+
+      items.push(item);
+    }
+
+    this._eCore.debug(`Found ${items.length} matching item(s) in ProjectV2 #${this.number}.`);
+
+    return items;
+  }
+
+  /**
+   * Adds an Issue, or Pull Request, to the ProjectV2 as an item.
+   *
+   * Adding content that's already in the ProjectV2 returns its existing item.
+   *
+   * @param {GraphQLAbstract|String} content - the Issue or Pull Request, or its node ID
+   *
+   * @returns {ProjectV2Item|null} the item, or `null` on a dry run, as no item is created
+   *
+   * @public @async
+   */
+  async addItem(content) {
+    this._debugCall("addItem", arguments);
+
+    const contentID = typeof content === "string" ? content : await content.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to add \`${contentID}\` to ProjectV2 #${this.number}...`);
+
+    const response = await GraphQLClient.request(
+      `mutation AddProjectItem($clientID: String!, $projectID: ID!, $contentID: ID!) {
+        addProjectV2ItemById(input: {
+          clientMutationId: $clientID,
+          projectId: $projectID,
+          contentId: $contentID
+        }) {
+          clientMutationId
+          item {
+            ${ProjectV2Item._getNodeSelection()}
+          }
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        projectID: await this.id,
+        contentID: contentID,
+      },
+    );
+
+    this.invalidate(["items", "updatedAt"]);
+
+    if (content instanceof GraphQLAbstract) {
+      content.invalidate(["projectItems", "projectsV2"]);
+    }
+
+    const item = response.addProjectV2ItemById.item;
+
+    return item ? ProjectV2Item._build(item) : null;
+  }
+
+  /**
+   * Archives an item in the ProjectV2.
+   *
+   * @param {ProjectV2Item|String} item - the item, or its node ID
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @public @async
+   */
+  async archiveItem(item) {
+    this._debugCall("archiveItem", arguments);
+
+    const itemID = typeof item === "string" ? item : await item.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to archive \`${itemID}\` in ProjectV2 #${this.number}...`);
+
+    const response = await GraphQLClient.request(
+      `mutation ArchiveProjectItem($clientID: String!, $projectID: ID!, $itemID: ID!) {
+        archiveProjectV2Item(input: {
+          clientMutationId: $clientID,
+          projectId: $projectID,
+          itemId: $itemID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        projectID: await this.id,
+        itemID: itemID,
+      },
+    );
+
+    this.invalidate(["items", "updatedAt"]);
+
+    if (item instanceof ProjectV2Item) {
+      item.invalidate(["isArchived", "updatedAt"]);
+    }
+
+    return response;
+  }
+};
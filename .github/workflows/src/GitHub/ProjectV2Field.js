@@ -0,0 +1,36 @@
+const ProjectV2FieldConfiguration = require("./ProjectV2FieldConfiguration");
+
+/**
+ * ProjectV2Field.
+ *
+ * @classdesc
+ * A field of a GitHub ProjectV2 without any configuration of its own, such as a text, number, or date field, or one of
+ * the Project's built-in fields.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2field}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends ProjectV2FieldConfiguration
+ */
+module.exports = class ProjectV2Field extends ProjectV2FieldConfiguration {
+  /**
+   * Create a ProjectV2Field.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+};
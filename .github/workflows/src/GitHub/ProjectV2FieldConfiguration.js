@@ -0,0 +1,161 @@
+const EnhancedCore = require("../EnhancedCore");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLBatcher = require("./GraphQLBatcher");
+
+/**
+ * ProjectV2FieldConfiguration.
+ *
+ * @classdesc
+ * Manages the configuration of a GitHub ProjectV2 field, such as its name and data type, via GraphQL API. This is a
+ * Union of each kind of field, which all implement the same common fields.
+ *
+ * Fields build as the subclass named after their type, so single select fields have their `options` and iteration
+ * fields their `configuration`:
+ *
+ * ```js
+ * for (const field of await project.fields) {
+ *   if (field instanceof ProjectV2SingleSelectField) {
+ *     console.log(`${await field.name}: ${(await field.options).map((option) => option.name).join(", ")}`);
+ *   }
+ * }
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/unions#projectv2fieldconfiguration}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class ProjectV2FieldConfiguration extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   *
+   * @see {@link https://docs.github.com/en/graphql/reference/interfaces#projectv2fieldcommon}
+   */
+  static _fields = {
+    createdAt: Field.scalar("DateTime", { nullable: false }),
+    dataType: Field.scalar("ProjectV2FieldType", { nullable: false }),
+    databaseId: Field.scalar("Int"),
+    id: Field.scalar("ID", { nullable: false }),
+    name: Field.scalar("String", { nullable: false }),
+    project: Field.object(() => require("./ProjectV2"), { nullable: false }),
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
+  };
+
+  /**
+   * @inheritdoc
+   *
+   * The fields all come from the interface every member of the union implements.
+   */
+  static _GRAPHQL_TYPE = "ProjectV2FieldCommon";
+
+  /**
+   * @inheritdoc
+   */
+  static _MEMBER_TYPES = ["ProjectV2Field", "ProjectV2IterationField", "ProjectV2SingleSelectField"];
+
+  /**
+   * Create a ProjectV2FieldConfiguration.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "create", { caller: caller.constructor.name, pageSize: pageSize }, false, logger);
+
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    /**
+     * ProjectV2.
+     */
+    if (caller.constructor.name === "ProjectV2") {
+      return this._paginate(
+        `query GetFieldsByProject($projectID: ID!, ${GraphQLAbstract._PAGINATION_VARIABLES}) {
+          node(id: $projectID) {
+            ... on ProjectV2 {
+              ${this._getConnectionSelection("fields", {}, [this._getObjectSelection()])}
+            }
+          }
+        }`,
+        {
+          projectID: caller.id,
+        },
+        ["node", "fields"],
+        undefined,
+        pageSize,
+      );
+    }
+
+    /**
+     * ProjectV2ItemFieldValue, for the kinds of value with a node ID.
+     */
+    if ("id" in caller.constructor._fields && "field" in caller.constructor._fields) {
+      const query = `query GetFieldByFieldValue($fieldValueID: ID!) {
+        node(id: $fieldValueID) {
+          ... on ProjectV2ItemFieldValueCommon {
+            field {
+              ${this._getObjectSelection()}
+            }
+          }
+        }
+      }`;
+
+      return Promise.resolve(caller.id).then(async (fieldValueID) => {
+        const map = { fieldValueID: fieldValueID };
+        const response = await GraphQLBatcher.load(query, map);
+
+        return this._build(this._getContainer(response, ["node", "field"], query, map));
+      });
+    }
+
+    throw new NotImplementedError(
+      `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`.`,
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    const cls = this._getBuildClass(data);
+
+    if (cls !== this) {
+      logger.debug(`Building the \`${data.__typename}\` field...`);
+      return cls._build(data, ignoreAdditional);
+    }
+
+    const field = new this();
+
+    // Hydrate directly to not trigger a GitHub update on the setter, using any existing instance of the field
+    return field._hydrate(data, ignoreAdditional);
+  }
+};
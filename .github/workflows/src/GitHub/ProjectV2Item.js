@@ -1,8 +1,11 @@
-const ActionContext = require("../ActionContext");
 const EnhancedCore = require("../EnhancedCore");
 const NotImplementedError = require("../Errors/NotImplementedError");
+const Field = require("./Field");
 const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLBatcher = require("./GraphQLBatcher");
+const GraphQLClient = require("./GraphQLClient");
 const ProjectV2ItemFieldValue = require("./ProjectV2ItemFieldValue");
+const crypto = require("crypto");
 
 /**
  * ProjectV2Item.
@@ -10,6 +13,24 @@ const ProjectV2ItemFieldValue = require("./ProjectV2ItemFieldValue");
  * @classdesc
  * Manages various actions on GitHub ProjectV2Items via GraphQL API.
  *
+ * Fields of the item's Project are set by name, with single select and iteration fields taking the name of the option
+ * or iteration to set:
+ *
+ * ```js
+ * await item.setFieldValue("Status", "02-In Progress");
+ * await item.clearFieldValue("Due Date");
+ * ```
+ *
+ * They're read by name the same way, loading only that field's value, with a shortcut for the item's status:
+ *
+ * ```js
+ * const due = await item.fieldValueByName("Due Date"); // ProjectV2ItemFieldDateValue, or `null` if unset
+ *
+ * if ((await item.status) === "03-Code Review") {
+ *   // ...
+ * }
+ * ```
+ *
  * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2item}
  * @see {@link https://github.com/actions/github-script}
  *
@@ -24,22 +45,33 @@ module.exports = class ProjectV2Item extends GraphQLAbstract {
    */
   static _fields = {
     // content: ProjectV2ItemContent,
-    createdAt: Date.parse,
+    createdAt: Field.scalar("DateTime", { nullable: false }),
     // creator: Actor,
-    databaseId: Number,
-    // fieldValueByName: ProjectV2ItemFieldValue,  // TODO - Search function
-    fieldValues: ProjectV2ItemFieldValue,
-    id: String,
-    isArchived: Boolean,
-    // project: ProjectV2,
-    // type: ProjectV2ItemType,
-    updatedAt: Date.parse,
+    databaseId: Field.scalar("Int"),
+    // fieldValueByName: ProjectV2ItemFieldValue,  // See `fieldValueByName`
+    fieldValues: Field.connection(ProjectV2ItemFieldValue, { nullable: false }),
+    id: Field.scalar("ID", { nullable: false }),
+    isArchived: Field.scalar("Boolean", { nullable: false }),
+    project: Field.object(() => require("./ProjectV2"), { nullable: false }),
+    type: Field.scalar("ProjectV2ItemType", { nullable: false }),
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
   };
 
   /**
-   * @inheritdoc
+   * The name of the field in each Project holding an item's status, as read by {@link ProjectV2Item#status}.
+   *
+   * @public @static @type {String}
+   */
+  static statusFieldName = "Status";
+
+  /**
+   * The value of each field loaded by name, or the Promise loading it, by field name.
+   *
+   * @see ProjectV2Item#fieldValueByName
+   *
+   * @protected @type {Map<String, Promise<ProjectV2ItemFieldValue|null>>}
    */
-  static _PAGE_SIZE = 2;
+  _fieldValuesByName = new Map();
 
   /**
    * Create a ProjectV2Item.
@@ -56,13 +88,13 @@ module.exports = class ProjectV2Item extends GraphQLAbstract {
     this._debugCall("constructor", arguments);
 
     // Allows this to override all getters that aren't explicitly set.
-    return new Proxy(this, this);
+    return this._register(new Proxy(this, this));
   }
 
   /**
    * @inheritdoc
    */
-  static async create(caller, pageSize = ProjectV2Item._PAGE_SIZE) {
+  static create(caller, pageSize = ProjectV2Item._PAGE_SIZE) {
     const logger = new EnhancedCore(`${this.name}[CLASS]`);
 
     this._debugStaticCall(this.name, "create", { caller: caller.constructor.name, pageSize: pageSize }, false, logger);
@@ -72,63 +104,51 @@ module.exports = class ProjectV2Item extends GraphQLAbstract {
 
     switch (caller.constructor.name) {
       /**
-       * Issue.
+       * Issue or PullRequest.
        *
        * Archived projects are not returned, by default.
        */
       case "Issue":
-        return ActionContext.github
-          .graphql(
-            `query GetProjectItemsByIssue($owner: String!, $repository: String!, $issueNumber: Int!, $pageSize: Int!) {
-              repository(owner: $owner, name: $repository) {
-                issue(number: $issueNumber) {
-                  projectItems (first: $pageSize, includeArchived: false) {
-                    totalCount,
-                    nodes {
-                      ${this._getPrimitiveFields().join(" ")}
-                    }
-                  }
-                }
+      case "PullRequest":
+        return this._paginate(
+          `query GetProjectItemsBy${caller.constructor.name}(
+            $owner: String!, $repository: String!, $number: Int!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+          ) {
+            repository(owner: $owner, name: $repository) {
+              ${caller.constructor._getRepositoryField()}(number: $number) {
+                ${this._getConnectionSelection("projectItems", { includeArchived: "false" })}
               }
-            }`,
-            {
-              owner: await caller.owner,
-              repository: await caller.repository,
-              issueNumber: await caller.number,
-              pageSize: pageSize,
-            },
-          )
-          .then((response) => {
-            logger.debug("API response received.");
-
-            logger.verbose("Full response:");
-            logger.verbose(response);
-
-            const projectItems = response.repository.issue.projectItems;
-
-            if (!projectItems) {
-              logger.debug(`No Project Items found for Issue #${caller.number}.`);
-              return [];
             }
+          }`,
+          {
+            owner: caller.repository.owner,
+            repository: caller.repository.name,
+            number: caller.number,
+          },
+          ["repository", caller.constructor._getRepositoryField(), "projectItems"],
+          undefined,
+          pageSize,
+        );
 
-            const count = projectItems.totalCount;
-            logger.debug(`${count} Project Item(s) found for Issue #${caller.number} (capped at ${pageSize}).`);
-
-            // TODO Pagination
-
-            logger.verbose("Building Project Item set...");
-
-            let newSet = [];
-
-            projectItems.nodes.forEach((data) => {
-              newSet.push(this._build(data));
-            });
-
-            logger.verbose("Project Item set build completed.");
-
-            // Wait for all of the Label builds to complete
-            return newSet;
-          });
+      /**
+       * ProjectV2.
+       */
+      case "ProjectV2":
+        return this._paginate(
+          `query GetProjectItemsByProject($projectID: ID!, ${GraphQLAbstract._PAGINATION_VARIABLES}) {
+            node(id: $projectID) {
+              ... on ProjectV2 {
+                ${this._getConnectionSelection("items")}
+              }
+            }
+          }`,
+          {
+            projectID: caller.id,
+          },
+          ["node", "items"],
+          undefined,
+          pageSize,
+        );
     }
 
     throw new NotImplementedError(
@@ -149,24 +169,301 @@ module.exports = class ProjectV2Item extends GraphQLAbstract {
 
     const item = new ProjectV2Item();
 
-    for (const [key, val] of Object.entries(data)) {
-      if (!ignoreAdditional && !(key in this._fields)) {
-        throw new ReferenceError(`Unexpected field in Label data: \`${key}\``);
+    // Hydrate directly to not trigger a GitHub update on the setter, using any existing instance of the item
+    return item._hydrate(data, ignoreAdditional);
+  }
+
+  // Field Values ------------------------------------------------------------------------------------------------------
+
+  /**
+   * The name of the option selected in the item's status field, or `null` if it isn't set.
+   *
+   * @see ProjectV2Item.statusFieldName
+   *
+   * @public @async @type {Promise<String|null>}
+   */
+  get status() {
+    return this.fieldValueByName(ProjectV2Item.statusFieldName).then((value) => (value ? value.name : null));
+  }
+
+  /**
+   * Loads the value of a single field of the item's Project, without loading the value of every other field.
+   *
+   * Values are cached by field name until the item's field values are invalidated (e.g., by setting one).
+   *
+   * @param {String} fieldName - the name of the field in the Project
+   *
+   * @returns {ProjectV2ItemFieldValue|null} the value, as the subclass for its type, or `null` if it isn't set
+   *
+   * @public @async
+   */
+  fieldValueByName(fieldName) {
+    this._debugCall("fieldValueByName", arguments);
+
+    if (this._fieldValuesByName.has(fieldName)) {
+      this._eCore.verbose(`Lookup \`fieldValueByName("${fieldName}")\` cache hit.`);
+      return this._fieldValuesByName.get(fieldName);
+    }
+
+    const query = `query GetFieldValueByName($itemID: ID!, $fieldName: String!) {
+      node(id: $itemID) {
+        ... on ProjectV2Item {
+          fieldValueByName(name: $fieldName) {
+            ${ProjectV2ItemFieldValue._getObjectSelection()}
+          }
+        }
       }
+    }`;
+
+    const loading = Promise.resolve(this.id).then(async (itemID) => {
+      const map = { itemID: itemID, fieldName: fieldName };
+      const response = await GraphQLBatcher.load(query, map);
+      const item = this.constructor._getContainer(response, ["node"], query, map);
+
+      return item.fieldValueByName ? ProjectV2ItemFieldValue._build(item.fieldValueByName) : null;
+    });
 
-      // Set directly on the cache to not trigger a GitHub update on the setter
-      item._cache[key] = val;
+    // Don't cache failures, so the next call tries again
+    this._fieldValuesByName.set(fieldName, loading);
+    loading.catch(() => this._fieldValuesByName.delete(fieldName));
+
+    return loading;
+  }
+
+  /**
+   * Sets the value of a field of the item's Project.
+   *
+   * Single select fields take the name or ID of an option, and iteration fields the title or ID of an iteration. Date
+   * fields take a `Date` or an ISO 8601 date string, number fields a `Number`, and text fields a `String`. Setting a
+   * value of `null` clears the field.
+   *
+   * @param {String} fieldName - the name of the field in the Project
+   * @param {String|Number|Date|null} value - the value to set
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @throws {ReferenceError} if the Project doesn't have the field, option, or iteration
+   * @throws {TypeError} if the value doesn't suit the type of field
+   * @throws {NotImplementedError} if the field is one GitHub doesn't allow setting (e.g., the built-in labels field)
+   *
+   * @public @async
+   */
+  async setFieldValue(fieldName, value) {
+    this._debugCall("setFieldValue", arguments);
+
+    if (value === null || typeof value === "undefined") {
+      return this.clearFieldValue(fieldName);
     }
 
-    return item;
+    const [projectID, field] = await this._getProjectField(fieldName);
+
+    this._eCore.debug(`Calling GitHub GraphQL API to set \`${fieldName}\` on Project Item \`${await this.id}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation UpdateProjectItemFieldValue(
+        $clientID: String!, $projectID: ID!, $itemID: ID!, $fieldID: ID!, $value: ProjectV2FieldValue!
+      ) {
+        updateProjectV2ItemFieldValue(input: {
+          clientMutationId: $clientID,
+          projectId: $projectID,
+          itemId: $itemID,
+          fieldId: $fieldID,
+          value: $value
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        projectID: projectID,
+        itemID: await this.id,
+        fieldID: field.id,
+        value: this._getFieldValueInput(field, value),
+      },
+    );
+
+    this.invalidate(["fieldValues", "updatedAt"]);
+
+    return response;
+  }
+
+  /**
+   * Clears the value of a field of the item's Project.
+   *
+   * @param {String} fieldName - the name of the field in the Project
+   *
+   * @returns {Object<String, *>} - the full response from the GitHub GraphQL API
+   *
+   * @throws {ReferenceError} if the Project doesn't have the field
+   *
+   * @public @async
+   */
+  async clearFieldValue(fieldName) {
+    this._debugCall("clearFieldValue", arguments);
+
+    const [projectID, field] = await this._getProjectField(fieldName);
+
+    this._eCore.debug(`Calling GitHub GraphQL API to clear \`${fieldName}\` on Project Item \`${await this.id}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation ClearProjectItemFieldValue($clientID: String!, $projectID: ID!, $itemID: ID!, $fieldID: ID!) {
+        clearProjectV2ItemFieldValue(input: {
+          clientMutationId: $clientID,
+          projectId: $projectID,
+          itemId: $itemID,
+          fieldId: $fieldID
+        }) {
+          clientMutationId
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        projectID: projectID,
+        itemID: await this.id,
+        fieldID: field.id,
+      },
+    );
+
+    this.invalidate(["fieldValues", "updatedAt"]);
+
+    return response;
   }
 
   /**
    * @inheritdoc
+   *
+   * Invalidating the item's field values also invalidates those loaded by name.
    */
-  _getGraphQLQuery() {
-    this._debugCall("_getGraphQLQuery", arguments);
+  invalidate(fields = undefined) {
+    if (!fields || fields.includes("fieldValues")) {
+      this._fieldValuesByName.clear();
+    }
+
+    super.invalidate(fields);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  clearCache() {
+    this._fieldValuesByName.clear();
+
+    super.clearCache();
+  }
+
+  /**
+   * Loads the ID of the item's Project, and the field of that Project with the given name.
+   *
+   * The field includes its options, for single select fields, and its iterations, for iteration fields.
+   *
+   * @param {String} fieldName - the name of the field in the Project
+   *
+   * @returns {Array} the Project ID and the field data, as returned by the GitHub GraphQL API
+   *
+   * @throws {ReferenceError} if the Project doesn't have the field
+   *
+   * @protected @async
+   */
+  async _getProjectField(fieldName) {
+    this._debugCall("_getProjectField", arguments);
+
+    const query = `query GetProjectFieldByName($itemID: ID!, $fieldName: String!) {
+      node(id: $itemID) {
+        ... on ProjectV2Item {
+          project {
+            id
+            field(name: $fieldName) {
+              ... on ProjectV2FieldCommon { id name dataType }
+              ... on ProjectV2SingleSelectField { options { id name } }
+              ... on ProjectV2IterationField {
+                configuration {
+                  iterations { id title }
+                  completedIterations { id title }
+                }
+              }
+            }
+          }
+        }
+      }
+    }`;
+
+    const map = { itemID: await this.id, fieldName: fieldName };
+    const response = await GraphQLBatcher.load(query, map);
+    const project = this.constructor._getContainer(response, ["node", "project"], query, map);
+
+    if (!project.field) {
+      throw new ReferenceError(`Project \`${project.id}\` has no field named \`${fieldName}\`.`);
+    }
+
+    return [project.id, project.field];
+  }
+
+  /**
+   * Builds the `ProjectV2FieldValue` input that sets a field to the given value.
+   *
+   * @param {Object<String, *>} field - the field data, as loaded by `_getProjectField`
+   * @param {String|Number|Date} value - the value to set
+   *
+   * @returns {Object<String, *>} the input
+   *
+   * @throws {ReferenceError} if a single select field doesn't have the option, or an iteration field the iteration
+   * @throws {TypeError} if the value doesn't suit the type of field
+   * @throws {NotImplementedError} if the field is one GitHub doesn't allow setting
+   *
+   * @protected
+   */
+  _getFieldValueInput(field, value) {
+    switch (field.dataType) {
+      case "SINGLE_SELECT": {
+        const option = field.options.find((candidate) => [candidate.id, candidate.name].includes(value));
+
+        if (!option) {
+          const names = field.options.map((candidate) => `\`${candidate.name}\``).join(", ");
+          throw new ReferenceError(`Field \`${field.name}\` has no option \`${value}\` (expected one of ${names}).`);
+        }
+
+        return { singleSelectOptionId: option.id };
+      }
+
+      case "ITERATION": {
+        const iterations = [...field.configuration.iterations, ...field.configuration.completedIterations];
+        const iteration = iterations.find((candidate) => [candidate.id, candidate.title].includes(value));
+
+        if (!iteration) {
+          throw new ReferenceError(`Field \`${field.name}\` has no iteration \`${value}\`.`);
+        }
+
+        return { iterationId: iteration.id };
+      }
+
+      case "DATE":
+        if (value instanceof Date) {
+          return { date: value.toISOString().slice(0, 10) };
+        }
+
+        if (typeof value !== "string" || isNaN(Date.parse(value))) {
+          throw new TypeError(
+            `Expected a Date or ISO 8601 date for field \`${field.name}\`, but received \`${value}\`.`,
+          );
+        }
+
+        return { date: value };
+
+      case "NUMBER":
+        if (typeof value !== "number" || isNaN(value)) {
+          throw new TypeError(`Expected a Number for field \`${field.name}\`, but received \`${value}\`.`);
+        }
+
+        return { number: value };
+
+      case "TEXT":
+        if (typeof value !== "string") {
+          throw new TypeError(`Expected a String for field \`${field.name}\`, but received \`${value}\`.`);
+        }
+
+        return { text: value };
+    }
 
-    throw new NotImplementedError("Direct loading of ProjectV2Item is not supported.");
+    throw new NotImplementedError(`Setting \`${field.dataType}\` fields, such as \`${field.name}\`, is not supported.`);
   }
 };
@@ -0,0 +1,44 @@
+const Field = require("./Field");
+const ProjectV2ItemFieldValue = require("./ProjectV2ItemFieldValue");
+
+/**
+ * ProjectV2ItemFieldDateValue.
+ *
+ * @classdesc
+ * The value of a date field on a GitHub ProjectV2Item.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2itemfielddatevalue}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends ProjectV2ItemFieldValue
+ */
+module.exports = class ProjectV2ItemFieldDateValue extends ProjectV2ItemFieldValue {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    ...ProjectV2ItemFieldValue._fields,
+    date: Field.scalar("Date"),
+  };
+
+  /**
+   * Create a ProjectV2ItemFieldDateValue.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+};
@@ -0,0 +1,48 @@
+const Field = require("./Field");
+const ProjectV2ItemFieldValue = require("./ProjectV2ItemFieldValue");
+
+/**
+ * ProjectV2ItemFieldIterationValue.
+ *
+ * @classdesc
+ * The iteration a GitHub ProjectV2Item is planned for, in an iteration field.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2itemfielditerationvalue}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends ProjectV2ItemFieldValue
+ */
+module.exports = class ProjectV2ItemFieldIterationValue extends ProjectV2ItemFieldValue {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    ...ProjectV2ItemFieldValue._fields,
+    duration: Field.scalar("Int", { nullable: false }),
+    iterationId: Field.scalar("String", { nullable: false }),
+    startDate: Field.scalar("Date", { nullable: false }),
+    title: Field.scalar("String", { nullable: false }),
+    titleHTML: Field.scalar("String", { nullable: false }),
+  };
+
+  /**
+   * Create a ProjectV2ItemFieldIterationValue.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+};
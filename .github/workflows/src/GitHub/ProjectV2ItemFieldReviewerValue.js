@@ -0,0 +1,43 @@
+const ProjectV2ItemFieldValue = require("./ProjectV2ItemFieldValue");
+
+/**
+ * ProjectV2ItemFieldReviewerValue.
+ *
+ * @classdesc
+ * The reviewers requested on the Pull Request behind a GitHub ProjectV2Item, in its built-in reviewers field.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2itemfieldreviewervalue}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends ProjectV2ItemFieldValue
+ */
+module.exports = class ProjectV2ItemFieldReviewerValue extends ProjectV2ItemFieldValue {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    field: ProjectV2ItemFieldValue._fields.field,
+    // reviewers: RequestedReviewer,
+  };
+
+  /**
+   * Create a ProjectV2ItemFieldReviewerValue.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+};
@@ -0,0 +1,49 @@
+const Field = require("./Field");
+const ProjectV2ItemFieldValue = require("./ProjectV2ItemFieldValue");
+
+/**
+ * ProjectV2ItemFieldSingleSelectValue.
+ *
+ * @classdesc
+ * The option chosen for a GitHub ProjectV2Item in a single select field, such as a Project's status.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2itemfieldsingleselectvalue}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends ProjectV2ItemFieldValue
+ */
+module.exports = class ProjectV2ItemFieldSingleSelectValue extends ProjectV2ItemFieldValue {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    ...ProjectV2ItemFieldValue._fields,
+    color: Field.scalar("ProjectV2SingleSelectFieldOptionColor", { nullable: false }),
+    description: Field.scalar("String"),
+    descriptionHTML: Field.scalar("String"),
+    name: Field.scalar("String"),
+    nameHTML: Field.scalar("String"),
+    optionId: Field.scalar("String"),
+  };
+
+  /**
+   * Create a ProjectV2ItemFieldSingleSelectValue.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+};
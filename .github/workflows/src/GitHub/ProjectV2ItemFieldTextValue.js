@@ -0,0 +1,44 @@
+const Field = require("./Field");
+const ProjectV2ItemFieldValue = require("./ProjectV2ItemFieldValue");
+
+/**
+ * ProjectV2ItemFieldTextValue.
+ *
+ * @classdesc
+ * The value of a text field on a GitHub ProjectV2Item.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2itemfieldtextvalue}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends ProjectV2ItemFieldValue
+ */
+module.exports = class ProjectV2ItemFieldTextValue extends ProjectV2ItemFieldValue {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    ...ProjectV2ItemFieldValue._fields,
+    text: Field.scalar("String"),
+  };
+
+  /**
+   * Create a ProjectV2ItemFieldTextValue.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+};
@@ -1,7 +1,8 @@
 const EnhancedCore = require("../EnhancedCore");
 const NotImplementedError = require("../Errors/NotImplementedError");
+const Field = require("./Field");
 const GraphQLAbstract = require("./GraphQLAbstract");
-const Label = require("./Label");
+const ProjectV2FieldConfiguration = require("./ProjectV2FieldConfiguration");
 
 /**
  * ProjectV2ItemFieldValue.
@@ -10,6 +11,17 @@ const Label = require("./Label");
  * Manages various actions on GitHub ProjectV2ItemFieldValue via GraphQL API. This is a Union that
  * implements different fields depending on the type.
  *
+ * Values build as the subclass named after their type (e.g., `ProjectV2ItemFieldSingleSelectValue` for the status of
+ * a Project item). Every kind of value has the `field` it's set for:
+ *
+ * ```js
+ * for (const value of await item.fieldValues) {
+ *   const field = await value.field;
+ *
+ *   console.log(`${await field.name} (${await field.dataType}): ${value.constructor.name}`);
+ * }
+ * ```
+ *
  * @see {@link https://docs.github.com/en/graphql/reference/unions#projectv2itemfieldvalue}
  * @see {@link https://github.com/actions/github-script}
  *
@@ -25,70 +37,42 @@ module.exports = class ProjectV2ItemFieldValue extends GraphQLAbstract {
    * @see {@link https://docs.github.com/en/graphql/reference/interfaces#projectv2itemfieldvaluecommon}
    */
   static _fields = {
-    createdAt: Date.parse,
+    createdAt: Field.scalar("DateTime", { nullable: false }),
     // creator: Actor,
-    databaseId: Number,
-    // field: ProjectV2FieldConfiguration,
-    id: String,
+    databaseId: Field.scalar("Int"),
+    field: Field.object(ProjectV2FieldConfiguration, { nullable: false }),
+    id: Field.scalar("ID", { nullable: false }),
     // item: ProjectV2Item,   // TODO - Circular reference
-    updatedAt: Date.parse,
-  };
-
-  static _fieldsDate = {
-    date: Date.parse,
-  };
-
-  static _fieldsIteration = {
-    duration: Number,
-    iterationId: String,
-    startDate: Date.parse,
-    title: String,
-    titleHTML: String,
-  };
-
-  static _fieldsLabel = {
-    labels: Label,
-  };
-
-  static _fieldsMilestone = {
-    // milestone: Milestone,
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
   };
 
-  static _fieldsNumber = {
-    number: Number,
-  };
-
-  static _fieldsPullRequest = {
-    // pullRequests: PullRequest,
-  };
-
-  static _fieldsRepository = {
-    // repository: Repository,
-  };
-
-  static _fieldsReviewer = {
-    // reviewers: RequestedReviewer,
-  };
-
-  static _fieldsSingleSelect = {
-    color: String,
-    description: String,
-    descriptionHTML: String,
-    name: String,
-    nameHTML: String,
-    optionId: String,
-  };
-
-  static _fieldsText = {
-    text: String,
-  };
+  /**
+   * @inheritdoc
+   *
+   * The common fields all come from the interface most members of the union implement. The values of a Project's
+   * built-in fields (e.g., labels or assignees) don't implement it, and only have the `field` in common.
+   */
+  static _GRAPHQL_TYPE = "ProjectV2ItemFieldValueCommon";
 
-  static _fieldsUser = {
-    // users: User,   // TODO
-  };
+  /**
+   * @inheritdoc
+   */
+  static _MEMBER_TYPES = [
+    "ProjectV2ItemFieldDateValue",
+    "ProjectV2ItemFieldIterationValue",
+    "ProjectV2ItemFieldLabelValue",
+    "ProjectV2ItemFieldMilestoneValue",
+    "ProjectV2ItemFieldNumberValue",
+    "ProjectV2ItemFieldPullRequestValue",
+    "ProjectV2ItemFieldRepositoryValue",
+    "ProjectV2ItemFieldReviewerValue",
+    "ProjectV2ItemFieldSingleSelectValue",
+    "ProjectV2ItemFieldTextValue",
+    "ProjectV2ItemFieldUserValue",
+  ];
 
   /**
-   * Create a ProjectV2Item.
+   * Create a ProjectV2ItemFieldValue.
    *
    * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
    *
@@ -102,117 +86,41 @@ module.exports = class ProjectV2ItemFieldValue extends GraphQLAbstract {
     this._debugCall("constructor", arguments);
 
     // Allows this to override all getters that aren't explicitly set.
-    return new Proxy(this, this);
+    return this._register(new Proxy(this, this));
   }
 
   /**
    * @inheritdoc
    */
-  static async create(caller, pageSize = GraphQLAbstract._PAGE_SIZE) {
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE) {
     const logger = new EnhancedCore(`${this.name}[CLASS]`);
 
     this._debugStaticCall(this.name, "create", { caller: caller.constructor.name, pageSize: pageSize }, false, logger);
 
-    logger.debug("Calling instance:");
-    logger.debug(caller);
-
-    // TODO - why the heck is this not calling the `get` function of `ProjectV2Item` ???
-    logger.debug(`caller.id == ${caller.id}`);
-    logger.debug(`caller.databaseId == ${caller.databaseId}`);
-    logger.debug(`caller.foobar == ${caller.foobar}`);
-
-    // switch (caller.constructor.name) {
-    //   /**
-    //    * ProjectV2Item.
-    //    */
-    //   case "ProjectV2Item":
-    //     return ActionContext.github
-    //       .graphql(
-    //         `query GetFieldsByProjectItem($projectItemID: ID!, $pageSize: Int!) {
-    //           node(id: $projectItemID) {
-    //             fieldValues(first: $pageSize) {
-    //               nodes {
-    //                 .. on ProjectV2ItemFieldValueCommon {
-    //                   ${this._getPrimitiveFields(this._fields).join(" ")}
-    //                 }
-    //                 .. on ProjectV2ItemFieldDateValue {
-    //                   ${this._getPrimitiveFields(this._fieldsDate).join(" ")}
-    //                 }
-    //                 .. on ProjectV2ItemFieldIterationValue {
-    //                   ${this._getPrimitiveFields(this._fieldsIteration).join(" ")}
-    //                 }
-    //                 # .. on ProjectV2ItemFieldLabelValue {
-    //                 #
-    //                 # }
-    //                 # .. on ProjectV2ItemFieldMilestoneValue {
-    //                 #
-    //                 # }
-    //                 .. on ProjectV2ItemFieldNumberValue {
-    //                   ${this._getPrimitiveFields(this._fieldsNumber).join(" ")}
-    //                 }
-    //                 # .. on ProjectV2ItemFieldPullRequestValue {
-    //                 #
-    //                 # }
-    //                 # .. on ProjectV2ItemFieldRepositoryValue {
-    //                 #
-    //                 # }
-    //                 # .. on ProjectV2ItemFieldReviewerValue {
-    //                 #
-    //                 # }
-    //                 .. on ProjectV2ItemFieldSingleSelectValue {
-    //                   ${this._getPrimitiveFields(this._fieldsSingleSelect).join(" ")}
-    //                 }
-    //                 .. on ProjectV2ItemFieldTextValue {
-    //                   ${this._getPrimitiveFields(this._fieldsText).join(" ")}
-    //                 }
-    //                 # .. on ProjectV2ItemFieldUserValue {
-    //                 #
-    //                 # }
-    //               }
-    //             }
-    //           }
-    //         }`,
-    //         {
-    //           projectItemID: caller.id,
-    //           pageSize: pageSize,
-    //         },
-    //       )
-    //       .then((response) => {
-    //         logger.debug("API response received.");
-
-    //         logger.debug("Full response:");
-    //         logger.debug(response);
-
-    //         throw Error("DONE");
-
-    //         const projectItems = response.repository.issue.projectItems;
-
-    //         if (!projectItems) {
-    //           logger.debug(`No Project Items found for Issue #${caller.number}.`);
-    //           return [];
-    //         }
-
-    //         const count = projectItems.totalCount;
-    //         logger.debug(`${count} Project Item(s) found for Issue #${caller.number} (capped at ${pageSize}).`);
-
-    //         // TODO Pagination
-
-    //         logger.verbose("Building Project Item set...");
-
-    //         let promises = [];
-
-    //         projectItems.nodes.forEach(async (data) => {
-    //           promises.push(ProjectV2Item._build(data));
-    //         });
-
-    //         logger.verbose("Project Item set build completed.");
-
-    //         // Wait for all of the Label builds to complete
-    //         return Promise.all(promises).then((builtSet) => {
-    //           return builtSet;
-    //         });
-    //       });
-    // }
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    switch (caller.constructor.name) {
+      /**
+       * ProjectV2Item.
+       */
+      case "ProjectV2Item":
+        return this._paginate(
+          `query GetFieldValuesByProjectItem($projectItemID: ID!, ${GraphQLAbstract._PAGINATION_VARIABLES}) {
+            node(id: $projectItemID) {
+              ... on ProjectV2Item {
+                ${this._getConnectionSelection("fieldValues", {}, [this._getObjectSelection()])}
+              }
+            }
+          }`,
+          {
+            projectItemID: caller.id,
+          },
+          ["node", "fieldValues"],
+          undefined,
+          pageSize,
+        );
+    }
 
     throw new NotImplementedError(
       `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`.`,
@@ -221,6 +129,17 @@ module.exports = class ProjectV2ItemFieldValue extends GraphQLAbstract {
 
   /**
    * @inheritdoc
+   *
+   * Each kind of value also selects the configuration of the field it's set for.
+   */
+  static _getNodeSelection() {
+    return `${super._getNodeSelection()} field { ${ProjectV2FieldConfiguration._getObjectSelection()} }`;
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * Data with a `__typename` builds as the subclass for that type.
    */
   static _build(data, ignoreAdditional = true) {
     const logger = new EnhancedCore(`[C]${this.name}`);
@@ -230,26 +149,16 @@ module.exports = class ProjectV2ItemFieldValue extends GraphQLAbstract {
     logger.verbose("API data:");
     logger.verbose(data);
 
-    const item = new ProjectV2Item();
-
-    for (const [key, val] of Object.entries(data)) {
-      if (!ignoreAdditional && !(key in this._fields)) {
-        throw new ReferenceError(`Unexpected field in Label data: \`${key}\``);
-      }
+    const cls = this._getBuildClass(data);
 
-      // Set directly on the cache to not trigger a GitHub update on the setter
-      item._cache[key] = val;
+    if (cls !== this) {
+      logger.debug(`Building the \`${data.__typename}\` value...`);
+      return cls._build(data, ignoreAdditional);
     }
 
-    return item;
-  }
-
-  /**
-   * @inheritdoc
-   */
-  _getGraphQLQuery() {
-    this._debugCall("_getGraphQLQuery", arguments);
+    const value = new this();
 
-    throw new NotImplementedError("Direct loading of ProjectV2Item is not supported.");
+    // Hydrate directly to not trigger a GitHub update on the setter, using any existing instance of the value
+    return value._hydrate(data, ignoreAdditional);
   }
 };
@@ -0,0 +1,54 @@
+const Field = require("./Field");
+const ProjectV2FieldConfiguration = require("./ProjectV2FieldConfiguration");
+const ProjectV2IterationFieldConfiguration = require("./ProjectV2IterationFieldConfiguration");
+
+/**
+ * ProjectV2IterationField.
+ *
+ * @classdesc
+ * An iteration field of a GitHub ProjectV2, along with the configuration of its iterations.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2iterationfield}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends ProjectV2FieldConfiguration
+ */
+module.exports = class ProjectV2IterationField extends ProjectV2FieldConfiguration {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    ...ProjectV2FieldConfiguration._fields,
+    configuration: Field.object(ProjectV2IterationFieldConfiguration, { nullable: false }),
+  };
+
+  /**
+   * Create a ProjectV2IterationField.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * The configuration always loads alongside the field, as there's no way to load it on its own.
+   */
+  static _getNodeSelection() {
+    return `${super._getNodeSelection()} configuration { ${ProjectV2IterationFieldConfiguration._getNodeSelection()} }`;
+  }
+};
@@ -0,0 +1,74 @@
+const EnhancedCore = require("../EnhancedCore");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+const ProjectV2IterationFieldIteration = require("./ProjectV2IterationFieldIteration");
+
+/**
+ * ProjectV2IterationFieldConfiguration.
+ *
+ * @classdesc
+ * The configuration of a GitHub ProjectV2 iteration field, with its upcoming and completed iterations.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2iterationfieldconfiguration}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class ProjectV2IterationFieldConfiguration extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    completedIterations: Field.object(ProjectV2IterationFieldIteration, { nullable: false, list: true }),
+    duration: Field.scalar("Int", { nullable: false }),
+    iterations: Field.object(ProjectV2IterationFieldIteration, { nullable: false, list: true }),
+    startDay: Field.scalar("Int", { nullable: false }),
+  };
+
+  /**
+   * Create a ProjectV2IterationFieldConfiguration.
+   *
+   * This doesn't load data from GitHub, as it only loads alongside the object it belongs to.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _getNodeSelection() {
+    const iteration = ProjectV2IterationFieldIteration._getNodeSelection();
+
+    return `${super._getNodeSelection()} iterations { ${iteration} } completedIterations { ${iteration} }`;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    const configuration = new ProjectV2IterationFieldConfiguration();
+
+    // Hydrate directly to not trigger a GitHub update on the setter
+    return configuration._hydrate(data, ignoreAdditional);
+  }
+};
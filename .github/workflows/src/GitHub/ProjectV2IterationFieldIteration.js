@@ -0,0 +1,65 @@
+const EnhancedCore = require("../EnhancedCore");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+
+/**
+ * ProjectV2IterationFieldIteration.
+ *
+ * @classdesc
+ * One iteration of a GitHub ProjectV2 iteration field.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2iterationfielditeration}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class ProjectV2IterationFieldIteration extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    duration: Field.scalar("Int", { nullable: false }),
+    id: Field.scalar("String", { nullable: false }),
+    startDate: Field.scalar("Date", { nullable: false }),
+    title: Field.scalar("String", { nullable: false }),
+    titleHTML: Field.scalar("String", { nullable: false }),
+  };
+
+  /**
+   * Create a ProjectV2IterationFieldIteration.
+   *
+   * This doesn't load data from GitHub, as it only loads alongside the object it belongs to.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    const iteration = new ProjectV2IterationFieldIteration();
+
+    // Hydrate directly to not trigger a GitHub update on the setter
+    return iteration._hydrate(data, ignoreAdditional);
+  }
+};
@@ -0,0 +1,54 @@
+const Field = require("./Field");
+const ProjectV2FieldConfiguration = require("./ProjectV2FieldConfiguration");
+const ProjectV2SingleSelectFieldOption = require("./ProjectV2SingleSelectFieldOption");
+
+/**
+ * ProjectV2SingleSelectField.
+ *
+ * @classdesc
+ * A single select field of a GitHub ProjectV2, such as a Project's status, along with the options it offers.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2singleselectfield}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends ProjectV2FieldConfiguration
+ */
+module.exports = class ProjectV2SingleSelectField extends ProjectV2FieldConfiguration {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    ...ProjectV2FieldConfiguration._fields,
+    options: Field.object(ProjectV2SingleSelectFieldOption, { nullable: false, list: true }),
+  };
+
+  /**
+   * Create a ProjectV2SingleSelectField.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * The options always load alongside the field, as there's no way to load them on their own.
+   */
+  static _getNodeSelection() {
+    return `${super._getNodeSelection()} options { ${ProjectV2SingleSelectFieldOption._getNodeSelection()} }`;
+  }
+};
@@ -0,0 +1,66 @@
+const EnhancedCore = require("../EnhancedCore");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+
+/**
+ * ProjectV2SingleSelectFieldOption.
+ *
+ * @classdesc
+ * One of the options a GitHub ProjectV2 single select field offers.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#projectv2singleselectfieldoption}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class ProjectV2SingleSelectFieldOption extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    color: Field.scalar("ProjectV2SingleSelectFieldOptionColor", { nullable: false }),
+    description: Field.scalar("String", { nullable: false }),
+    descriptionHTML: Field.scalar("String", { nullable: false }),
+    id: Field.scalar("String", { nullable: false }),
+    name: Field.scalar("String", { nullable: false }),
+    nameHTML: Field.scalar("String", { nullable: false }),
+  };
+
+  /**
+   * Create a ProjectV2SingleSelectFieldOption.
+   *
+   * This doesn't load data from GitHub, as it only loads alongside the object it belongs to.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    const option = new ProjectV2SingleSelectFieldOption();
+
+    // Hydrate directly to not trigger a GitHub update on the setter
+    return option._hydrate(data, ignoreAdditional);
+  }
+};
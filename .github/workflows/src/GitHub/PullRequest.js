@@ -0,0 +1,174 @@
+const Actor = require("./Actor");
+const Comment = require("./Comment");
+const Field = require("./Field");
+const IssueAbstract = require("./IssueAbstract");
+const Label = require("./Label");
+const ProjectV2Item = require("./ProjectV2Item");
+const Ref = require("./Ref");
+const ReviewRequest = require("./ReviewRequest");
+const User = require("./User");
+
+/**
+ * PullRequest.
+ *
+ * @classdesc
+ * Manages various actions on GitHub Pull Requests via GraphQL API.
+ *
+ * Pull Requests are labeled, assigned, and commented on just like Issues:
+ *
+ * ```js
+ * const pullRequest = new PullRequest(42);
+ *
+ * if ((await pullRequest.reviewDecision) === "CHANGES_REQUESTED") {
+ *   await pullRequest.addLabels(["needs work"]);
+ * }
+ *
+ * for await (const issue of pullRequest.closingIssuesReferences) {
+ *   await issue.addComment(`Fixed by #${pullRequest.number}.`);
+ * }
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#pullrequest}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends IssueAbstract
+ */
+module.exports = class PullRequest extends IssueAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    activeLockReason: Field.scalar("LockReason"),
+    additions: Field.scalar("Int", { nullable: false }),
+    assignees: Field.connection(User, { nullable: false }),
+    author: Field.object(Actor),
+    authorAssociation: Field.scalar("CommentAuthorAssociation", { nullable: false }),
+    // autoMergeRequest: AutoMergeRequest,
+    baseRef: Field.object(Ref),
+    baseRefName: Field.scalar("String", { nullable: false }),
+    baseRefOid: Field.scalar("GitObjectID", { nullable: false }),
+    // baseRepository: Repository,
+    body: Field.scalar("String", { nullable: false }),
+    bodyHTML: Field.scalar("HTML", { nullable: false }),
+    bodyText: Field.scalar("String", { nullable: false }),
+    canBeRebased: Field.scalar("Boolean", { nullable: false }),
+    changedFiles: Field.scalar("Int", { nullable: false }),
+    checksResourcePath: Field.scalar("URI", { nullable: false }),
+    checksUrl: Field.scalar("URI", { nullable: false }),
+    closed: Field.scalar("Boolean", { nullable: false }),
+    closedAt: Field.scalar("DateTime"),
+    closingIssuesReferences: Field.connection(() => require("./Issue")),
+    comments: Field.connection(Comment, { nullable: false }),
+    // commits: PullRequestCommit,
+    createdAt: Field.scalar("DateTime", { nullable: false }),
+    createdViaEmail: Field.scalar("Boolean", { nullable: false }),
+    databaseId: Field.scalar("Int"),
+    deletions: Field.scalar("Int", { nullable: false }),
+    editor: Field.object(Actor),
+    // files: PullRequestChangedFile,
+    fullDatabaseId: Field.scalar("BigInt"),
+    headRef: Field.object(Ref),
+    headRefName: Field.scalar("String", { nullable: false }),
+    headRefOid: Field.scalar("GitObjectID", { nullable: false }),
+    // headRepository: Repository,
+    // headRepositoryOwner: RepositoryOwner,
+    // hovercard: Hovercard,        // TODO - Search function
+    id: Field.scalar("ID", { nullable: false }),
+    includesCreatedEdit: Field.scalar("Boolean", { nullable: false }),
+    isCrossRepository: Field.scalar("Boolean", { nullable: false }),
+    isDraft: Field.scalar("Boolean", { nullable: false }),
+    isInMergeQueue: Field.scalar("Boolean", { nullable: false }),
+    isMergeQueueEnabled: Field.scalar("Boolean", { nullable: false }),
+    isReadByViewer: Field.scalar("Boolean"),
+    labels: Field.connection(Label),
+    lastEditedAt: Field.scalar("DateTime"),
+    // latestOpinionatedReviews: PullRequestReview,
+    // latestReviews: PullRequestReview,
+    locked: Field.scalar("Boolean", { nullable: false }),
+    maintainerCanModify: Field.scalar("Boolean", { nullable: false }),
+    // mergeCommit: Commit,
+    // mergeQueue: MergeQueue,
+    // mergeQueueEntry: MergeQueueEntry,
+    mergeStateStatus: Field.scalar("MergeStateStatus", { nullable: false }),
+    mergeable: Field.scalar("MergeableState", { nullable: false }),
+    merged: Field.scalar("Boolean", { nullable: false }),
+    mergedAt: Field.scalar("DateTime"),
+    mergedBy: Field.object(Actor),
+    // milestone: Milestone,
+    number: Field.scalar("Int", { nullable: false }),
+    participants: Field.connection(User, { nullable: false }),
+    permalink: Field.scalar("URI", { nullable: false }),
+    // potentialMergeCommit: Commit,
+    // projectCards: ProjectCard,
+    projectItems: Field.connection(ProjectV2Item, { nullable: false }),
+    // projectV2: ProjectV2,        // TODO - Search function
+    publishedAt: Field.scalar("DateTime"),
+    // reactionGroups: ReactionGroup,
+    // reactions: Reaction,
+    // repository: Repository,
+    resourcePath: Field.scalar("URI", { nullable: false }),
+    revertResourcePath: Field.scalar("URI", { nullable: false }),
+    revertUrl: Field.scalar("URI", { nullable: false }),
+    reviewDecision: Field.scalar("PullRequestReviewDecision"),
+    reviewRequests: Field.connection(ReviewRequest),
+    // reviewThreads: PullRequestReviewThread,
+    // reviews: PullRequestReview,
+    state: Field.scalar("PullRequestState", { nullable: false }),
+    // statusCheckRollup: StatusCheckRollup,
+    // suggestedReviewers: SuggestedReviewer,
+    // timeline: PullRequestTimeline,
+    // timelineItems: PullRequestTimelineItems,
+    title: Field.scalar("String", { nullable: false }),
+    titleHTML: Field.scalar("HTML", { nullable: false }),
+    totalCommentsCount: Field.scalar("Int"),
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
+    url: Field.scalar("URI", { nullable: false }),
+    // userContentEdits: UserContentEdit,
+    viewerCanApplySuggestion: Field.scalar("Boolean", { nullable: false }),
+    viewerCanClose: Field.scalar("Boolean", { nullable: false }),
+    viewerCanDeleteHeadRef: Field.scalar("Boolean", { nullable: false }),
+    viewerCanDisableAutoMerge: Field.scalar("Boolean", { nullable: false }),
+    viewerCanEditFiles: Field.scalar("Boolean", { nullable: false }),
+    viewerCanEnableAutoMerge: Field.scalar("Boolean", { nullable: false }),
+    viewerCanLabel: Field.scalar("Boolean", { nullable: false }),
+    viewerCanMergeAsAdmin: Field.scalar("Boolean", { nullable: false }),
+    viewerCanReact: Field.scalar("Boolean", { nullable: false }),
+    viewerCanReopen: Field.scalar("Boolean", { nullable: false }),
+    viewerCanSubscribe: Field.scalar("Boolean", { nullable: false }),
+    viewerCanUpdate: Field.scalar("Boolean", { nullable: false }),
+    viewerCanUpdateBranch: Field.scalar("Boolean", { nullable: false }),
+    // viewerCannotUpdateReasons,   // TODO - Returns Array of Strings
+    viewerDidAuthor: Field.scalar("Boolean", { nullable: false }),
+    // viewerLatestReview: PullRequestReview,
+    // viewerLatestReviewRequest: ReviewRequest,
+    // viewerMergeBodyText: String,       // TODO - Search function
+    // viewerMergeHeadlineText: String,   // TODO - Search function
+    viewerSubscription: Field.scalar("SubscriptionState"),
+  };
+
+  /**
+   * Create a PullRequest.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {Number} number - the Pull Request number to load
+   * @param {Repository|String} [repository=context.repo.repo] - the Repository the Pull Request is part of, or its
+   *   name
+   * @param {String} [owner=context.repo.owner] - the owner of the Repository, if given by name
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor(number, repository = undefined, owner = undefined) {
+    super(number, repository, owner);
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
+  }
+};
@@ -0,0 +1,146 @@
+const EnhancedCore = require("../EnhancedCore");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLBatcher = require("./GraphQLBatcher");
+
+/**
+ * Ref.
+ *
+ * @classdesc
+ * Manages various actions on GitHub Git references, such as the head and base branches of a Pull Request or the default
+ * branch of a Repository, via GraphQL API.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#ref}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class Ref extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    // associatedPullRequests: PullRequest,
+    // branchProtectionRule: BranchProtectionRule,
+    id: Field.scalar("ID", { nullable: false }),
+    name: Field.scalar("String", { nullable: false }),
+    prefix: Field.scalar("String", { nullable: false }),
+    // repository: Repository,
+    // target: GitObject,
+  };
+
+  /**
+   * Create a Ref.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE, field = undefined) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(
+      this.name,
+      "create",
+      { caller: caller.constructor.name, pageSize: pageSize, field: field },
+      false,
+      logger,
+    );
+
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    /**
+     * PullRequest.
+     */
+    if (caller.constructor.name === "PullRequest" && ["baseRef", "headRef"].includes(field)) {
+      const query = `query GetRefByPullRequest($owner: String!, $repository: String!, $number: Int!) {
+        repository(owner: $owner, name: $repository) {
+          pullRequest(number: $number) {
+            ${field} {
+              ${this._getNodeSelection()}
+            }
+          }
+        }
+      }`;
+
+      const map = {
+        owner: caller.repository.owner,
+        repository: caller.repository.name,
+        number: caller.number,
+      };
+
+      return GraphQLBatcher.load(query, map).then((response) => {
+        // Deleted branches have no Ref
+        const data = this._getContainer(response, ["repository", "pullRequest"], query, map)[field];
+
+        return data ? this._build(data) : null;
+      });
+    }
+
+    /**
+     * Repository.
+     */
+    if (caller.constructor.name === "Repository" && field === "defaultBranchRef") {
+      const query = `query GetDefaultBranchByRepository($owner: String!, $repository: String!) {
+        repository(owner: $owner, name: $repository) {
+          defaultBranchRef {
+            ${this._getNodeSelection()}
+          }
+        }
+      }`;
+
+      const map = {
+        owner: caller.owner,
+        repository: caller.name,
+      };
+
+      return GraphQLBatcher.load(query, map).then((response) => {
+        // Empty Repositories have no default branch
+        const data = this._getContainer(response, ["repository"], query, map).defaultBranchRef;
+
+        return data ? this._build(data) : null;
+      });
+    }
+
+    throw new NotImplementedError(
+      `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`` +
+        (field ? ` for \`${field}\`.` : "."),
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    const ref = new Ref();
+
+    // Hydrate directly to not trigger a GitHub update on the setter, using any existing instance of the ref
+    return ref._hydrate(data, ignoreAdditional);
+  }
+};
@@ -0,0 +1,359 @@
+const ActionContext = require("../ActionContext");
+const EnhancedCore = require("../EnhancedCore");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+const GraphQLClient = require("./GraphQLClient");
+const Ref = require("./Ref");
+const crypto = require("crypto");
+
+/**
+ * Repository.
+ *
+ * @classdesc
+ * Manages various actions on GitHub Repositories via GraphQL API.
+ *
+ * Repositories load by their name and owner, defaulting to the Repository the automation runs in, or by node ID:
+ *
+ * ```js
+ * const repository = new Repository();
+ *
+ * const issue = repository.issue(42);
+ * const branch = await (await repository.defaultBranchRef).name;
+ *
+ * const fork = await Repository.fromNodeId(ActionContext.context.payload.forkee.node_id);
+ * ```
+ *
+ * The Issues, Pull Requests, Labels, and Milestones of a Repository hold it, rather than its name and owner.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#repository}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class Repository extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    allowUpdateBranch: Field.scalar("Boolean", { nullable: false }),
+    archivedAt: Field.scalar("DateTime"),
+    // assignableUsers: User,
+    autoMergeAllowed: Field.scalar("Boolean", { nullable: false }),
+    // branchProtectionRules: BranchProtectionRule,
+    // codeOfConduct: CodeOfConduct,
+    // collaborators: RepositoryCollaborator,
+    createdAt: Field.scalar("DateTime", { nullable: false }),
+    databaseId: Field.scalar("Int"),
+    defaultBranchRef: Field.object(Ref),
+    deleteBranchOnMerge: Field.scalar("Boolean", { nullable: false }),
+    description: Field.scalar("String"),
+    descriptionHTML: Field.scalar("HTML", { nullable: false }),
+    // discussions: Discussion,
+    diskUsage: Field.scalar("Int"),
+    forkCount: Field.scalar("Int", { nullable: false }),
+    forkingAllowed: Field.scalar("Boolean", { nullable: false }),
+    // forks: Repository,
+    hasDiscussionsEnabled: Field.scalar("Boolean", { nullable: false }),
+    hasIssuesEnabled: Field.scalar("Boolean", { nullable: false }),
+    hasProjectsEnabled: Field.scalar("Boolean", { nullable: false }),
+    hasSponsorshipsEnabled: Field.scalar("Boolean", { nullable: false }),
+    hasVulnerabilityAlertsEnabled: Field.scalar("Boolean", { nullable: false }),
+    hasWikiEnabled: Field.scalar("Boolean", { nullable: false }),
+    homepageUrl: Field.scalar("URI"),
+    id: Field.scalar("ID", { nullable: false }),
+    isArchived: Field.scalar("Boolean", { nullable: false }),
+    isBlankIssuesEnabled: Field.scalar("Boolean", { nullable: false }),
+    isDisabled: Field.scalar("Boolean", { nullable: false }),
+    isEmpty: Field.scalar("Boolean", { nullable: false }),
+    isFork: Field.scalar("Boolean", { nullable: false }),
+    isInOrganization: Field.scalar("Boolean", { nullable: false }),
+    isLocked: Field.scalar("Boolean", { nullable: false }),
+    isMirror: Field.scalar("Boolean", { nullable: false }),
+    isPrivate: Field.scalar("Boolean", { nullable: false }),
+    isSecurityPolicyEnabled: Field.scalar("Boolean"),
+    isTemplate: Field.scalar("Boolean", { nullable: false }),
+    // issue: Issue,                // See `issue`
+    issues: Field.connection(() => require("./Issue"), { nullable: false }),
+    // label: Label,                // See `label`
+    labels: Field.connection(() => require("./Label")),
+    // latestRelease: Release,
+    lockReason: Field.scalar("RepositoryLockReason"),
+    mergeCommitAllowed: Field.scalar("Boolean", { nullable: false }),
+    // milestone: Milestone,        // TODO - Search function
+    milestones: Field.connection(() => require("./Milestone")),
+    mirrorUrl: Field.scalar("URI"),
+    name: Field.scalar("String", { nullable: false }),
+    nameWithOwner: Field.scalar("String", { nullable: false }),
+    openGraphImageUrl: Field.scalar("URI", { nullable: false }),
+    // owner: RepositoryOwner,
+    // parent: Repository,
+    // primaryLanguage: Language,
+    projectsResourcePath: Field.scalar("URI", { nullable: false }),
+    projectsUrl: Field.scalar("URI", { nullable: false }),
+    projectsV2: Field.connection(() => require("./ProjectV2"), { nullable: false }),
+    // pullRequest: PullRequest,    // TODO - Search function
+    pullRequests: Field.connection(() => require("./PullRequest"), { nullable: false }),
+    pushedAt: Field.scalar("DateTime"),
+    rebaseMergeAllowed: Field.scalar("Boolean", { nullable: false }),
+    // refs: Ref,
+    // releases: Release,
+    resourcePath: Field.scalar("URI", { nullable: false }),
+    securityPolicyUrl: Field.scalar("URI"),
+    squashMergeAllowed: Field.scalar("Boolean", { nullable: false }),
+    sshUrl: Field.scalar("GitSSHRemote", { nullable: false }),
+    stargazerCount: Field.scalar("Int", { nullable: false }),
+    // templateRepository: Repository,
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
+    url: Field.scalar("URI", { nullable: false }),
+    viewerCanAdminister: Field.scalar("Boolean", { nullable: false }),
+    viewerCanCreateProjects: Field.scalar("Boolean", { nullable: false }),
+    viewerCanSubscribe: Field.scalar("Boolean", { nullable: false }),
+    viewerCanUpdateTopics: Field.scalar("Boolean", { nullable: false }),
+    viewerDefaultMergeMethod: Field.scalar("PullRequestMergeMethod", { nullable: false }),
+    viewerHasStarred: Field.scalar("Boolean", { nullable: false }),
+    viewerPermission: Field.scalar("RepositoryPermission"),
+    viewerSubscription: Field.scalar("SubscriptionState"),
+    visibility: Field.scalar("RepositoryVisibility", { nullable: false }),
+    webCommitSignoffRequired: Field.scalar("Boolean", { nullable: false }),
+  };
+
+  /**
+   * The Repository name.
+   *
+   * @public @readonly @type {String}
+   */
+  name;
+
+  /**
+   * The login of the user, or organization, owning the Repository.
+   *
+   * @public @readonly @type {String}
+   */
+  owner;
+
+  /**
+   * Create a Repository.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {String} [name=context.repo.repo] - the Repository name to load
+   * @param {String} [owner=context.repo.owner] - the login of the user, or organization, owning the Repository
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor(name = undefined, owner = undefined) {
+    super(name);
+
+    this._debugCall("constructor", arguments);
+
+    // Setting via reflection avoids the special setter override
+    this.name = name ? name : ActionContext.context.repo.repo;
+    this.owner = owner ? owner : ActionContext.context.repo.owner;
+
+    this._eCore.debug(`New Repository(name: ${this.name}, owner: ${this.owner})`);
+
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * Return the Repository an Issue, Label, or the like is part of, given either the Repository or its name and owner.
+   *
+   * @param {Repository|String} [repository=context.repo.repo] - the Repository, or its name
+   * @param {String} [owner=context.repo.owner] - the owner of the Repository, if given by name
+   *
+   * @returns {Repository}
+   *
+   * @throws {TypeError} upon encountering an unexpected object type
+   *
+   * @public @static
+   */
+  static resolve(repository = undefined, owner = undefined) {
+    if (repository instanceof Repository) {
+      return repository;
+    }
+
+    if (typeof repository !== "undefined" && typeof repository !== "string") {
+      throw new TypeError(`Unexpected Repository type encountered: \`${repository.constructor.name}\``);
+    }
+
+    return new Repository(repository, owner);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    // The owner is selected as an object, rather than known up front
+    if (data.owner && typeof data.owner === "object") {
+      data = { ...data, owner: data.owner.login };
+    }
+
+    ["owner", "name"].forEach((key) => {
+      if (!(key in data)) {
+        throw new ReferenceError(`Missing required ${this.name} field: \`${key}\``);
+      }
+    });
+
+    const { owner, ...fields } = data;
+    const repository = new Repository(fields["name"], owner);
+
+    // Hydrate directly to not trigger a GitHub update on the setter
+    return repository._hydrate(fields, ignoreAdditional);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _getNodeSelection() {
+    return `${super._getNodeSelection()} owner { login }`;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getIdentityKeys() {
+    return [`Repository:${this.owner}/${this.name}`.toLowerCase()];
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getGraphQLQuery() {
+    this._debugCall("_getGraphQLQuery", arguments);
+
+    const query = `
+      query GetRepositoryByName($owner: String!, $repository: String!) {
+        repository(owner: $owner, name: $repository) {
+          ${this.constructor._getPrimitiveFields().join(" ")}
+        }
+      }`;
+
+    const map = {
+      owner: this.owner,
+      repository: this.name,
+    };
+
+    const container = ["repository"];
+
+    return [query, map, container];
+  }
+
+  /**
+   * Return the name with owner of the Repository when serialized, such as in debug messages, in place of its data.
+   *
+   * @returns {String}
+   *
+   * @public
+   */
+  toJSON() {
+    return `${this.owner}/${this.name}`;
+  }
+
+  // Factories ---------------------------------------------------------------------------------------------------------
+
+  /**
+   * Return an Issue in the Repository.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {Number} number - the Issue number
+   *
+   * @returns {Issue}
+   *
+   * @public
+   */
+  issue(number) {
+    this._debugCall("issue", arguments);
+
+    const Issue = require("./Issue");
+
+    return new Issue(number, this);
+  }
+
+  /**
+   * Return a Label in the Repository.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {String} name - the Label name
+   *
+   * @returns {Label}
+   *
+   * @public
+   */
+  label(name) {
+    this._debugCall("label", arguments);
+
+    const Label = require("./Label");
+
+    return new Label(name, this);
+  }
+
+  // Labels ------------------------------------------------------------------------------------------------------------
+
+  /**
+   * Adds a Label to the Repository.
+   *
+   * @param {String} name - the name of the Label
+   * @param {String} color - the hexadecimal color code of the Label, without the leading `#`
+   * @param {String} [description] - the description of the Label
+   *
+   * @returns {Label|null} the Label, or `null` on a dry run, as no Label is created
+   *
+   * @public @async
+   */
+  async addLabel(name, color, description = undefined) {
+    this._debugCall("addLabel", arguments);
+
+    const Label = require("./Label");
+
+    const repositoryID = await this.id;
+
+    this._eCore.debug(`Calling GitHub GraphQL API to add Label \`${name}\` to \`${this.owner}/${this.name}\`...`);
+
+    const response = await GraphQLClient.request(
+      `mutation AddLabelToRepository(
+        $clientID: String!, $repositoryID: ID!, $name: String!, $color: String!, $description: String
+      ) {
+        createLabel(input: {
+          clientMutationId: $clientID,
+          repositoryId: $repositoryID,
+          name: $name,
+          color: $color,
+          description: $description
+        }) {
+          clientMutationId
+          label {
+            ${Label._getNodeSelection()}
+          }
+        }
+      }`,
+      {
+        clientID: crypto.randomUUID(),
+        repositoryID: repositoryID,
+        name: name,
+        color: color,
+        description: typeof description === "undefined" ? null : description,
+      },
+    );
+
+    this.invalidate(["labels"]);
+
+    const label = response.createLabel.label;
+
+    return label ? Label._build({ ...label, repository: this }) : null;
+  }
+};
@@ -0,0 +1,148 @@
+const EnhancedCore = require("../EnhancedCore");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Actor = require("./Actor");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+
+/**
+ * ReviewRequest.
+ *
+ * @classdesc
+ * Manages various actions on GitHub requests for a review of a Pull Request via GraphQL API.
+ *
+ * Reviews are requested of an Actor (e.g., a User) or a Team. Teams aren't modeled yet, so only their slug is kept:
+ *
+ * ```js
+ * for await (const request of pullRequest.reviewRequests) {
+ *   console.log(request.reviewer ? request.reviewer.login : `Team ${request.team}`);
+ * }
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#reviewrequest}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends GraphQLAbstract
+ */
+module.exports = class ReviewRequest extends GraphQLAbstract {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    asCodeOwner: Field.scalar("Boolean", { nullable: false }),
+    databaseId: Field.scalar("Int"),
+    id: Field.scalar("ID", { nullable: false }),
+    // pullRequest: PullRequest,   // TODO - Circular reference
+    // requestedReviewer: RequestedReviewer,
+  };
+
+  /**
+   * The Actor the review is requested of, or `null` if it's requested of a Team.
+   *
+   * @public @readonly @type {Actor|null}
+   */
+  reviewer = null;
+
+  /**
+   * The slug of the Team the review is requested of, or `null` if it's requested of an Actor.
+   *
+   * @public @readonly @type {String|null}
+   */
+  team = null;
+
+  /**
+   * Create a ReviewRequest.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor() {
+    super();
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "create", { caller: caller.constructor.name, pageSize: pageSize }, false, logger);
+
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    switch (caller.constructor.name) {
+      /**
+       * PullRequest.
+       */
+      case "PullRequest":
+        return this._paginate(
+          `query GetReviewRequestsByPullRequest(
+            $owner: String!, $repository: String!, $number: Int!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+          ) {
+            repository(owner: $owner, name: $repository) {
+              pullRequest(number: $number) {
+                ${this._getConnectionSelection("reviewRequests", {}, [this._getNodeSelection()])}
+              }
+            }
+          }`,
+          {
+            owner: caller.repository.owner,
+            repository: caller.repository.name,
+            number: caller.number,
+          },
+          ["repository", "pullRequest", "reviewRequests"],
+          undefined,
+          pageSize,
+        );
+    }
+
+    throw new NotImplementedError(
+      `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`.`,
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static _build(data, ignoreAdditional = true) {
+    const logger = new EnhancedCore(`[C]${this.name}`);
+
+    this._debugStaticCall(this.name, "_build", { data: "...", ignoreAdditional: ignoreAdditional }, false, logger);
+
+    logger.verbose("API data:");
+    logger.verbose(data);
+
+    const { requestedReviewer, ...fields } = data;
+    const request = new ReviewRequest();
+
+    // Set before hydrating, as setting class properties clears the cache
+    if (requestedReviewer && requestedReviewer.__typename === "Team") {
+      request.team = requestedReviewer.slug;
+    } else if (requestedReviewer) {
+      request.reviewer = Actor._build(requestedReviewer);
+    }
+
+    // Hydrate directly to not trigger a GitHub update on the setter, using any existing instance of the request
+    return request._hydrate(fields, ignoreAdditional);
+  }
+
+  /**
+   * @inheritdoc
+   *
+   * The reviewer always loads alongside the request, as there's no way to load it on its own.
+   */
+  static _getNodeSelection() {
+    return `${super._getNodeSelection()} requestedReviewer { ${Actor._getObjectSelection()} ... on Team { slug } }`;
+  }
+};
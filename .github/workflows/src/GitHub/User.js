@@ -0,0 +1,136 @@
+const EnhancedCore = require("../EnhancedCore");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Actor = require("./Actor");
+const Field = require("./Field");
+const GraphQLAbstract = require("./GraphQLAbstract");
+
+/**
+ * User.
+ *
+ * @classdesc
+ * Manages various actions on GitHub Users via GraphQL API.
+ *
+ * @see {@link https://docs.github.com/en/graphql/reference/objects#user}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends Actor
+ */
+module.exports = class User extends Actor {
+  /**
+   * @inheritdoc
+   */
+  static _fields = {
+    avatarUrl: Field.scalar("URI", { nullable: false }),
+    bio: Field.scalar("String"),
+    company: Field.scalar("String"),
+    createdAt: Field.scalar("DateTime", { nullable: false }),
+    databaseId: Field.scalar("Int"),
+    email: Field.scalar("String", { nullable: false }),
+    id: Field.scalar("ID", { nullable: false }),
+    isSiteAdmin: Field.scalar("Boolean", { nullable: false }),
+    isViewer: Field.scalar("Boolean", { nullable: false }),
+    location: Field.scalar("String"),
+    login: Field.scalar("String", { nullable: false }),
+    name: Field.scalar("String"),
+    pronouns: Field.scalar("String"),
+    // repositories: Repository,
+    resourcePath: Field.scalar("URI", { nullable: false }),
+    twitterUsername: Field.scalar("String"),
+    updatedAt: Field.scalar("DateTime", { nullable: false }),
+    url: Field.scalar("URI", { nullable: false }),
+    websiteUrl: Field.scalar("URI"),
+  };
+
+  /**
+   * Create a User.
+   *
+   * This doesn't load data from GitHub, as that's lazy-loaded when data is first accessed.
+   *
+   * @param {String} login - the User's login
+   *
+   * @returns {Proxy} of this object to allow for enhanced getters and setters
+   *
+   * @override @public @constructor
+   */
+  constructor(login) {
+    super(login);
+
+    this._debugCall("constructor", arguments);
+
+    // Allows this to override all getters that aren't explicitly set, returning any existing instance instead.
+    return this._register(new Proxy(this, this));
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static create(caller, pageSize = GraphQLAbstract._PAGE_SIZE, field = undefined) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(
+      this.name,
+      "create",
+      { caller: caller.constructor.name, pageSize: pageSize, field: field },
+      false,
+      logger,
+    );
+
+    logger.verbose("Calling instance:");
+    logger.verbose(caller);
+
+    /**
+     * Issue or PullRequest.
+     */
+    if (["Issue", "PullRequest"].includes(caller.constructor.name) && ["assignees", "participants"].includes(field)) {
+      return this._paginate(
+        `query GetUsersBy${caller.constructor.name}(
+          $owner: String!, $repository: String!, $number: Int!, ${GraphQLAbstract._PAGINATION_VARIABLES}
+        ) {
+          repository(owner: $owner, name: $repository) {
+            ${caller.constructor._getRepositoryField()}(number: $number) {
+              ${this._getConnectionSelection(field)}
+            }
+          }
+        }`,
+        {
+          owner: caller.repository.owner,
+          repository: caller.repository.name,
+          number: caller.number,
+        },
+        ["repository", caller.constructor._getRepositoryField(), field],
+        undefined,
+        pageSize,
+      );
+    }
+
+    throw new NotImplementedError(
+      `The \`${this.name}.create\` method does not support calling from \`${caller.constructor.name}\`` +
+        (field ? ` for \`${field}\`.` : "."),
+    );
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getGraphQLQuery() {
+    this._debugCall("_getGraphQLQuery", arguments);
+
+    const query = `
+      query GetUserByLogin($login: String!) {
+        user(login: $login) {
+          ${this.constructor._getPrimitiveFields().join(" ")}
+        }
+      }`;
+
+    const map = {
+      login: this.login,
+    };
+
+    const container = ["user"];
+
+    return [query, map, container];
+  }
+};
@@ -0,0 +1,750 @@
+/**
+ * Parser.
+ *
+ * @classdesc
+ * A small, dependency-free GraphQL parser for both executable documents (queries and mutations) and type system
+ * definitions (SDL), such as GitHub's public `schema.docs.graphql`.
+ *
+ * This supports the parts of the GraphQL specification this library uses and validates against. It produces a
+ * simplified syntax tree, rather than the full tree the reference implementation produces:
+ *
+ * ```js
+ * Parser.parse('query GetIssue($n: Int!) { repository(owner: "a", name: "b") { issue(number: $n) { id } } }');
+ * // {
+ * //   definitions: [{
+ * //     kind: "OperationDefinition",
+ * //     operation: "query",
+ * //     name: "GetIssue",
+ * //     variables: [{ name: "n", type: { kind: "NonNullType", type: { kind: "NamedType", name: "Int" } } }],
+ * //     selectionSet: [{ kind: "Field", name: "repository", ... }],
+ * //   }],
+ * // }
+ * ```
+ *
+ * @see {@link https://spec.graphql.org/October2021/#sec-Language}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class
+ */
+module.exports = class Parser {
+  /**
+   * Single and multi-character punctuators in the GraphQL language.
+   *
+   * @public @static @constant @type {String[]}
+   */
+  static PUNCTUATORS = ["!", "$", "&", "(", ")", "...", ":", "=", "@", "[", "]", "{", "|", "}"];
+
+  /**
+   * The tokens of the source being parsed.
+   *
+   * @protected @type {Object[]}
+   */
+  _tokens;
+
+  /**
+   * The position of the current token.
+   *
+   * @protected @type {Number}
+   */
+  _position = 0;
+
+  /**
+   * Create a Parser for the given source.
+   *
+   * @param {String} source - the GraphQL source to parse
+   *
+   * @throws {SyntaxError} if the source contains an unexpected character
+   *
+   * @public @constructor
+   */
+  constructor(source) {
+    this._tokens = Parser.tokenize(source);
+  }
+
+  /**
+   * Parse a GraphQL document, either executable or type system definitions.
+   *
+   * @param {String} source - the GraphQL source to parse
+   *
+   * @returns {Object} the document, with its `definitions`
+   *
+   * @throws {SyntaxError} if the source isn't valid GraphQL
+   *
+   * @public @static
+   */
+  static parse(source) {
+    return new Parser(source).parseDocument();
+  }
+
+  // Lexing ------------------------------------------------------------------------------------------------------------
+
+  /**
+   * Split GraphQL source into tokens, dropping whitespace, commas, and comments.
+   *
+   * @param {String} source - the GraphQL source to split
+   *
+   * @returns {Object[]} the tokens, each with a `kind`, `value`, and `line`
+   *
+   * @throws {SyntaxError} if the source contains an unexpected character
+   *
+   * @public @static
+   */
+  static tokenize(source) {
+    const tokens = [];
+    const pattern = new RegExp(
+      [
+        String.raw`([\s,\uFEFF]+)`,
+        String.raw`(#[^\n\r]*)`,
+        String.raw`("""[\s\S]*?(?<!\\)""")`,
+        String.raw`("(?:[^"\\\n\r]|\\.)*")`,
+        String.raw`(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)`,
+        String.raw`([_A-Za-z][_0-9A-Za-z]*)`,
+        String.raw`(\.\.\.|[!$&()[\]{}:=@|])`,
+      ].join("|"),
+      "y",
+    );
+
+    let line = 1;
+    let match;
+
+    while (pattern.lastIndex < source.length) {
+      const start = pattern.lastIndex;
+
+      match = pattern.exec(source);
+
+      if (!match) {
+        throw new SyntaxError(`Unexpected character \`${source[start]}\` on line ${line}.`);
+      }
+
+      const [text, space, comment, block, string, number, name, punctuator] = match;
+
+      if (block) {
+        tokens.push({ kind: "String", value: Parser._dedent(block.slice(3, -3).replace(/\\"""/g, '"""')), line });
+      } else if (string) {
+        tokens.push({ kind: "String", value: JSON.parse(string), line });
+      } else if (number) {
+        tokens.push({ kind: /[.eE]/.test(number) ? "Float" : "Int", value: number, line });
+      } else if (name) {
+        tokens.push({ kind: "Name", value: name, line });
+      } else if (punctuator) {
+        tokens.push({ kind: "Punctuator", value: punctuator, line });
+      } else if (!space && !comment) {
+        throw new SyntaxError(`Unexpected character \`${source[start]}\` on line ${line}.`);
+      }
+
+      line += (text.match(/\n/g) || []).length;
+    }
+
+    tokens.push({ kind: "EOF", value: undefined, line });
+
+    return tokens;
+  }
+
+  /**
+   * Remove the common indentation from a block string.
+   *
+   * @param {String} text - the raw contents of the block string
+   *
+   * @returns {String} the block string value
+   *
+   * @protected @static
+   */
+  static _dedent(text) {
+    const lines = text.split(/\r\n|\n|\r/);
+    const indents = lines
+      .slice(1)
+      .filter((line) => line.trim())
+      .map((line) => line.match(/^[ \t]*/)[0].length);
+    const indent = indents.length ? Math.min(...indents) : 0;
+
+    return lines
+      .map((line, index) => (index === 0 ? line : line.slice(indent)))
+      .join("\n")
+      .trim();
+  }
+
+  // Token Helpers -----------------------------------------------------------------------------------------------------
+
+  /**
+   * The current token.
+   *
+   * @protected @type {Object}
+   */
+  get _token() {
+    return this._tokens[this._position];
+  }
+
+  /**
+   * Whether the current token matches the given kind and, optionally, value.
+   *
+   * @param {String} kind - the token kind
+   * @param {String} [value=undefined] - the token value
+   *
+   * @returns {Boolean}
+   *
+   * @protected
+   */
+  _peek(kind, value = undefined) {
+    return this._token.kind === kind && (typeof value === "undefined" || this._token.value === value);
+  }
+
+  /**
+   * Consume the current token if it matches, returning whether it did.
+   *
+   * @param {String} kind - the token kind
+   * @param {String} [value=undefined] - the token value
+   *
+   * @returns {Boolean}
+   *
+   * @protected
+   */
+  _skip(kind, value = undefined) {
+    if (this._peek(kind, value)) {
+      this._position++;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Consume the current token, which must match.
+   *
+   * @param {String} kind - the token kind
+   * @param {String} [value=undefined] - the token value
+   *
+   * @returns {String} the value of the consumed token
+   *
+   * @throws {SyntaxError} if the current token doesn't match
+   *
+   * @protected
+   */
+  _expect(kind, value = undefined) {
+    const token = this._token;
+
+    if (!this._peek(kind, value)) {
+      throw new SyntaxError(
+        `Expected ${typeof value === "undefined" ? kind : `\`${value}\``}, but found ` +
+          `${token.kind === "EOF" ? "the end of the document" : `\`${token.value}\``} on line ${token.line}.`,
+      );
+    }
+
+    this._position++;
+
+    return token.value;
+  }
+
+  /**
+   * Parse a list of items between the given opening and closing punctuators.
+   *
+   * @param {String} open - the opening punctuator
+   * @param {String} close - the closing punctuator
+   * @param {Function} item - parses a single item
+   *
+   * @returns {Array} the parsed items
+   *
+   * @protected
+   */
+  _many(open, close, item) {
+    const items = [];
+
+    this._expect("Punctuator", open);
+
+    while (!this._skip("Punctuator", close)) {
+      items.push(item.call(this));
+    }
+
+    return items;
+  }
+
+  // Documents ---------------------------------------------------------------------------------------------------------
+
+  /**
+   * Parse the full document.
+   *
+   * @returns {Object} the document, with its `definitions`
+   *
+   * @public
+   */
+  parseDocument() {
+    const definitions = [];
+
+    while (!this._peek("EOF")) {
+      definitions.push(this._parseDefinition());
+    }
+
+    return { kind: "Document", definitions: definitions };
+  }
+
+  /**
+   * Parse a single executable or type system definition.
+   *
+   * @returns {Object} the definition
+   *
+   * @protected
+   */
+  _parseDefinition() {
+    if (this._peek("Punctuator", "{")) {
+      return this._parseOperation();
+    }
+
+    // Descriptions only precede type system definitions
+    const description = this._peek("String") ? this._expect("String") : undefined;
+    const keyword = this._token.value;
+
+    switch (keyword) {
+      case "query":
+      case "mutation":
+      case "subscription":
+        return this._parseOperation();
+
+      case "fragment":
+        return this._parseFragment();
+
+      case "schema":
+        return this._parseSchema();
+
+      case "scalar":
+        this._position++;
+        return {
+          kind: "ScalarTypeDefinition",
+          name: this._expect("Name"),
+          directives: this._parseDirectives(),
+          description,
+        };
+
+      case "type":
+      case "interface":
+        return { ...this._parseObjectType(), description };
+
+      case "union":
+        return { ...this._parseUnion(), description };
+
+      case "enum":
+        return { ...this._parseEnum(), description };
+
+      case "input":
+        return { ...this._parseInput(), description };
+
+      case "directive":
+        return { ...this._parseDirectiveDefinition(), description };
+    }
+
+    throw new SyntaxError(`Unexpected \`${keyword}\` on line ${this._token.line}.`);
+  }
+
+  // Executable Definitions --------------------------------------------------------------------------------------------
+
+  /**
+   * Parse a query, mutation, or subscription.
+   *
+   * @returns {Object} the operation definition
+   *
+   * @protected
+   */
+  _parseOperation() {
+    if (this._peek("Punctuator", "{")) {
+      return {
+        kind: "OperationDefinition",
+        operation: "query",
+        variables: [],
+        selectionSet: this._parseSelectionSet(),
+      };
+    }
+
+    const operation = this._expect("Name");
+    const name = this._peek("Name") ? this._expect("Name") : undefined;
+    const variables = this._peek("Punctuator", "(") ? this._many("(", ")", this._parseVariableDefinition) : [];
+    const directives = this._parseDirectives();
+
+    return {
+      kind: "OperationDefinition",
+      operation,
+      name,
+      variables,
+      directives,
+      selectionSet: this._parseSelectionSet(),
+    };
+  }
+
+  /**
+   * Parse a named fragment.
+   *
+   * @returns {Object} the fragment definition
+   *
+   * @protected
+   */
+  _parseFragment() {
+    this._expect("Name", "fragment");
+
+    const name = this._expect("Name");
+
+    this._expect("Name", "on");
+
+    const typeCondition = this._expect("Name");
+    const directives = this._parseDirectives();
+
+    return { kind: "FragmentDefinition", name, typeCondition, directives, selectionSet: this._parseSelectionSet() };
+  }
+
+  /**
+   * Parse a variable definition, such as `$number: Int! = 1`.
+   *
+   * @returns {Object} the variable definition
+   *
+   * @protected
+   */
+  _parseVariableDefinition() {
+    this._expect("Punctuator", "$");
+
+    const name = this._expect("Name");
+
+    this._expect("Punctuator", ":");
+
+    const type = this._parseType();
+    const defaultValue = this._skip("Punctuator", "=") ? this._parseValue() : undefined;
+
+    return { name, type, defaultValue, directives: this._parseDirectives() };
+  }
+
+  /**
+   * Parse a selection set.
+   *
+   * @returns {Object[]} the selections
+   *
+   * @protected
+   */
+  _parseSelectionSet() {
+    return this._many("{", "}", this._parseSelection);
+  }
+
+  /**
+   * Parse a field, fragment spread, or inline fragment.
+   *
+   * @returns {Object} the selection
+   *
+   * @protected
+   */
+  _parseSelection() {
+    if (this._skip("Punctuator", "...")) {
+      if (this._peek("Name") && this._token.value !== "on") {
+        return { kind: "FragmentSpread", name: this._expect("Name"), directives: this._parseDirectives() };
+      }
+
+      const typeCondition = this._skip("Name", "on") ? this._expect("Name") : undefined;
+      const directives = this._parseDirectives();
+
+      return { kind: "InlineFragment", typeCondition, directives, selectionSet: this._parseSelectionSet() };
+    }
+
+    let alias;
+    let name = this._expect("Name");
+
+    if (this._skip("Punctuator", ":")) {
+      alias = name;
+      name = this._expect("Name");
+    }
+
+    const args = this._peek("Punctuator", "(") ? this._many("(", ")", this._parseArgument) : [];
+    const directives = this._parseDirectives();
+    const selectionSet = this._peek("Punctuator", "{") ? this._parseSelectionSet() : undefined;
+
+    return { kind: "Field", alias, name, arguments: args, directives, selectionSet };
+  }
+
+  /**
+   * Parse an argument, such as `number: $number`.
+   *
+   * @returns {Object} the argument
+   *
+   * @protected
+   */
+  _parseArgument() {
+    const name = this._expect("Name");
+
+    this._expect("Punctuator", ":");
+
+    return { name, value: this._parseValue() };
+  }
+
+  /**
+   * Parse any directives, such as `@include(if: $flag)`.
+   *
+   * @returns {Object[]} the directives
+   *
+   * @protected
+   */
+  _parseDirectives() {
+    const directives = [];
+
+    while (this._skip("Punctuator", "@")) {
+      const name = this._expect("Name");
+      const args = this._peek("Punctuator", "(") ? this._many("(", ")", this._parseArgument) : [];
+
+      directives.push({ name, arguments: args });
+    }
+
+    return directives;
+  }
+
+  /**
+   * Parse an input value.
+   *
+   * @returns {Object} the value, with its `kind`
+   *
+   * @protected
+   */
+  _parseValue() {
+    const token = this._token;
+
+    if (this._skip("Punctuator", "$")) {
+      return { kind: "Variable", name: this._expect("Name") };
+    }
+
+    if (this._peek("Punctuator", "[")) {
+      return { kind: "ListValue", values: this._many("[", "]", this._parseValue) };
+    }
+
+    if (this._peek("Punctuator", "{")) {
+      return { kind: "ObjectValue", fields: this._many("{", "}", this._parseArgument) };
+    }
+
+    this._position++;
+
+    switch (token.kind) {
+      case "Int":
+        return { kind: "IntValue", value: token.value };
+
+      case "Float":
+        return { kind: "FloatValue", value: token.value };
+
+      case "String":
+        return { kind: "StringValue", value: token.value };
+
+      case "Name":
+        if (token.value === "true" || token.value === "false") {
+          return { kind: "BooleanValue", value: token.value === "true" };
+        }
+
+        if (token.value === "null") {
+          return { kind: "NullValue", value: null };
+        }
+
+        return { kind: "EnumValue", value: token.value };
+    }
+
+    throw new SyntaxError(`Unexpected \`${token.value}\` on line ${token.line}.`);
+  }
+
+  /**
+   * Parse a type reference, such as `[String!]!`.
+   *
+   * @returns {Object} the type, as nested `NonNullType`, `ListType`, and `NamedType` objects
+   *
+   * @protected
+   */
+  _parseType() {
+    let type;
+
+    if (this._skip("Punctuator", "[")) {
+      type = { kind: "ListType", type: this._parseType() };
+      this._expect("Punctuator", "]");
+    } else {
+      type = { kind: "NamedType", name: this._expect("Name") };
+    }
+
+    if (this._skip("Punctuator", "!")) {
+      return { kind: "NonNullType", type: type };
+    }
+
+    return type;
+  }
+
+  // Type System Definitions -------------------------------------------------------------------------------------------
+
+  /**
+   * Parse a schema definition, such as `schema { query: Query }`.
+   *
+   * @returns {Object} the schema definition, with the name of each root `operationTypes`
+   *
+   * @protected
+   */
+  _parseSchema() {
+    this._expect("Name", "schema");
+    this._parseDirectives();
+
+    const operationTypes = {};
+
+    this._many("{", "}", () => {
+      const operation = this._expect("Name");
+
+      this._expect("Punctuator", ":");
+      operationTypes[operation] = this._expect("Name");
+    });
+
+    return { kind: "SchemaDefinition", operationTypes };
+  }
+
+  /**
+   * Parse an object or interface type definition.
+   *
+   * @returns {Object} the type definition
+   *
+   * @protected
+   */
+  _parseObjectType() {
+    const keyword = this._expect("Name");
+    const name = this._expect("Name");
+    const interfaces = [];
+
+    if (this._skip("Name", "implements")) {
+      this._skip("Punctuator", "&");
+
+      do {
+        interfaces.push(this._expect("Name"));
+      } while (this._skip("Punctuator", "&") || this._peek("Name"));
+    }
+
+    const directives = this._parseDirectives();
+    const fields = this._peek("Punctuator", "{") ? this._many("{", "}", this._parseFieldDefinition) : [];
+
+    return {
+      kind: keyword === "type" ? "ObjectTypeDefinition" : "InterfaceTypeDefinition",
+      name,
+      interfaces,
+      directives,
+      fields,
+    };
+  }
+
+  /**
+   * Parse a field definition, such as `issue(number: Int!): Issue`.
+   *
+   * @returns {Object} the field definition
+   *
+   * @protected
+   */
+  _parseFieldDefinition() {
+    const description = this._peek("String") ? this._expect("String") : undefined;
+    const name = this._expect("Name");
+    const args = this._peek("Punctuator", "(") ? this._many("(", ")", this._parseInputValueDefinition) : [];
+
+    this._expect("Punctuator", ":");
+
+    return { name, arguments: args, type: this._parseType(), directives: this._parseDirectives(), description };
+  }
+
+  /**
+   * Parse an argument or input field definition, such as `first: Int = 10`.
+   *
+   * @returns {Object} the input value definition
+   *
+   * @protected
+   */
+  _parseInputValueDefinition() {
+    const description = this._peek("String") ? this._expect("String") : undefined;
+    const name = this._expect("Name");
+
+    this._expect("Punctuator", ":");
+
+    const type = this._parseType();
+    const defaultValue = this._skip("Punctuator", "=") ? this._parseValue() : undefined;
+
+    return { name, type, defaultValue, directives: this._parseDirectives(), description };
+  }
+
+  /**
+   * Parse a union type definition, such as `union Assignee = Bot | User`.
+   *
+   * @returns {Object} the union definition
+   *
+   * @protected
+   */
+  _parseUnion() {
+    this._expect("Name", "union");
+
+    const name = this._expect("Name");
+    const directives = this._parseDirectives();
+    const types = [];
+
+    if (this._skip("Punctuator", "=")) {
+      this._skip("Punctuator", "|");
+
+      do {
+        types.push(this._expect("Name"));
+      } while (this._skip("Punctuator", "|"));
+    }
+
+    return { kind: "UnionTypeDefinition", name, directives, types };
+  }
+
+  /**
+   * Parse an enum type definition.
+   *
+   * @returns {Object} the enum definition
+   *
+   * @protected
+   */
+  _parseEnum() {
+    this._expect("Name", "enum");
+
+    const name = this._expect("Name");
+    const directives = this._parseDirectives();
+    const values = this._many("{", "}", () => {
+      this._skip("String");
+
+      const value = this._expect("Name");
+
+      this._parseDirectives();
+
+      return value;
+    });
+
+    return { kind: "EnumTypeDefinition", name, directives, values };
+  }
+
+  /**
+   * Parse an input object type definition.
+   *
+   * @returns {Object} the input object definition
+   *
+   * @protected
+   */
+  _parseInput() {
+    this._expect("Name", "input");
+
+    const name = this._expect("Name");
+    const directives = this._parseDirectives();
+    const fields = this._many("{", "}", this._parseInputValueDefinition);
+
+    return { kind: "InputObjectTypeDefinition", name, directives, fields };
+  }
+
+  /**
+   * Parse a directive definition, such as `directive @preview(toggledBy: String!) on FIELD_DEFINITION`.
+   *
+   * @returns {Object} the directive definition
+   *
+   * @protected
+   */
+  _parseDirectiveDefinition() {
+    this._expect("Name", "directive");
+    this._expect("Punctuator", "@");
+
+    const name = this._expect("Name");
+    const args = this._peek("Punctuator", "(") ? this._many("(", ")", this._parseInputValueDefinition) : [];
+    const repeatable = this._skip("Name", "repeatable");
+    const locations = [];
+
+    this._expect("Name", "on");
+    this._skip("Punctuator", "|");
+
+    do {
+      locations.push(this._expect("Name"));
+    } while (this._skip("Punctuator", "|"));
+
+    return { kind: "DirectiveDefinition", name, arguments: args, repeatable, locations };
+  }
+};
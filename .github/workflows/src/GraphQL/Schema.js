@@ -0,0 +1,302 @@
+const Parser = require("./Parser");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Schema.
+ *
+ * @classdesc
+ * An offline model of a GraphQL schema, built from its type system definitions (SDL).
+ *
+ * By default, this loads the copy of GitHub's public `schema.docs.graphql` vendored with this library, so that queries
+ * and models can check against the GitHub GraphQL API without a network connection or token:
+ *
+ * ```js
+ * const schema = Schema.github();
+ *
+ * schema.getField("Issue", "title").type; // { kind: "NonNullType", type: { kind: "NamedType", name: "String" } }
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/graphql/overview/public-schema}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class
+ */
+module.exports = class Schema {
+  /**
+   * The path to the vendored copy of GitHub's public GraphQL schema.
+   *
+   * @public @static @constant @type {String}
+   */
+  static GITHUB_SCHEMA_PATH = path.join(__dirname, "..", "..", "vendor", "github", "schema.docs.graphql");
+
+  /**
+   * The scalar types built into every GraphQL schema.
+   *
+   * @public @static @constant @type {String[]}
+   */
+  static BUILT_IN_SCALARS = ["Boolean", "Float", "ID", "Int", "String"];
+
+  /**
+   * The loaded GitHub schema, shared by every call to {@link Schema.github}.
+   *
+   * @protected @static @type {Schema|undefined}
+   */
+  static _github;
+
+  /**
+   * Every type definition in the schema, by name.
+   *
+   * @public @readonly @type {Map<String, Object>}
+   */
+  types = new Map();
+
+  /**
+   * The name of the root type for each operation (i.e., `query`, `mutation`, and `subscription`).
+   *
+   * @public @readonly @type {Object<String, String>}
+   */
+  operationTypes = { query: "Query", mutation: "Mutation", subscription: "Subscription" };
+
+  /**
+   * Create a Schema from parsed type system definitions.
+   *
+   * @param {Object} document - the parsed SDL document
+   *
+   * @public @constructor
+   */
+  constructor(document) {
+    Schema.BUILT_IN_SCALARS.forEach((name) => {
+      this.types.set(name, { kind: "ScalarTypeDefinition", name: name, directives: [] });
+    });
+
+    document.definitions.forEach((definition) => {
+      if (definition.kind === "SchemaDefinition") {
+        this.operationTypes = { ...this.operationTypes, ...definition.operationTypes };
+      } else if (definition.kind !== "DirectiveDefinition" && definition.kind !== "OperationDefinition") {
+        this.types.set(definition.name, definition);
+      }
+    });
+  }
+
+  /**
+   * Create a Schema from SDL source.
+   *
+   * @param {String} source - the SDL source
+   *
+   * @returns {Schema}
+   *
+   * @throws {SyntaxError} if the source isn't valid GraphQL
+   *
+   * @public @static
+   */
+  static fromSDL(source) {
+    return new Schema(Parser.parse(source));
+  }
+
+  /**
+   * Create a Schema from an SDL file.
+   *
+   * @param {String} file - the path to the SDL file
+   *
+   * @returns {Schema}
+   *
+   * @throws {SyntaxError} if the file isn't valid GraphQL
+   *
+   * @public @static
+   */
+  static load(file) {
+    return Schema.fromSDL(fs.readFileSync(file, "utf8"));
+  }
+
+  /**
+   * Return the vendored GitHub GraphQL API schema, loading it on the first call.
+   *
+   * @returns {Schema}
+   *
+   * @public @static
+   */
+  static github() {
+    if (!Schema._github) {
+      Schema._github = Schema.load(Schema.GITHUB_SCHEMA_PATH);
+    }
+
+    return Schema._github;
+  }
+
+  // Types -------------------------------------------------------------------------------------------------------------
+
+  /**
+   * Return the definition of a named type.
+   *
+   * @param {String} name - the name of the type
+   *
+   * @returns {Object|undefined} the type definition, or `undefined` if the type doesn't exist
+   *
+   * @public
+   */
+  getType(name) {
+    return this.types.get(name);
+  }
+
+  /**
+   * Return the definition of a field on an object, interface, or input object type.
+   *
+   * Every object, interface, and union type has the `__typename` meta-field.
+   *
+   * @param {String} typeName - the name of the type
+   * @param {String} fieldName - the name of the field
+   *
+   * @returns {Object|undefined} the field definition, or `undefined` if the type or field doesn't exist
+   *
+   * @public
+   */
+  getField(typeName, fieldName) {
+    const type = this.getType(typeName);
+
+    if (!type) {
+      return undefined;
+    }
+
+    if (fieldName === "__typename" && Schema.isComposite(type)) {
+      return { name: "__typename", arguments: [], type: Schema.parseType("String!") };
+    }
+
+    return (type.fields || []).find((field) => field.name === fieldName);
+  }
+
+  /**
+   * Return whether an object type is a possible type of an abstract (interface or union) type, or the same type.
+   *
+   * @param {String} abstractName - the name of the interface, union, or object type
+   * @param {String} typeName - the name of the possible type
+   *
+   * @returns {Boolean}
+   *
+   * @public
+   */
+  isPossibleType(abstractName, typeName) {
+    if (abstractName === typeName) {
+      return true;
+    }
+
+    const abstract = this.getType(abstractName);
+    const type = this.getType(typeName);
+
+    if (!abstract || !type) {
+      return false;
+    }
+
+    if (abstract.kind === "UnionTypeDefinition") {
+      return abstract.types.includes(typeName);
+    }
+
+    return (type.interfaces || []).includes(abstractName);
+  }
+
+  /**
+   * Return the object types a type could resolve to: itself, if an object, or every member or implementation, if
+   * abstract.
+   *
+   * @param {String} typeName - the name of the type
+   *
+   * @returns {String[]} the names of the object types
+   *
+   * @public
+   */
+  getPossibleTypes(typeName) {
+    const type = this.getType(typeName);
+
+    if (!type) {
+      return [];
+    }
+
+    if (type.kind === "ObjectTypeDefinition") {
+      return [typeName];
+    }
+
+    return [...this.types.values()]
+      .filter((candidate) => candidate.kind === "ObjectTypeDefinition" && this.isPossibleType(typeName, candidate.name))
+      .map((candidate) => candidate.name);
+  }
+
+  /**
+   * Whether any object type could resolve to both types, such as two interfaces with a common implementation.
+   *
+   * @param {String} typeName - the name of one type
+   * @param {String} otherName - the name of the other type
+   *
+   * @returns {Boolean}
+   *
+   * @public
+   */
+  doTypesOverlap(typeName, otherName) {
+    const possible = this.getPossibleTypes(otherName);
+
+    return this.getPossibleTypes(typeName).some((name) => possible.includes(name));
+  }
+
+  // Type References ---------------------------------------------------------------------------------------------------
+
+  /**
+   * Whether a type definition is an object, interface, or union, and so requires a selection set.
+   *
+   * @param {Object} type - the type definition
+   *
+   * @returns {Boolean}
+   *
+   * @public @static
+   */
+  static isComposite(type) {
+    return ["ObjectTypeDefinition", "InterfaceTypeDefinition", "UnionTypeDefinition"].includes(type.kind);
+  }
+
+  /**
+   * Return the named type at the core of a type reference, without any list or non-null wrappers.
+   *
+   * @param {Object} type - the type reference
+   *
+   * @returns {String} the name of the type
+   *
+   * @public @static
+   */
+  static getNamedType(type) {
+    return type.kind === "NamedType" ? type.name : Schema.getNamedType(type.type);
+  }
+
+  /**
+   * Parse a type reference as written in GraphQL (e.g., `[ID!]!`).
+   *
+   * @param {String} type - the type reference
+   *
+   * @returns {Object} the parsed type reference
+   *
+   * @public @static
+   */
+  static parseType(type) {
+    return new Parser(type)._parseType();
+  }
+
+  /**
+   * Print a type reference as written in GraphQL (e.g., `[ID!]!`).
+   *
+   * @param {Object} type - the type reference
+   *
+   * @returns {String}
+   *
+   * @public @static
+   */
+  static printType(type) {
+    switch (type.kind) {
+      case "NonNullType":
+        return `${Schema.printType(type.type)}!`;
+
+      case "ListType":
+        return `[${Schema.printType(type.type)}]`;
+    }
+
+    return type.name;
+  }
+};
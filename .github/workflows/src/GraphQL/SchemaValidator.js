@@ -0,0 +1,733 @@
+const ActionContext = require("../ActionContext");
+const NotImplementedError = require("../Errors/NotImplementedError");
+const Connection = require("../GitHub/Connection");
+const Parser = require("./Parser");
+const Schema = require("./Schema");
+
+/**
+ * SchemaValidator.
+ *
+ * @classdesc
+ * Checks GraphQLAbstract models, and the GraphQL documents they send, against a {@link Schema}, fully offline.
+ *
+ * Models check their `_fields` against the GraphQL type they represent: each field must exist with the same type and
+ * nullability, and each mutable field's mutation must exist and accept the field. Documents check for unknown fields,
+ * unknown or missing arguments, and variables that are undeclared, unused, or of the wrong type.
+ *
+ * ```js
+ * const validator = new SchemaValidator();
+ *
+ * const problems = await validator.validateModel(new Issue(1, "repository", "owner"));
+ * // ["`GetIssueByNumber` at `repository.issue.foo`: Cannot query field `foo` on type `Issue`.", ...]
+ * ```
+ *
+ * @see {@link https://spec.graphql.org/October2021/#sec-Validation}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class
+ */
+module.exports = class SchemaValidator {
+  /**
+   * The schema to validate against.
+   *
+   * @public @readonly @type {Schema}
+   */
+  schema;
+
+  /**
+   * Create a SchemaValidator.
+   *
+   * @param {Schema} [schema=Schema.github()] - the schema to validate against
+   *
+   * @public @constructor
+   */
+  constructor(schema = undefined) {
+    this.schema = schema ? schema : Schema.github();
+  }
+
+  // Models ------------------------------------------------------------------------------------------------------------
+
+  /**
+   * Validate a model's fields, and every document it sends to load itself and its relations.
+   *
+   * Documents are captured by loading through a stand-in for `ActionContext.github`, which records each call without
+   * sending it. Loads that the model doesn't implement yet are skipped.
+   *
+   * @param {GraphQLAbstract} instance - an instance of the model, with enough set to build its queries
+   *
+   * @returns {String[]} a description of each problem found
+   *
+   * @public @async
+   */
+  async validateModel(instance) {
+    const cls = instance.constructor;
+    const typeName = cls._getGraphQLType();
+
+    let problems = this.validateFields(typeName, cls._fields).map((problem) => `${cls.name}: ${problem}`);
+
+    for (const { source, query, variables } of await this.captureDocuments(instance)) {
+      this.validateDocument(query, variables).forEach((problem) => {
+        problems.push(`${source}: ${problem}`);
+      });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Validate a set of {@link Field} descriptions against a GraphQL type.
+   *
+   * @param {String} typeName - the GraphQL type the fields belong to
+   * @param {Object<String, Field>} fields - the field descriptions, by name
+   *
+   * @returns {String[]} a description of each problem found
+   *
+   * @public
+   */
+  validateFields(typeName, fields) {
+    const type = this.schema.getType(typeName);
+
+    if (!type || !Schema.isComposite(type)) {
+      return [`Unknown object type \`${typeName}\`.`];
+    }
+
+    let problems = [];
+
+    for (const [name, field] of Object.entries(fields)) {
+      const definition = this.schema.getField(typeName, name);
+
+      if (!definition) {
+        problems.push(`Unknown field \`${name}\` on type \`${typeName}\`.`);
+        continue;
+      }
+
+      const actual = Schema.printType(definition.type);
+
+      if (field.graphQLType !== actual) {
+        problems.push(`Field \`${typeName}.${name}\` is declared as \`${field.graphQLType}\`, but is \`${actual}\`.`);
+      }
+
+      if (field.mutable) {
+        problems.push(...this._validateMutation(typeName, name, field, definition));
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Validate that a mutable field's mutation exists and accepts the field, as {@link GraphQLAbstract#save} sends it.
+   *
+   * @param {String} typeName - the GraphQL type the field belongs to
+   * @param {String} name - the name of the field
+   * @param {Field} field - the field description
+   * @param {Object} definition - the schema's definition of the field
+   *
+   * @returns {String[]} a description of each problem found
+   *
+   * @protected
+   */
+  _validateMutation(typeName, name, field, definition) {
+    const mutation = this.schema.getField(this.schema.operationTypes.mutation, field.mutation);
+    const input = mutation ? mutation.arguments.find((arg) => arg.name === "input") : undefined;
+
+    if (!mutation) {
+      return [`Unknown mutation \`${field.mutation}\` for field \`${typeName}.${name}\`.`];
+    }
+
+    if (!input) {
+      return [`Mutation \`${field.mutation}\` for field \`${typeName}.${name}\` has no \`input\` argument.`];
+    }
+
+    const inputType = Schema.getNamedType(input.type);
+    const inputField = this.schema.getField(inputType, name);
+
+    let problems = [];
+
+    if (!this.schema.getField(inputType, "id")) {
+      problems.push(`Mutation input \`${inputType}\` has no \`id\` to save \`${typeName}.${name}\` with.`);
+    }
+
+    if (!inputField) {
+      problems.push(`Mutation input \`${inputType}\` has no field \`${name}\` to save \`${typeName}.${name}\` with.`);
+    } else if (Schema.getNamedType(inputField.type) !== Schema.getNamedType(definition.type)) {
+      problems.push(
+        `Mutation input \`${inputType}.${name}\` is \`${Schema.printType(inputField.type)}\`, but ` +
+          `\`${typeName}.${name}\` is \`${Schema.printType(definition.type)}\`.`,
+      );
+    }
+
+    return problems;
+  }
+
+  /**
+   * Capture the GraphQL documents a model sends to load itself and each of its relations.
+   *
+   * @param {GraphQLAbstract} instance - an instance of the model, with enough set to build its queries
+   *
+   * @returns {Object[]} each captured document, with the `source` that sent it, its `query`, and its `variables`
+   *
+   * @public @async
+   */
+  async captureDocuments(instance) {
+    const cls = instance.constructor;
+
+    let documents = [];
+
+    // The model builds its own query, so there's no need to send it
+    try {
+      const [query, map] = instance._getGraphQLQuery();
+
+      documents.push({ source: `${cls.name}#_getGraphQLQuery`, query: query, variables: map });
+    } catch (error) {
+      if (!(error instanceof NotImplementedError)) {
+        throw error;
+      }
+    }
+
+    // Only types that implement `Node` load by node ID
+    if (this.schema.doTypesOverlap("Node", cls._getGraphQLType())) {
+      documents.push({ source: `${cls.name}._getNodeQuery`, query: cls._getNodeQuery(), variables: { id: "" } });
+    }
+
+    // Relations load through other classes, so capture what they send instead
+    for (const [name, field] of Object.entries(cls._fields)) {
+      if (!field.isRelation) {
+        continue;
+      }
+
+      const source = `${field.type.name}.create(${cls.name}#${name})`;
+
+      const captured = await this._capture(async () => {
+        const created = field.type.create(instance, undefined, name);
+
+        return created instanceof Connection ? created._next() : created;
+      });
+
+      captured.forEach((document) => documents.push({ source: source, ...document }));
+    }
+
+    return documents;
+  }
+
+  /**
+   * Run a load, recording every call it makes to the GitHub GraphQL API instead of sending it.
+   *
+   * @param {Function} load - the load to run
+   *
+   * @returns {Object[]} the `query` and `variables` of each call
+   *
+   * @protected @async
+   */
+  async _capture(load) {
+    const github = ActionContext.github;
+
+    let captured = [];
+
+    ActionContext.github = {
+      ...github,
+      graphql: async (query, variables) => {
+        captured.push({ query: query, variables: variables });
+
+        throw new Error("Captured by SchemaValidator.");
+      },
+    };
+
+    try {
+      await load();
+    } catch (error) {
+      // Every captured call fails on purpose, and unimplemented loads have nothing to validate
+    } finally {
+      ActionContext.github = github;
+    }
+
+    return captured;
+  }
+
+  // Documents ---------------------------------------------------------------------------------------------------------
+
+  /**
+   * Validate an executable GraphQL document, and optionally the variables sent with it.
+   *
+   * @param {String} query - the GraphQL document
+   * @param {Object<String, *>} [variables=undefined] - the variables sent with the document
+   *
+   * @returns {String[]} a description of each problem found
+   *
+   * @public
+   */
+  validateDocument(query, variables = undefined) {
+    let document;
+
+    try {
+      document = Parser.parse(query);
+    } catch (error) {
+      return [error.message];
+    }
+
+    const fragments = {};
+
+    document.definitions
+      .filter((definition) => definition.kind === "FragmentDefinition")
+      .forEach((fragment) => (fragments[fragment.name] = fragment));
+
+    let problems = [];
+
+    document.definitions
+      .filter((definition) => definition.kind === "OperationDefinition")
+      .forEach((operation) => {
+        const context = {
+          name: operation.name ? operation.name : "(anonymous)",
+          variables: {},
+          used: new Set(),
+          fragments: fragments,
+          visited: new Set(),
+          problems: [],
+        };
+
+        operation.variables.forEach((variable) => {
+          context.variables[variable.name] = variable;
+
+          const type = this.schema.getType(Schema.getNamedType(variable.type));
+
+          if (!type || Schema.isComposite(type)) {
+            this._report(
+              context,
+              [],
+              `Variable \`$${variable.name}\` has unknown input type \`${Schema.printType(variable.type)}\`.`,
+            );
+          } else if (variables && this._isMissing(variable, variables[variable.name])) {
+            this._report(
+              context,
+              [],
+              `Variable \`$${variable.name}\` of type \`${Schema.printType(variable.type)}\` has no value.`,
+            );
+          }
+        });
+
+        const root = this.schema.operationTypes[operation.operation];
+
+        if (!this.schema.getType(root)) {
+          this._report(context, [], `The schema doesn't support \`${operation.operation}\` operations.`);
+        } else {
+          this._validateSelectionSet(context, root, operation.selectionSet, []);
+        }
+
+        Object.keys(context.variables)
+          .filter((name) => !context.used.has(name))
+          .forEach((name) => this._report(context, [], `Variable \`$${name}\` is never used.`));
+
+        problems.push(...context.problems);
+      });
+
+    return problems;
+  }
+
+  /**
+   * Record a problem found in a document.
+   *
+   * @param {Object} context - the validation context of the operation
+   * @param {String[]} path - the response path to the problem
+   * @param {String} message - the description of the problem
+   *
+   * @protected
+   */
+  _report(context, path, message) {
+    context.problems.push(`\`${context.name}\`${path.length ? ` at \`${path.join(".")}\`` : ""}: ${message}`);
+  }
+
+  /**
+   * Whether a required variable is missing its value.
+   *
+   * @param {Object} variable - the variable definition
+   * @param {*} value - the value sent for the variable
+   *
+   * @returns {Boolean}
+   *
+   * @protected
+   */
+  _isMissing(variable, value) {
+    return (
+      variable.type.kind === "NonNullType" &&
+      typeof variable.defaultValue === "undefined" &&
+      (value === null || typeof value === "undefined")
+    );
+  }
+
+  /**
+   * Validate each selection in a selection set.
+   *
+   * @param {Object} context - the validation context of the operation
+   * @param {String} typeName - the type the selections are made on
+   * @param {Object[]} selections - the selections
+   * @param {String[]} path - the response path to the selection set
+   *
+   * @protected
+   */
+  _validateSelectionSet(context, typeName, selections, path) {
+    selections.forEach((selection) => {
+      switch (selection.kind) {
+        case "Field":
+          return this._validateField(context, typeName, selection, path);
+
+        case "InlineFragment":
+          return this._validateFragment(context, typeName, selection.typeCondition, selection.selectionSet, path);
+
+        case "FragmentSpread": {
+          const fragment = context.fragments[selection.name];
+
+          if (!fragment) {
+            return this._report(context, path, `Unknown fragment \`${selection.name}\`.`);
+          }
+
+          // Fragments may spread from several places, but only need validating once
+          if (context.visited.has(fragment.name)) {
+            return;
+          }
+
+          context.visited.add(fragment.name);
+
+          return this._validateFragment(context, typeName, fragment.typeCondition, fragment.selectionSet, path);
+        }
+      }
+    });
+  }
+
+  /**
+   * Validate a fragment's type condition and selections.
+   *
+   * @param {Object} context - the validation context of the operation
+   * @param {String} typeName - the type the fragment spreads into
+   * @param {String|undefined} typeCondition - the type the fragment applies to, if any
+   * @param {Object[]} selections - the fragment's selections
+   * @param {String[]} path - the response path to the fragment
+   *
+   * @protected
+   */
+  _validateFragment(context, typeName, typeCondition, selections, path) {
+    if (!typeCondition) {
+      return this._validateSelectionSet(context, typeName, selections, path);
+    }
+
+    const type = this.schema.getType(typeCondition);
+
+    if (!type || !Schema.isComposite(type)) {
+      return this._report(context, path, `Unknown fragment type \`${typeCondition}\`.`);
+    }
+
+    if (!this.schema.doTypesOverlap(typeName, typeCondition)) {
+      return this._report(context, path, `Fragment on \`${typeCondition}\` can never apply to \`${typeName}\`.`);
+    }
+
+    this._validateSelectionSet(context, typeCondition, selections, path);
+  }
+
+  /**
+   * Validate a selected field, its arguments, and its own selections.
+   *
+   * @param {Object} context - the validation context of the operation
+   * @param {String} typeName - the type the field is selected on
+   * @param {Object} selection - the field selection
+   * @param {String[]} path - the response path to the field's parent
+   *
+   * @protected
+   */
+  _validateField(context, typeName, selection, path) {
+    path = [...path, selection.alias ? selection.alias : selection.name];
+
+    // Variables used in unknown fields still count as used, so they don't report twice
+    selection.directives.forEach((directive) => {
+      directive.arguments.forEach((arg) => this._markUsed(context, arg.value));
+    });
+
+    const definition = this.schema.getField(typeName, selection.name);
+
+    if (!definition) {
+      selection.arguments.forEach((arg) => this._markUsed(context, arg.value));
+
+      return this._report(context, path, `Cannot query field \`${selection.name}\` on type \`${typeName}\`.`);
+    }
+
+    selection.arguments.forEach((arg) => {
+      const argument = definition.arguments.find((candidate) => candidate.name === arg.name);
+
+      if (!argument) {
+        this._markUsed(context, arg.value);
+
+        return this._report(
+          context,
+          path,
+          `Unknown argument \`${arg.name}\` on field \`${typeName}.${selection.name}\`.`,
+        );
+      }
+
+      this._validateValue(context, arg.value, argument.type, typeof argument.defaultValue !== "undefined", path);
+    });
+
+    definition.arguments
+      .filter((argument) => argument.type.kind === "NonNullType" && typeof argument.defaultValue === "undefined")
+      .filter((argument) => !selection.arguments.some((arg) => arg.name === argument.name))
+      .forEach((argument) => {
+        this._report(
+          context,
+          path,
+          `Missing required argument \`${argument.name}: ${Schema.printType(argument.type)}\` on field ` +
+            `\`${typeName}.${selection.name}\`.`,
+        );
+      });
+
+    const fieldType = Schema.getNamedType(definition.type);
+    const type = this.schema.getType(fieldType);
+
+    if (type && Schema.isComposite(type) && !selection.selectionSet) {
+      return this._report(context, path, `Field \`${selection.name}\` of type \`${fieldType}\` must have a selection.`);
+    }
+
+    if (type && !Schema.isComposite(type) && selection.selectionSet) {
+      return this._report(
+        context,
+        path,
+        `Field \`${selection.name}\` of type \`${fieldType}\` can't have a selection.`,
+      );
+    }
+
+    if (selection.selectionSet) {
+      this._validateSelectionSet(context, fieldType, selection.selectionSet, path);
+    }
+  }
+
+  /**
+   * Record every variable used within a value, without validating it.
+   *
+   * @param {Object} context - the validation context of the operation
+   * @param {Object} value - the parsed value
+   *
+   * @protected
+   */
+  _markUsed(context, value) {
+    switch (value.kind) {
+      case "Variable":
+        context.used.add(value.name);
+        break;
+
+      case "ListValue":
+        value.values.forEach((item) => this._markUsed(context, item));
+        break;
+
+      case "ObjectValue":
+        value.fields.forEach((field) => this._markUsed(context, field.value));
+        break;
+    }
+  }
+
+  /**
+   * Validate an argument, or input field, value against its expected type.
+   *
+   * @param {Object} context - the validation context of the operation
+   * @param {Object} value - the parsed value
+   * @param {Object} type - the expected type reference
+   * @param {Boolean} hasDefault - whether the argument, or input field, has a default value
+   * @param {String[]} path - the response path to the field the value is for
+   *
+   * @protected
+   */
+  _validateValue(context, value, type, hasDefault, path) {
+    if (value.kind === "Variable") {
+      return this._validateVariable(context, value.name, type, hasDefault, path);
+    }
+
+    if (value.kind === "NullValue") {
+      if (type.kind === "NonNullType") {
+        this._report(context, path, `Expected a non-null \`${Schema.printType(type)}\`, but found \`null\`.`);
+      }
+
+      return;
+    }
+
+    type = type.kind === "NonNullType" ? type.type : type;
+
+    if (type.kind === "ListType") {
+      const items = value.kind === "ListValue" ? value.values : [value];
+
+      return items.forEach((item) => this._validateValue(context, item, type.type, false, path));
+    }
+
+    const definition = this.schema.getType(type.name);
+    const expected = `\`${type.name}\``;
+
+    if (!definition) {
+      return;
+    }
+
+    switch (definition.kind) {
+      case "EnumTypeDefinition":
+        if (value.kind !== "EnumValue" || !definition.values.includes(value.value)) {
+          this._report(
+            context,
+            path,
+            `Expected a value of type ${expected}, but found \`${this._printValue(value)}\`.`,
+          );
+        }
+
+        return;
+
+      case "InputObjectTypeDefinition":
+        return this._validateInputObject(context, value, definition, path);
+    }
+
+    const literals = {
+      Boolean: ["BooleanValue"],
+      Float: ["IntValue", "FloatValue"],
+      Int: ["IntValue"],
+      String: ["StringValue"],
+    };
+
+    if (type.name in literals && !literals[type.name].includes(value.kind)) {
+      this._report(context, path, `Expected a value of type ${expected}, but found \`${this._printValue(value)}\`.`);
+    }
+  }
+
+  /**
+   * Validate an input object value against its input type.
+   *
+   * @param {Object} context - the validation context of the operation
+   * @param {Object} value - the parsed value
+   * @param {Object} definition - the input type definition
+   * @param {String[]} path - the response path to the field the value is for
+   *
+   * @protected
+   */
+  _validateInputObject(context, value, definition, path) {
+    if (value.kind !== "ObjectValue") {
+      this._markUsed(context, value);
+
+      return this._report(
+        context,
+        path,
+        `Expected a \`${definition.name}\` object, but found \`${this._printValue(value)}\`.`,
+      );
+    }
+
+    value.fields.forEach((field) => {
+      const inputField = definition.fields.find((candidate) => candidate.name === field.name);
+
+      if (!inputField) {
+        this._markUsed(context, field.value);
+
+        return this._report(context, path, `Unknown input field \`${definition.name}.${field.name}\`.`);
+      }
+
+      this._validateValue(context, field.value, inputField.type, typeof inputField.defaultValue !== "undefined", path);
+    });
+
+    definition.fields
+      .filter((inputField) => inputField.type.kind === "NonNullType" && typeof inputField.defaultValue === "undefined")
+      .filter((inputField) => !value.fields.some((field) => field.name === inputField.name))
+      .forEach((inputField) => {
+        this._report(context, path, `Missing required input field \`${definition.name}.${inputField.name}\`.`);
+      });
+  }
+
+  /**
+   * Validate that a variable is declared, and that its type can be used where it's used.
+   *
+   * @param {Object} context - the validation context of the operation
+   * @param {String} name - the name of the variable
+   * @param {Object} type - the type reference expected where the variable is used
+   * @param {Boolean} hasDefault - whether the argument, or input field, has a default value
+   * @param {String[]} path - the response path to the field the variable is for
+   *
+   * @protected
+   */
+  _validateVariable(context, name, type, hasDefault, path) {
+    const variable = context.variables[name];
+
+    context.used.add(name);
+
+    if (!variable) {
+      return this._report(context, path, `Variable \`$${name}\` is not declared.`);
+    }
+
+    let declared = variable.type;
+
+    // Nullable variables can fill non-null positions only when either side has a default
+    if (type.kind === "NonNullType" && declared.kind !== "NonNullType") {
+      const defaulted = hasDefault || (variable.defaultValue && variable.defaultValue.kind !== "NullValue");
+
+      if (!defaulted) {
+        return this._report(
+          context,
+          path,
+          `Variable \`$${name}\` of type \`${Schema.printType(declared)}\` can't be used as ` +
+            `\`${Schema.printType(type)}\`.`,
+        );
+      }
+
+      type = type.type;
+    }
+
+    if (!this._isSubtype(declared, type)) {
+      this._report(
+        context,
+        path,
+        `Variable \`$${name}\` of type \`${Schema.printType(declared)}\` can't be used as ` +
+          `\`${Schema.printType(type)}\`.`,
+      );
+    }
+  }
+
+  /**
+   * Whether a variable of one type can be used where another is expected.
+   *
+   * @param {Object} declared - the declared type reference of the variable
+   * @param {Object} expected - the type reference expected
+   *
+   * @returns {Boolean}
+   *
+   * @protected
+   */
+  _isSubtype(declared, expected) {
+    if (expected.kind === "NonNullType") {
+      return declared.kind === "NonNullType" && this._isSubtype(declared.type, expected.type);
+    }
+
+    if (declared.kind === "NonNullType") {
+      return this._isSubtype(declared.type, expected);
+    }
+
+    if (expected.kind === "ListType") {
+      return declared.kind === "ListType" && this._isSubtype(declared.type, expected.type);
+    }
+
+    return declared.kind === "NamedType" && declared.name === expected.name;
+  }
+
+  /**
+   * Print a parsed value, as written in GraphQL.
+   *
+   * @param {Object} value - the parsed value
+   *
+   * @returns {String}
+   *
+   * @protected
+   */
+  _printValue(value) {
+    switch (value.kind) {
+      case "Variable":
+        return `$${value.name}`;
+
+      case "StringValue":
+        return JSON.stringify(value.value);
+
+      case "ListValue":
+        return `[${value.values.map((item) => this._printValue(item)).join(", ")}]`;
+
+      case "ObjectValue":
+        return `{${value.fields.map((field) => `${field.name}: ${this._printValue(field.value)}`).join(", ")}}`;
+    }
+
+    return String(value.value);
+  }
+};
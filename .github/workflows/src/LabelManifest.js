@@ -0,0 +1,404 @@
+const EnhancedCore = require("./EnhancedCore");
+const Repository = require("./GitHub/Repository");
+const WorkflowAbstract = require("./WorkflowAbstract");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * LabelManifest.
+ *
+ * @classdesc
+ * Keeps the Labels of a Repository matching a manifest, creating, updating, renaming, and optionally deleting Labels.
+ *
+ * The manifest lists each Label by `name`, with its `color` and, optionally, its `description`. Labels named by one of
+ * its `aliases` are renamed to it, rather than duplicated, and names match regardless of case, as GitHub does:
+ *
+ * ```json
+ * [
+ *   { "name": "Request: Bug Fix", "color": "f9d0c4", "description": "Requested fix for a bug", "aliases": ["bug"] }
+ * ]
+ * ```
+ *
+ * Plan the changes first, to review their diff, then apply them:
+ *
+ * ```js
+ * const manifest = LabelManifest.fromFile();
+ * const changes = await manifest.plan({ prune: true });
+ *
+ * console.log(LabelManifest.diff(changes));
+ *
+ * await manifest.apply(changes);
+ * ```
+ *
+ * @see {@link https://docs.github.com/en/issues/using-labels-and-milestones-to-track-work/managing-labels}
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends WorkflowAbstract
+ */
+module.exports = class LabelManifest extends WorkflowAbstract {
+  /**
+   * The manifest file loaded by default.
+   *
+   * @public @static @constant @type {String}
+   */
+  static FILE = path.join(__dirname, "..", "..", "labels.json");
+
+  /**
+   * The actions a change to a Label takes.
+   *
+   * @public @static @constant @enum @type {Object<String, String>}
+   */
+  static ACTION = {
+    CREATE: "create",
+    UPDATE: "update",
+    DELETE: "delete",
+  };
+
+  /**
+   * The Labels in the manifest, each with its `name`, lowercase `color`, `description` (or `undefined` to leave it
+   * as-is), and `aliases`.
+   *
+   * @public @readonly @type {Object<String, *>[]}
+   */
+  labels;
+
+  /**
+   * The Repository the manifest applies to.
+   *
+   * @public @readonly @type {Repository}
+   */
+  repository;
+
+  /**
+   * Create a LabelManifest.
+   *
+   * @param {Object<String, *>[]} labels - the Labels in the manifest
+   * @param {Repository|String} [repository=context.repo.repo] - the Repository the manifest applies to, or its name
+   * @param {String} [owner=context.repo.owner] - the owner of the Repository, if given by name
+   *
+   * @throws {TypeError} if the manifest is malformed
+   *
+   * @public @constructor
+   */
+  constructor(labels, repository = undefined, owner = undefined) {
+    super();
+
+    this._debugCall("constructor", { labels: "...", repository: repository, owner: owner });
+
+    this.labels = LabelManifest._parse(labels);
+    this.repository = Repository.resolve(repository, owner);
+  }
+
+  /**
+   * Load a LabelManifest from a JSON file.
+   *
+   * @param {String} [file=LabelManifest.FILE] - the path to the manifest file
+   * @param {Repository|String} [repository=context.repo.repo] - the Repository the manifest applies to, or its name
+   * @param {String} [owner=context.repo.owner] - the owner of the Repository, if given by name
+   *
+   * @returns {LabelManifest}
+   *
+   * @throws {TypeError} if the manifest is malformed
+   *
+   * @public @static
+   */
+  static fromFile(file = undefined, repository = undefined, owner = undefined) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "fromFile", arguments, false, logger);
+
+    file = file ? file : LabelManifest.FILE;
+
+    logger.debug(`Loading Label manifest from \`${file}\`...`);
+
+    return new LabelManifest(JSON.parse(fs.readFileSync(file, "utf8")), repository, owner);
+  }
+
+  /**
+   * Validate and normalize the Labels in a manifest.
+   *
+   * @param {Object<String, *>[]} labels - the Labels in the manifest
+   *
+   * @returns {Object<String, *>[]} the normalized Labels
+   *
+   * @throws {TypeError} if the manifest is malformed
+   *
+   * @protected @static
+   */
+  static _parse(labels) {
+    if (!Array.isArray(labels)) {
+      throw new TypeError(`Unexpected Label manifest type encountered: \`${labels.constructor.name}\``);
+    }
+
+    const names = new Set();
+
+    return labels.map((label) => {
+      if (typeof label.name !== "string" || !label.name) {
+        throw new TypeError(`Missing required Label manifest field: \`name\` in ${JSON.stringify(label)}`);
+      }
+
+      if (typeof label.color !== "string" || !/^#?[0-9a-f]{6}$/i.test(label.color)) {
+        throw new TypeError(`Unexpected color for Label \`${label.name}\`: \`${label.color}\` (expected \`rrggbb\`)`);
+      }
+
+      if (typeof label.description !== "undefined" && typeof label.description !== "string") {
+        throw new TypeError(`Unexpected description for Label \`${label.name}\`: \`${label.description}\``);
+      }
+
+      const aliases = label.aliases ? label.aliases : [];
+
+      if (!Array.isArray(aliases) || aliases.some((alias) => typeof alias !== "string" || !alias)) {
+        throw new TypeError(`Unexpected aliases for Label \`${label.name}\`: \`${JSON.stringify(aliases)}\``);
+      }
+
+      // Each name, or alias, may only match a single Label
+      [label.name, ...aliases].forEach((name) => {
+        if (names.has(name.toLowerCase())) {
+          throw new TypeError(`Duplicate name in Label manifest: \`${name}\``);
+        }
+
+        names.add(name.toLowerCase());
+      });
+
+      return {
+        name: label.name,
+        color: label.color.replace(/^#/, "").toLowerCase(),
+        description: label.description,
+        aliases: aliases,
+      };
+    });
+  }
+
+  // Planning ----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Plan the changes that make the Labels of the Repository match the manifest, without making them.
+   *
+   * Each change has its `action`, from {@link LabelManifest.ACTION}, the `name` of the Label in the manifest (or in the
+   * Repository, if deleting), the existing `label` (or `null`, if creating), and the `fields` it changes, each with the
+   * value it changes `from` and `to`.
+   *
+   * @param {Object<String, *>} [options={}] - the options to plan with
+   * @param {Boolean} [options.prune=false] - whether to delete Labels in the Repository missing from the manifest
+   *
+   * @returns {Object<String, *>[]} the changes, in the order to apply them
+   *
+   * @public @async
+   */
+  async plan({ prune = false } = {}) {
+    this._debugCall("plan", { prune: prune });
+
+    let existing = [];
+
+    for await (const label of this.repository.labels) {
+      existing.push(label);
+    }
+
+    this._eCore.debug(
+      `Planning changes to ${existing.length} Labels in \`${this.repository.owner}/${this.repository.name}\`...`,
+    );
+
+    const claimed = new Set();
+
+    // Match exact names first, so an alias never takes a Label named in the manifest itself
+    const matches = this.labels.map((entry) => {
+      const match = existing.find((label) => label.name.toLowerCase() === entry.name.toLowerCase());
+
+      if (match) {
+        claimed.add(match);
+      }
+
+      return match;
+    });
+
+    let changes = [];
+
+    for (const [index, entry] of this.labels.entries()) {
+      let label = matches[index];
+
+      if (!label) {
+        const aliases = entry.aliases.map((alias) => alias.toLowerCase());
+
+        label = existing.find((candidate) => !claimed.has(candidate) && aliases.includes(candidate.name.toLowerCase()));
+      }
+
+      if (!label) {
+        let fields = { color: { from: null, to: entry.color } };
+
+        if (typeof entry.description !== "undefined") {
+          fields.description = { from: null, to: entry.description };
+        }
+
+        changes.push({ action: LabelManifest.ACTION.CREATE, name: entry.name, label: null, fields: fields });
+        continue;
+      }
+
+      claimed.add(label);
+
+      const [color, description] = await Promise.all([label.color, label.description]);
+
+      let fields = {};
+
+      if (label.name !== entry.name) {
+        fields.name = { from: label.name, to: entry.name };
+      }
+
+      if (color.toLowerCase() !== entry.color) {
+        fields.color = { from: color.toLowerCase(), to: entry.color };
+      }
+
+      if (typeof entry.description !== "undefined" && (description ? description : "") !== entry.description) {
+        fields.description = { from: description, to: entry.description };
+      }
+
+      if (Object.keys(fields).length) {
+        changes.push({ action: LabelManifest.ACTION.UPDATE, name: entry.name, label: label, fields: fields });
+      }
+    }
+
+    if (prune) {
+      existing
+        .filter((label) => !claimed.has(label))
+        .forEach((label) => {
+          changes.push({ action: LabelManifest.ACTION.DELETE, name: label.name, label: label, fields: {} });
+        });
+    }
+
+    this._eCore.debug(`Planned ${changes.length} Label changes.`);
+
+    return changes;
+  }
+
+  /**
+   * Return a readable diff of planned changes, with a line per change, marked `+` to create, `~` to update, or `-` to
+   * delete a Label.
+   *
+   * @example
+   * ```text
+   * + Needs Triage (color: "d93f0b", description: "Awaiting review by a Project Maintainer")
+   * ~ Wontfix (name: "wontfix" → "Wontfix", color: "ffffff" → "eeeeee")
+   * - duplicate
+   * ```
+   *
+   * @param {Object<String, *>[]} changes - the changes, as planned by {@link LabelManifest#plan}
+   *
+   * @returns {String}
+   *
+   * @public @static
+   */
+  static diff(changes) {
+    if (!changes.length) {
+      return "No changes to Labels.";
+    }
+
+    const markers = {
+      [LabelManifest.ACTION.CREATE]: "+",
+      [LabelManifest.ACTION.UPDATE]: "~",
+      [LabelManifest.ACTION.DELETE]: "-",
+    };
+
+    return changes
+      .map((change) => {
+        const fields = Object.entries(change.fields).map(([field, value]) => {
+          if (change.action === LabelManifest.ACTION.CREATE) {
+            return `${field}: ${JSON.stringify(value.to)}`;
+          }
+
+          return `${field}: ${JSON.stringify(value.from)} → ${JSON.stringify(value.to)}`;
+        });
+
+        return `${markers[change.action]} ${change.name}${fields.length ? ` (${fields.join(", ")})` : ""}`;
+      })
+      .join("\n");
+  }
+
+  // Applying ----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Make planned changes to the Labels of the Repository.
+   *
+   * @param {Object<String, *>[]} changes - the changes, as planned by {@link LabelManifest#plan}
+   *
+   * @returns {Object<String, *>[]} the changes made
+   *
+   * @throws {TypeError} upon encountering an unexpected action
+   *
+   * @public @async
+   */
+  async apply(changes) {
+    this._debugCall("apply", { changes: changes.length });
+
+    for (const change of changes) {
+      const fields = change.fields;
+
+      switch (change.action) {
+        case LabelManifest.ACTION.CREATE:
+          this._eCore.info(`Creating Label \`${change.name}\`...`);
+
+          await this.repository.addLabel(
+            change.name,
+            fields.color.to,
+            fields.description ? fields.description.to : undefined,
+          );
+          break;
+
+        case LabelManifest.ACTION.UPDATE:
+          this._eCore.info(`Updating Label \`${change.name}\`...`);
+
+          if (fields.color) {
+            change.label.color = fields.color.to;
+          }
+
+          if (fields.description) {
+            change.label.description = fields.description.to;
+          }
+
+          await change.label.save();
+
+          if (fields.name) {
+            await change.label.rename(fields.name.to);
+          }
+          break;
+
+        case LabelManifest.ACTION.DELETE:
+          this._eCore.info(`Deleting Label \`${change.name}\`...`);
+
+          await change.label.delete();
+          break;
+
+        default:
+          throw new TypeError(
+            `Unexpected Label change action: \`${change.action}\` ` +
+              `(expected one of \`${Object.values(LabelManifest.ACTION).join("`, `")}\`)`,
+          );
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Make the Labels of the Repository match the manifest, logging the diff of the changes before making them.
+   *
+   * @param {Object<String, *>} [options={}] - the options to sync with
+   * @param {Boolean} [options.prune=false] - whether to delete Labels in the Repository missing from the manifest
+   *
+   * @returns {Object<String, *>[]} the changes made
+   *
+   * @public @async
+   */
+  async sync({ prune = false } = {}) {
+    this._debugCall("sync", { prune: prune });
+
+    const changes = await this.plan({ prune: prune });
+
+    this._eCore.startGroup(`Label changes for \`${this.repository.owner}/${this.repository.name}\``);
+    this._eCore.info(LabelManifest.diff(changes));
+    this._eCore.endGroup();
+
+    return this.apply(changes);
+  }
+};
@@ -0,0 +1,1764 @@
+const Parser = require("../GraphQL/Parser");
+const Schema = require("../GraphQL/Schema");
+
+/**
+ * FakeGitHub.
+ *
+ * @classdesc
+ * A stateful, in-memory stand-in for the GitHub GraphQL API, which `ActionContext.init` takes in place of the Octokit
+ * client, so automations can run end-to-end without network access.
+ *
+ * The fake holds repositories, issues, pull requests, labels, milestones, comments, users, and ProjectV2 items. It
+ * answers queries by executing them against that data, using the vendored GitHub schema to validate each document and
+ * to resolve types, and applies the mutations this library sends. Seed the data first, run the automation, then assert
+ * on the resulting state:
+ *
+ * ```js
+ * const github = new FakeGitHub();
+ * const repository = github.addRepository("octocat", "hello-world");
+ * const issue = github.addIssue(repository, { title: "Broken", labels: ["Help Wanted"] });
+ *
+ * ActionContext.init(github, github.getContext(issue, "assigned"), core, glob, io, exec, fetch);
+ *
+ * await new Issue(issue.number).removeLabels(["Help Wanted"]);
+ *
+ * issue.labels.map((label) => label.name); // []
+ * github.mutations.map((mutation) => mutation.name); // ["removeLabelsFromLabelable"]
+ * ```
+ *
+ * As with the Octokit client, pass the fake to `ActionContext.init` before sending requests through it.
+ *
+ * Fields the fake doesn't model resolve to `null` when nullable in the schema, and fail loudly otherwise.
+ *
+ * @see {@link https://docs.github.com/en/graphql}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class
+ */
+module.exports = class FakeGitHub {
+  /**
+   * The prefix for the global node ID of each type.
+   *
+   * @public @static @constant @type {Object<String, String>}
+   */
+  static ID_PREFIXES = {
+    Issue: "I",
+    IssueComment: "IC",
+    Label: "LA",
+    Milestone: "MI",
+    PullRequest: "PR",
+    ProjectV2: "PVT",
+    ProjectV2Item: "PVTI",
+    ProjectV2Field: "PVTF",
+    ProjectV2IterationField: "PVTIF",
+    ProjectV2SingleSelectField: "PVTSSF",
+    ProjectV2ItemFieldDateValue: "PVTFDV",
+    ProjectV2ItemFieldIterationValue: "PVTFIV",
+    ProjectV2ItemFieldNumberValue: "PVTFNV",
+    ProjectV2ItemFieldSingleSelectValue: "PVTFSV",
+    ProjectV2ItemFieldTextValue: "PVTFTV",
+    Repository: "R",
+    User: "U",
+  };
+
+  /**
+   * The schema the fake validates and executes documents against.
+   *
+   * @public @readonly @type {Schema}
+   */
+  schema;
+
+  /**
+   * The timestamp used for every object created, or updated, so results are repeatable.
+   *
+   * @public @type {String}
+   */
+  now;
+
+  /**
+   * The user the fake acts as, for authorship of comments and the `viewer` field.
+   *
+   * @public @readonly @type {Object<String, *>}
+   */
+  viewer;
+
+  /**
+   * Every object in the fake, by global node ID.
+   *
+   * @public @readonly @type {Map<String, Object>}
+   */
+  nodes = new Map();
+
+  /**
+   * Every mutation applied, in order, with its `name` and `input`.
+   *
+   * @public @readonly @type {Object[]}
+   */
+  mutations = [];
+
+  /**
+   * Every request received, in order, with its `query` and `variables`.
+   *
+   * @public @readonly @type {Object[]}
+   */
+  requests = [];
+
+  /**
+   * The number of objects created so far, used to generate IDs.
+   *
+   * @protected @type {Number}
+   */
+  _count = 0;
+
+  /**
+   * Create an empty FakeGitHub.
+   *
+   * @param {Object<String, *>} [options={}] - the `viewer` login (default `octocat`), the fixed `now` timestamp, and
+   *   the `schema` to use (default the vendored GitHub schema)
+   *
+   * @public @constructor
+   */
+  constructor(options = {}) {
+    this.schema = options.schema ? options.schema : Schema.github();
+    this.now = options.now ? options.now : "2024-01-01T00:00:00Z";
+    this.viewer = this.addUser(options.viewer ? options.viewer : "octocat");
+  }
+
+  // Seeding -----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Store a new object, giving it a global node ID and its `__typename`.
+   *
+   * @param {String} typename - the GraphQL type of the object
+   * @param {Object<String, *>} fields - the fields of the object, including resolver functions
+   *
+   * @returns {Object<String, *>} the stored object
+   *
+   * @protected
+   */
+  _create(typename, fields) {
+    const count = ++this._count;
+    const prefix = typename in FakeGitHub.ID_PREFIXES ? FakeGitHub.ID_PREFIXES[typename] : typename;
+
+    const node = {
+      __typename: typename,
+      id: `${prefix}_fake${count}`,
+      databaseId: count,
+      fullDatabaseId: String(count),
+      createdAt: this.now,
+      updatedAt: this.now,
+      ...fields,
+    };
+
+    this.nodes.set(node.id, node);
+
+    return node;
+  }
+
+  /**
+   * Add a user.
+   *
+   * @param {String} login - the user's login
+   * @param {Object<String, *>} [fields={}] - any other fields of the user
+   *
+   * @returns {Object<String, *>} the user
+   *
+   * @public
+   */
+  addUser(login, fields = {}) {
+    const user = this._create("User", {
+      login: login,
+      name: null,
+      bio: null,
+      company: null,
+      email: "",
+      isSiteAdmin: false,
+      location: null,
+      pronouns: null,
+      twitterUsername: null,
+      websiteUrl: null,
+      url: `https://github.com/${login}`,
+      resourcePath: `/${login}`,
+      avatarUrl: () => `https://avatars.githubusercontent.com/${login}`,
+      projectsV2: [],
+      ...fields,
+    });
+
+    user.isViewer = () => user === this.viewer;
+
+    user.projectV2 = (args) => {
+      const project = user.projectsV2.find((candidate) => candidate.number === args.number);
+
+      if (!project) {
+        throw this._notFound(`Could not resolve to a ProjectV2 with the number ${args.number}.`);
+      }
+
+      return project;
+    };
+
+    return user;
+  }
+
+  /**
+   * Return a user by login, adding them if they don't exist yet.
+   *
+   * @param {String|Object<String, *>} user - the user's login, or the user
+   *
+   * @returns {Object<String, *>} the user
+   *
+   * @public
+   */
+  getUser(user) {
+    if (typeof user !== "string") {
+      return user;
+    }
+
+    for (const node of this.nodes.values()) {
+      if (node.__typename === "User" && node.login.toLowerCase() === user.toLowerCase()) {
+        return node;
+      }
+    }
+
+    return this.addUser(user);
+  }
+
+  /**
+   * Add a repository.
+   *
+   * @param {String} owner - the login of the user who owns the repository
+   * @param {String} name - the name of the repository
+   * @param {Object<String, *>} [fields={}] - any other fields of the repository
+   *
+   * @returns {Object<String, *>} the repository
+   *
+   * @public
+   */
+  addRepository(owner, name, fields = {}) {
+    const repository = this._create("Repository", {
+      name: name,
+      nameWithOwner: `${owner}/${name}`,
+      owner: this.getUser(owner),
+      url: `https://github.com/${owner}/${name}`,
+      resourcePath: `/${owner}/${name}`,
+      description: null,
+      homepageUrl: null,
+      visibility: "PUBLIC",
+      isPrivate: false,
+      isArchived: false,
+      archivedAt: null,
+      allowUpdateBranch: false,
+      autoMergeAllowed: false,
+      deleteBranchOnMerge: false,
+      forkCount: 0,
+      forkingAllowed: true,
+      hasDiscussionsEnabled: false,
+      hasIssuesEnabled: true,
+      hasProjectsEnabled: true,
+      hasSponsorshipsEnabled: false,
+      hasVulnerabilityAlertsEnabled: false,
+      hasWikiEnabled: true,
+      isBlankIssuesEnabled: true,
+      isDisabled: false,
+      isEmpty: false,
+      isFork: false,
+      isInOrganization: false,
+      isLocked: false,
+      isMirror: false,
+      isTemplate: false,
+      mergeCommitAllowed: true,
+      pushedAt: this.now,
+      rebaseMergeAllowed: true,
+      squashMergeAllowed: true,
+      stargazerCount: 0,
+      viewerCanAdminister: true,
+      viewerCanCreateProjects: true,
+      viewerCanSubscribe: true,
+      viewerCanUpdateTopics: true,
+      viewerDefaultMergeMethod: "MERGE",
+      viewerHasStarred: false,
+      viewerPermission: "ADMIN",
+      viewerSubscription: "SUBSCRIBED",
+      webCommitSignoffRequired: false,
+      issues: [],
+      labels: [],
+      milestones: [],
+      projectsV2: [],
+      pullRequests: [],
+      ...fields,
+    });
+
+    const branch = this._create("Ref", { name: "main", prefix: "refs/heads/", repository: repository });
+
+    // Derived fields always reflect the repository's current state
+    repository.defaultBranchRef = () => (repository.isEmpty ? null : branch);
+    repository.descriptionHTML = () => (repository.description ? repository.description : "");
+    repository.openGraphImageUrl = () => `https://opengraph.githubassets.com/${repository.nameWithOwner}`;
+    repository.projectsUrl = () => `${repository.url}/projects`;
+    repository.projectsResourcePath = () => `${repository.resourcePath}/projects`;
+    repository.sshUrl = () => `git@github.com:${repository.nameWithOwner}.git`;
+
+    repository.issue = (args) => {
+      const issue = repository.issues.find((candidate) => candidate.number === args.number);
+
+      if (!issue) {
+        throw this._notFound(`Could not resolve to an issue or pull request with the number of ${args.number}.`);
+      }
+
+      return issue;
+    };
+
+    repository.label = (args) => this.getLabel(repository, args.name);
+
+    repository.milestone = (args) => {
+      const milestone = repository.milestones.find((candidate) => candidate.number === args.number);
+
+      return milestone ? milestone : null;
+    };
+
+    repository.pullRequest = (args) => {
+      const pullRequest = repository.pullRequests.find((candidate) => candidate.number === args.number);
+
+      if (!pullRequest) {
+        throw this._notFound(`Could not resolve to a PullRequest with the number of ${args.number}.`);
+      }
+
+      return pullRequest;
+    };
+
+    return repository;
+  }
+
+  /**
+   * Return a repository by owner and name.
+   *
+   * @param {String} owner - the login of the owner of the repository
+   * @param {String} name - the name of the repository
+   *
+   * @returns {Object<String, *>|undefined} the repository, or `undefined` if it doesn't exist
+   *
+   * @public
+   */
+  getRepository(owner, name) {
+    const nameWithOwner = `${owner}/${name}`.toLowerCase();
+
+    for (const node of this.nodes.values()) {
+      if (node.__typename === "Repository" && node.nameWithOwner.toLowerCase() === nameWithOwner) {
+        return node;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Add a label to a repository.
+   *
+   * @param {Object<String, *>} repository - the repository
+   * @param {String} name - the name of the label
+   * @param {Object<String, *>} [fields={}] - any other fields of the label (e.g., `color` and `description`)
+   *
+   * @returns {Object<String, *>} the label
+   *
+   * @public
+   */
+  addLabel(repository, name, fields = {}) {
+    const label = this._create("Label", {
+      name: name,
+      color: "ededed",
+      description: null,
+      isDefault: false,
+      repository: repository,
+      url: `${repository.url}/labels/${encodeURIComponent(name)}`,
+      resourcePath: `${repository.resourcePath}/labels/${encodeURIComponent(name)}`,
+      ...fields,
+    });
+
+    label.issues = () => repository.issues.filter((issue) => issue.labels.includes(label));
+    label.pullRequests = () => repository.pullRequests.filter((pullRequest) => pullRequest.labels.includes(label));
+
+    repository.labels.push(label);
+
+    return label;
+  }
+
+  /**
+   * Return a label in a repository by name, ignoring case, as GitHub does.
+   *
+   * @param {Object<String, *>} repository - the repository
+   * @param {String} name - the name of the label
+   *
+   * @returns {Object<String, *>|null} the label, or `null` if it doesn't exist
+   *
+   * @public
+   */
+  getLabel(repository, name) {
+    const label = repository.labels.find((candidate) => candidate.name.toLowerCase() === name.toLowerCase());
+
+    return label ? label : null;
+  }
+
+  /**
+   * Add a milestone to a repository.
+   *
+   * @param {Object<String, *>} repository - the repository
+   * @param {String} title - the title of the milestone
+   * @param {Object<String, *>} [fields={}] - any other fields of the milestone (e.g., `dueOn` and `description`)
+   *
+   * @returns {Object<String, *>} the milestone
+   *
+   * @public
+   */
+  addMilestone(repository, title, fields = {}) {
+    const number = repository.milestones.length + 1;
+
+    const milestone = this._create("Milestone", {
+      number: number,
+      title: title,
+      description: null,
+      dueOn: null,
+      state: "OPEN",
+      closedAt: null,
+      creator: this.viewer,
+      progressPercentage: 0,
+      repository: repository,
+      url: `${repository.url}/milestone/${number}`,
+      resourcePath: `${repository.resourcePath}/milestone/${number}`,
+      viewerCanClose: true,
+      viewerCanReopen: true,
+      ...fields,
+    });
+
+    milestone.closed = () => milestone.state === "CLOSED";
+
+    repository.milestones.push(milestone);
+
+    return milestone;
+  }
+
+  /**
+   * Add an issue to a repository.
+   *
+   * @param {Object<String, *>} repository - the repository
+   * @param {Object<String, *>} [fields={}] - any other fields of the issue, where `labels` and `assignees` may be
+   *   given by name and login, adding any that don't exist yet
+   *
+   * @returns {Object<String, *>} the issue
+   *
+   * @public
+   */
+  addIssue(repository, fields = {}) {
+    // Issues and pull requests share numbers
+    const number = repository.issues.length + repository.pullRequests.length + 1;
+    const { labels = [], assignees = [], ...rest } = fields;
+
+    const issue = this._create("Issue", {
+      number: number,
+      title: `Issue #${number}`,
+      body: "",
+      state: "OPEN",
+      stateReason: null,
+      author: this.viewer,
+      authorAssociation: "OWNER",
+      editor: null,
+      activeLockReason: null,
+      locked: false,
+      closedAt: null,
+      createdViaEmail: false,
+      includesCreatedEdit: false,
+      isPinned: false,
+      isReadByViewer: true,
+      lastEditedAt: null,
+      milestone: null,
+      publishedAt: this.now,
+      repository: repository,
+      url: `${repository.url}/issues/${number}`,
+      resourcePath: `${repository.resourcePath}/issues/${number}`,
+      comments: [],
+      projectItems: [],
+      trackedIssues: [],
+      trackedInIssues: [],
+      trackedIssuesCount: 0,
+      viewerCanClose: true,
+      viewerCanDelete: true,
+      viewerCanReact: true,
+      viewerCanReopen: true,
+      viewerCanSubscribe: true,
+      viewerCanUpdate: true,
+      viewerDidAuthor: true,
+      viewerSubscription: "SUBSCRIBED",
+      viewerThreadSubscriptionFormAction: "UNSUBSCRIBE",
+      viewerThreadSubscriptionStatus: "SUBSCRIBED",
+      ...rest,
+    });
+
+    issue.labels = labels.map((label) => {
+      return typeof label === "string" ? this.getLabel(repository, label) || this.addLabel(repository, label) : label;
+    });
+
+    issue.assignees = assignees.map((assignee) => this.getUser(assignee));
+
+    // Derived fields always reflect the issue's current state
+    issue.closed = () => issue.state === "CLOSED";
+    issue.bodyHTML = () => issue.body;
+    issue.bodyText = () => issue.body;
+    issue.bodyUrl = () => issue.url;
+    issue.bodyResourcePath = () => issue.resourcePath;
+    issue.titleHTML = () => issue.title;
+    issue.projectItems = (args) => this._filterArchived(issue._projectItems, args);
+    issue.projectsV2 = () => [...new Set(issue._projectItems.map((item) => item.project))];
+    issue.participants = () => {
+      const users = [issue.author, ...issue.assignees, ...issue.comments.map((comment) => comment.author)];
+
+      return [...new Set(users.filter((user) => user && user.__typename === "User"))];
+    };
+    issue._projectItems = [];
+
+    repository.issues.push(issue);
+
+    return issue;
+  }
+
+  /**
+   * Return an issue in a repository by number.
+   *
+   * @param {Object<String, *>} repository - the repository
+   * @param {Number} number - the number of the issue
+   *
+   * @returns {Object<String, *>|undefined} the issue, or `undefined` if it doesn't exist
+   *
+   * @public
+   */
+  getIssue(repository, number) {
+    return repository.issues.find((issue) => issue.number === number);
+  }
+
+  /**
+   * Add a pull request to a repository.
+   *
+   * @param {Object<String, *>} repository - the repository
+   * @param {Object<String, *>} [fields={}] - any other fields of the pull request, where `labels` and `assignees` may
+   *   be given by name and login, adding any that don't exist yet, `closingIssues` lists the issues it closes, and
+   *   `reviewers` lists the logins of the users its review is requested of
+   *
+   * @returns {Object<String, *>} the pull request
+   *
+   * @public
+   */
+  addPullRequest(repository, fields = {}) {
+    const number = repository.issues.length + repository.pullRequests.length + 1;
+    const { labels = [], assignees = [], closingIssues = [], reviewers = [], ...rest } = fields;
+
+    const pullRequest = this._create("PullRequest", {
+      number: number,
+      title: `Pull Request #${number}`,
+      body: "",
+      state: "OPEN",
+      author: this.viewer,
+      authorAssociation: "OWNER",
+      editor: null,
+      activeLockReason: null,
+      locked: false,
+      additions: 0,
+      deletions: 0,
+      changedFiles: 0,
+      baseRefName: "main",
+      baseRefOid: "0".repeat(40),
+      headRefName: `feature-${number}`,
+      headRefOid: "1".repeat(40),
+      canBeRebased: true,
+      closedAt: null,
+      createdViaEmail: false,
+      includesCreatedEdit: false,
+      isCrossRepository: false,
+      isDraft: false,
+      isInMergeQueue: false,
+      isMergeQueueEnabled: false,
+      isReadByViewer: true,
+      lastEditedAt: null,
+      maintainerCanModify: false,
+      mergeStateStatus: "CLEAN",
+      mergeable: "MERGEABLE",
+      mergedAt: null,
+      mergedBy: null,
+      publishedAt: this.now,
+      repository: repository,
+      reviewDecision: "REVIEW_REQUIRED",
+      url: `${repository.url}/pull/${number}`,
+      resourcePath: `${repository.resourcePath}/pull/${number}`,
+      comments: [],
+      viewerCanApplySuggestion: true,
+      viewerCanClose: true,
+      viewerCanDeleteHeadRef: true,
+      viewerCanDisableAutoMerge: false,
+      viewerCanEditFiles: true,
+      viewerCanEnableAutoMerge: false,
+      viewerCanLabel: true,
+      viewerCanMergeAsAdmin: false,
+      viewerCanReact: true,
+      viewerCanReopen: true,
+      viewerCanSubscribe: true,
+      viewerCanUpdate: true,
+      viewerCanUpdateBranch: false,
+      viewerDidAuthor: true,
+      viewerSubscription: "SUBSCRIBED",
+      ...rest,
+    });
+
+    pullRequest.labels = labels.map((label) => {
+      return typeof label === "string" ? this.getLabel(repository, label) || this.addLabel(repository, label) : label;
+    });
+
+    pullRequest.assignees = assignees.map((assignee) => this.getUser(assignee));
+    pullRequest.closingIssuesReferences = closingIssues;
+    pullRequest.reviewRequests = reviewers.map((reviewer) => {
+      return this._create("ReviewRequest", {
+        asCodeOwner: false,
+        pullRequest: pullRequest,
+        requestedReviewer: this.getUser(reviewer),
+      });
+    });
+
+    // Refs resolve by name, so deleting a branch is a matter of changing it
+    const ref = (name) => this._create("Ref", { name: name, prefix: "refs/heads/", repository: repository });
+    const refs = { [pullRequest.baseRefName]: ref(pullRequest.baseRefName) };
+    refs[pullRequest.headRefName] = ref(pullRequest.headRefName);
+
+    // Derived fields always reflect the pull request's current state
+    pullRequest.baseRef = () => (pullRequest.baseRefName in refs ? refs[pullRequest.baseRefName] : null);
+    pullRequest.headRef = () => (pullRequest.headRefName in refs ? refs[pullRequest.headRefName] : null);
+    pullRequest.closed = () => pullRequest.state !== "OPEN";
+    pullRequest.merged = () => pullRequest.state === "MERGED";
+    pullRequest.bodyHTML = () => pullRequest.body;
+    pullRequest.bodyText = () => pullRequest.body;
+    pullRequest.titleHTML = () => pullRequest.title;
+    pullRequest.totalCommentsCount = () => pullRequest.comments.length;
+    pullRequest.permalink = () => pullRequest.url;
+    pullRequest.checksUrl = () => `${pullRequest.url}/checks`;
+    pullRequest.checksResourcePath = () => `${pullRequest.resourcePath}/checks`;
+    pullRequest.revertUrl = () => `${pullRequest.url}/revert`;
+    pullRequest.revertResourcePath = () => `${pullRequest.resourcePath}/revert`;
+    pullRequest.projectItems = (args) => this._filterArchived(pullRequest._projectItems, args);
+    pullRequest.participants = () => {
+      const users = [
+        pullRequest.author,
+        ...pullRequest.assignees,
+        ...pullRequest.comments.map((comment) => comment.author),
+      ];
+
+      return [...new Set(users.filter((user) => user && user.__typename === "User"))];
+    };
+    pullRequest._projectItems = [];
+
+    repository.pullRequests.push(pullRequest);
+
+    return pullRequest;
+  }
+
+  /**
+   * Return a pull request in a repository by number.
+   *
+   * @param {Object<String, *>} repository - the repository
+   * @param {Number} number - the number of the pull request
+   *
+   * @returns {Object<String, *>|undefined} the pull request, or `undefined` if it doesn't exist
+   *
+   * @public
+   */
+  getPullRequest(repository, number) {
+    return repository.pullRequests.find((pullRequest) => pullRequest.number === number);
+  }
+
+  /**
+   * Add a comment to an issue or pull request.
+   *
+   * @param {Object<String, *>} issue - the issue or pull request
+   * @param {String} body - the body of the comment
+   * @param {String|Object<String, *>} [author=this.viewer] - the login of the author, or the author
+   *
+   * @returns {Object<String, *>} the comment
+   *
+   * @public
+   */
+  addComment(issue, body, author = undefined) {
+    const comment = this._create("IssueComment", {
+      body: body,
+      author: author ? this.getUser(author) : this.viewer,
+      authorAssociation: "OWNER",
+      createdViaEmail: false,
+      editor: null,
+      includesCreatedEdit: false,
+      isMinimized: false,
+      issue: issue,
+      lastEditedAt: null,
+      minimizedReason: null,
+      publishedAt: this.now,
+      pullRequest: issue.__typename === "PullRequest" ? issue : null,
+      repository: issue.repository,
+      url: `${issue.url}#issuecomment-${this._count + 1}`,
+      resourcePath: `${issue.resourcePath}#issuecomment-${this._count + 1}`,
+      viewerCanDelete: true,
+      viewerCanMinimize: true,
+      viewerCanReact: true,
+      viewerCanUpdate: true,
+      viewerCannotUpdateReasons: [],
+    });
+
+    comment.bodyHTML = () => comment.body;
+    comment.bodyText = () => comment.body;
+    comment.viewerDidAuthor = () => comment.author === this.viewer;
+
+    issue.comments.push(comment);
+
+    return comment;
+  }
+
+  /**
+   * Add a ProjectV2 to a user.
+   *
+   * @param {String|Object<String, *>} owner - the login of the owner of the project, or the owner
+   * @param {Object<String, *>} [fields={}] - any other fields of the project, where `fields` lists the project's
+   *   custom fields, each with a `name`, a `dataType` (e.g., `SINGLE_SELECT` or `TEXT`), the `options` names, for
+   *   single select fields, and the `iterations` titles, for iteration fields
+   *
+   * @returns {Object<String, *>} the project
+   *
+   * @public
+   */
+  addProject(owner, fields = {}) {
+    owner = this.getUser(owner);
+
+    const { fields: definitions = [], ...rest } = fields;
+    const number = [...this.nodes.values()].filter((node) => node.__typename === "ProjectV2").length + 1;
+
+    const project = this._create("ProjectV2", {
+      number: number,
+      title: `Project ${number}`,
+      closed: false,
+      closedAt: null,
+      creator: this.viewer,
+      owner: owner,
+      public: false,
+      readme: null,
+      shortDescription: null,
+      template: false,
+      url: `${owner.url}/projects/${number}`,
+      resourcePath: `${owner.resourcePath}/projects/${number}`,
+      viewerCanClose: true,
+      viewerCanReopen: true,
+      viewerCanUpdate: true,
+      items: [],
+      ...rest,
+    });
+
+    project.fields = definitions.map((definition) => {
+      const typenames = { SINGLE_SELECT: "ProjectV2SingleSelectField", ITERATION: "ProjectV2IterationField" };
+      const typename = definition.dataType in typenames ? typenames[definition.dataType] : "ProjectV2Field";
+
+      const field = this._create(typename, { name: definition.name, dataType: definition.dataType, project: project });
+
+      if (definition.dataType === "SINGLE_SELECT") {
+        field.options = (definition.options || []).map((name, index) => {
+          return {
+            id: `${field.id}_${index}`,
+            name: name,
+            nameHTML: name,
+            color: "GRAY",
+            description: "",
+            descriptionHTML: "",
+          };
+        });
+      }
+
+      if (definition.dataType === "ITERATION") {
+        const start = Date.parse(this.now);
+
+        field.configuration = {
+          duration: 14,
+          startDay: new Date(start).getUTCDay(),
+          iterations: (definition.iterations || []).map((title, index) => {
+            const startDate = new Date(start + index * 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+            return { id: `${field.id}_${index}`, title: title, titleHTML: title, startDate: startDate, duration: 14 };
+          }),
+          completedIterations: [],
+        };
+      }
+
+      return field;
+    });
+
+    project.field = (args) => {
+      const field = project.fields.find((candidate) => candidate.name === args.name);
+
+      return field ? field : null;
+    };
+
+    owner.projectsV2.push(project);
+
+    return project;
+  }
+
+  /**
+   * Add an issue, or pull request, to a ProjectV2 as an item.
+   *
+   * @param {Object<String, *>} project - the project
+   * @param {Object<String, *>} issue - the issue or pull request
+   * @param {Object<String, *>} [values={}] - the value of each of the project's custom fields, by field name, where
+   *   single select fields take the option name
+   * @param {Object<String, *>} [fields={}] - any other fields of the item (e.g., `isArchived`)
+   *
+   * @returns {Object<String, *>} the item
+   *
+   * @public
+   */
+  addProjectItem(project, issue, values = {}, fields = {}) {
+    const item = this._create("ProjectV2Item", {
+      content: issue,
+      creator: this.viewer,
+      isArchived: false,
+      project: project,
+      type: issue.__typename === "PullRequest" ? "PULL_REQUEST" : "ISSUE",
+      fieldValues: [],
+      ...fields,
+    });
+
+    for (const [name, value] of Object.entries(values)) {
+      this.setFieldValue(item, name, value);
+    }
+
+    item.fieldValueByName = (args) => {
+      const fieldValue = item.fieldValues.find((candidate) => candidate.field.name === args.name);
+
+      return fieldValue ? fieldValue : null;
+    };
+
+    project.items.push(item);
+    issue._projectItems.push(item);
+
+    return item;
+  }
+
+  /**
+   * Set the value of a project item's custom field.
+   *
+   * @param {Object<String, *>} item - the project item
+   * @param {String} name - the name of the field
+   * @param {*} value - the value, where single select fields take the option name and iteration fields the iteration
+   *   title, or `null` to clear it
+   *
+   * @returns {Object<String, *>|null} the field value, or `null` if cleared
+   *
+   * @throws {ReferenceError} if the project doesn't have the field, or the field doesn't have the option or iteration
+   *
+   * @public
+   */
+  setFieldValue(item, name, value) {
+    const field = item.project.fields.find((candidate) => candidate.name === name);
+
+    if (!field) {
+      throw new ReferenceError(`Project \`${item.project.title}\` has no field \`${name}\`.`);
+    }
+
+    item.fieldValues = item.fieldValues.filter((fieldValue) => fieldValue.field !== field);
+
+    if (value === null || typeof value === "undefined") {
+      return null;
+    }
+
+    const common = { creator: this.viewer, field: field, item: item };
+    let fieldValue;
+
+    switch (field.dataType) {
+      case "SINGLE_SELECT": {
+        const option = field.options.find((candidate) => candidate.name === value);
+
+        if (!option) {
+          throw new ReferenceError(`Project field \`${name}\` has no option \`${value}\`.`);
+        }
+
+        fieldValue = this._create("ProjectV2ItemFieldSingleSelectValue", {
+          ...common,
+          optionId: option.id,
+          name: option.name,
+          nameHTML: option.nameHTML,
+          color: option.color,
+          description: option.description,
+          descriptionHTML: option.description,
+        });
+
+        break;
+      }
+
+      case "ITERATION": {
+        const iteration = field.configuration.iterations.find((candidate) => candidate.title === value);
+
+        if (!iteration) {
+          throw new ReferenceError(`Project field \`${name}\` has no iteration \`${value}\`.`);
+        }
+
+        fieldValue = this._create("ProjectV2ItemFieldIterationValue", {
+          ...common,
+          iterationId: iteration.id,
+          title: iteration.title,
+          titleHTML: iteration.titleHTML,
+          startDate: iteration.startDate,
+          duration: iteration.duration,
+        });
+
+        break;
+      }
+
+      case "NUMBER":
+        fieldValue = this._create("ProjectV2ItemFieldNumberValue", { ...common, number: value });
+        break;
+
+      case "DATE":
+        fieldValue = this._create("ProjectV2ItemFieldDateValue", { ...common, date: value });
+        break;
+
+      default:
+        fieldValue = this._create("ProjectV2ItemFieldTextValue", { ...common, text: String(value) });
+    }
+
+    item.fieldValues.push(fieldValue);
+
+    return fieldValue;
+  }
+
+  /**
+   * Return a context, in the shape `actions/github-script` provides, for an `issues` event on the given issue.
+   *
+   * The payload of an `assigned` event includes the issue's most recent assignee as its `assignee`, as GitHub sends the
+   * user just assigned.
+   *
+   * @param {Object<String, *>} issue - the issue the event is for
+   * @param {String} [action="opened"] - the action of the event (e.g., `assigned`)
+   * @param {Object<String, *>} [payload={}] - any other fields of the event payload (e.g., the `assignee` unassigned)
+   *
+   * @returns {Object<String, *>} the context
+   *
+   * @public
+   */
+  getContext(issue, action = "opened", payload = {}) {
+    const repository = issue.repository;
+    const assignee = action === "assigned" ? issue.assignees[issue.assignees.length - 1] : undefined;
+
+    return {
+      eventName: "issues",
+      serverUrl: "https://github.com",
+      repo: { owner: repository.owner.login, repo: repository.name },
+      issue: { owner: repository.owner.login, repo: repository.name, number: issue.number },
+      payload: {
+        action: action,
+        issue: { number: issue.number, node_id: issue.id, title: issue.title },
+        repository: { name: repository.name, node_id: repository.id, owner: { login: repository.owner.login } },
+        sender: { login: this.viewer.login },
+        ...(assignee ? { assignee: { login: assignee.login, node_id: assignee.id, type: "User" } } : {}),
+        ...payload,
+      },
+    };
+  }
+
+  // Mutations ---------------------------------------------------------------------------------------------------------
+
+  /**
+   * The mutations the fake applies, by name, each taking the mutation's `input` and returning its payload.
+   *
+   * @returns {Object<String, Function>}
+   *
+   * @protected
+   */
+  _getMutations() {
+    return {
+      addAssigneesToAssignable: (input) => {
+        const assignable = this._getNode(input.assignableId, ["Issue", "PullRequest"]);
+
+        input.assigneeIds
+          .map((id) => this._getNode(id, ["User"]))
+          .forEach((user) => {
+            if (!assignable.assignees.includes(user)) {
+              assignable.assignees.push(user);
+            }
+          });
+
+        assignable.updatedAt = this.now;
+
+        return { assignable: assignable };
+      },
+
+      addComment: (input) => {
+        const subject = this._getNode(input.subjectId, ["Issue", "PullRequest"]);
+        const comment = this.addComment(subject, input.body);
+
+        return { commentEdge: { cursor: comment.id, node: comment }, subject: subject, timelineEdge: null };
+      },
+
+      addProjectV2ItemById: (input) => {
+        const project = this._getNode(input.projectId, ["ProjectV2"]);
+        const content = this._getNode(input.contentId, ["Issue", "PullRequest"]);
+        const existing = project.items.find((item) => item.content === content);
+
+        return { item: existing ? existing : this.addProjectItem(project, content) };
+      },
+
+      archiveProjectV2Item: (input) => {
+        const project = this._getNode(input.projectId, ["ProjectV2"]);
+        const item = this._getNode(input.itemId, ["ProjectV2Item"]);
+
+        if (item.project !== project) {
+          throw new Error(`The item must belong to the project \`${project.id}\`.`);
+        }
+
+        item.isArchived = true;
+        item.updatedAt = this.now;
+
+        return { item: item };
+      },
+
+      addLabelsToLabelable: (input) => {
+        const labelable = this._getNode(input.labelableId, ["Issue", "PullRequest"]);
+
+        input.labelIds
+          .map((id) => this._getNode(id, ["Label"]))
+          .forEach((label) => {
+            if (!labelable.labels.includes(label)) {
+              labelable.labels.push(label);
+            }
+          });
+
+        return { labelable: labelable };
+      },
+
+      clearProjectV2ItemFieldValue: (input) => {
+        const [item, field] = this._getProjectItemField(input);
+
+        this.setFieldValue(item, field.name, null);
+        item.updatedAt = this.now;
+
+        return { projectV2Item: item };
+      },
+
+      closeIssue: (input) => {
+        const issue = this._getNode(input.issueId, ["Issue"]);
+
+        if (input.duplicateIssueId) {
+          this._getNode(input.duplicateIssueId, ["Issue"]);
+        }
+
+        issue.state = "CLOSED";
+        issue.stateReason = input.stateReason ? input.stateReason : "COMPLETED";
+        issue.closedAt = this.now;
+        issue.updatedAt = this.now;
+
+        return { issue: issue };
+      },
+
+      createIssue: (input) => {
+        const repository = this._getNode(input.repositoryId, ["Repository"]);
+
+        // `projectIds` only takes classic Projects, which the fake doesn't hold, so any given fail as on GitHub
+        (input.projectIds ? input.projectIds : []).forEach((id) => this._getNode(id, ["Project"]));
+
+        const issue = this.addIssue(repository, {
+          title: input.title,
+          body: input.body ? input.body : "",
+          labels: (input.labelIds ? input.labelIds : []).map((id) => this._getNode(id, ["Label"])),
+          assignees: (input.assigneeIds ? input.assigneeIds : []).map((id) => this._getNode(id, ["User"])),
+          milestone: input.milestoneId ? this._getNode(input.milestoneId, ["Milestone"]) : null,
+        });
+
+        return { issue: issue };
+      },
+
+      createLabel: (input) => {
+        const repository = this._getNode(input.repositoryId, ["Repository"]);
+
+        if (this.getLabel(repository, input.name)) {
+          throw new Error("Name has already been taken");
+        }
+
+        const label = this.addLabel(repository, input.name, {
+          color: input.color,
+          description: input.description ? input.description : null,
+          createdAt: this.now,
+          updatedAt: this.now,
+        });
+
+        return { label: label };
+      },
+
+      deleteIssueComment: (input) => {
+        const comment = this._getNode(input.id, ["IssueComment"]);
+
+        comment.issue.comments = comment.issue.comments.filter((candidate) => candidate !== comment);
+        this.nodes.delete(comment.id);
+
+        return {};
+      },
+
+      lockLockable: (input) => {
+        const lockable = this._getNode(input.lockableId, ["Issue", "PullRequest"]);
+
+        lockable.locked = true;
+        lockable.activeLockReason = input.lockReason ? input.lockReason : null;
+        lockable.updatedAt = this.now;
+
+        return { actor: this.viewer, lockedRecord: lockable };
+      },
+
+      deleteLabel: (input) => {
+        const label = this._getNode(input.id, ["Label"]);
+        const repository = label.repository;
+
+        repository.labels = repository.labels.filter((candidate) => candidate !== label);
+
+        [...repository.issues, ...repository.pullRequests].forEach((labelable) => {
+          labelable.labels = labelable.labels.filter((candidate) => candidate !== label);
+        });
+
+        this.nodes.delete(label.id);
+
+        return {};
+      },
+
+      minimizeComment: (input) => {
+        const comment = this._getNode(input.subjectId, ["IssueComment"]);
+
+        comment.isMinimized = true;
+        comment.minimizedReason = input.classifier.toLowerCase().replace("_", "-");
+
+        return { minimizedComment: comment };
+      },
+
+      pinIssue: (input) => {
+        const issue = this._getNode(input.issueId, ["Issue"]);
+
+        issue.isPinned = true;
+
+        return { issue: issue };
+      },
+
+      removeAssigneesFromAssignable: (input) => {
+        const assignable = this._getNode(input.assignableId, ["Issue", "PullRequest"]);
+        const users = input.assigneeIds.map((id) => this._getNode(id, ["User"]));
+
+        assignable.assignees = assignable.assignees.filter((user) => !users.includes(user));
+        assignable.updatedAt = this.now;
+
+        return { assignable: assignable };
+      },
+
+      removeLabelsFromLabelable: (input) => {
+        const labelable = this._getNode(input.labelableId, ["Issue", "PullRequest"]);
+        const labels = input.labelIds.map((id) => this._getNode(id, ["Label"]));
+
+        labelable.labels = labelable.labels.filter((label) => !labels.includes(label));
+
+        return { labelable: labelable };
+      },
+
+      reopenIssue: (input) => {
+        const issue = this._getNode(input.issueId, ["Issue"]);
+
+        issue.state = "OPEN";
+        issue.stateReason = "REOPENED";
+        issue.closedAt = null;
+        issue.updatedAt = this.now;
+
+        return { issue: issue };
+      },
+
+      transferIssue: (input) => {
+        const issue = this._getNode(input.issueId, ["Issue"]);
+        const repository = this._getNode(input.repositoryId, ["Repository"]);
+        const number = repository.issues.length + repository.pullRequests.length + 1;
+
+        issue.repository.issues = issue.repository.issues.filter((candidate) => candidate !== issue);
+        // Labels carry over by name, dropping any the new repository doesn't have unless asked to create them
+        issue.labels = issue.labels
+          .map((label) => {
+            const existing = this.getLabel(repository, label.name);
+
+            if (existing || !input.createLabelsIfMissing) {
+              return existing;
+            }
+
+            return this.addLabel(repository, label.name, { color: label.color, description: label.description });
+          })
+          .filter((label) => label);
+
+        issue.number = number;
+        issue.repository = repository;
+        issue.url = `${repository.url}/issues/${number}`;
+        issue.resourcePath = `${repository.resourcePath}/issues/${number}`;
+        issue.updatedAt = this.now;
+
+        repository.issues.push(issue);
+
+        return { issue: issue };
+      },
+
+      unlockLockable: (input) => {
+        const lockable = this._getNode(input.lockableId, ["Issue", "PullRequest"]);
+
+        lockable.locked = false;
+        lockable.activeLockReason = null;
+        lockable.updatedAt = this.now;
+
+        return { actor: this.viewer, unlockedRecord: lockable };
+      },
+
+      unminimizeComment: (input) => {
+        const comment = this._getNode(input.subjectId, ["IssueComment"]);
+
+        comment.isMinimized = false;
+        comment.minimizedReason = null;
+
+        return { unminimizedComment: comment };
+      },
+
+      unpinIssue: (input) => {
+        const issue = this._getNode(input.issueId, ["Issue"]);
+
+        issue.isPinned = false;
+
+        return { id: issue.id, issue: issue };
+      },
+
+      updateIssue: (input) => {
+        const issue = this._getNode(input.id, ["Issue"]);
+
+        ["title", "body", "state"].filter((key) => key in input).forEach((key) => (issue[key] = input[key]));
+
+        if ("labelIds" in input) {
+          issue.labels = input.labelIds.map((id) => this._getNode(id, ["Label"]));
+        }
+
+        if ("assigneeIds" in input) {
+          issue.assignees = input.assigneeIds.map((id) => this._getNode(id, ["User"]));
+        }
+
+        issue.updatedAt = this.now;
+
+        return { issue: issue };
+      },
+
+      updateIssueComment: (input) => {
+        const comment = this._getNode(input.id, ["IssueComment"]);
+
+        comment.body = input.body;
+        comment.editor = this.viewer;
+        comment.includesCreatedEdit = true;
+        comment.lastEditedAt = this.now;
+        comment.updatedAt = this.now;
+
+        return { issueComment: comment };
+      },
+
+      updateProjectV2ItemFieldValue: (input) => {
+        const [item, field] = this._getProjectItemField(input);
+        const value = input.value;
+        let choice;
+
+        if ("singleSelectOptionId" in value) {
+          choice = field.options && field.options.find((option) => option.id === value.singleSelectOptionId);
+        } else if ("iterationId" in value) {
+          choice = field.configuration && field.configuration.iterations.find((it) => it.id === value.iterationId);
+        }
+
+        if (("singleSelectOptionId" in value || "iterationId" in value) && !choice) {
+          throw new Error(`The value isn't a valid option or iteration for the field \`${field.name}\`.`);
+        }
+
+        const values = { SINGLE_SELECT: choice && choice.name, ITERATION: choice && choice.title };
+        this.setFieldValue(
+          item,
+          field.name,
+          field.dataType in values ? values[field.dataType] : Object.values(value)[0],
+        );
+        item.updatedAt = this.now;
+
+        return { projectV2Item: item };
+      },
+
+      updateLabel: (input) => {
+        const label = this._getNode(input.id, ["Label"]);
+
+        if (input.name && input.name.toLowerCase() !== label.name.toLowerCase()) {
+          if (this.getLabel(label.repository, input.name)) {
+            throw new Error("Name has already been taken");
+          }
+        }
+
+        ["name", "color", "description"].filter((key) => key in input).forEach((key) => (label[key] = input[key]));
+
+        label.url = `${label.repository.url}/labels/${encodeURIComponent(label.name)}`;
+        label.resourcePath = `${label.repository.resourcePath}/labels/${encodeURIComponent(label.name)}`;
+        label.updatedAt = this.now;
+
+        return { label: label };
+      },
+    };
+  }
+
+  // Requests ----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Execute a GraphQL query or mutation against the fake's data, as the Octokit client's `graphql` method does.
+   *
+   * @param {String} query - the GraphQL document
+   * @param {Object<String, *>} [variables={}] - the variables for the document
+   *
+   * @returns {Object<String, *>} the response data
+   *
+   * @throws {Error} with the `errors`, and any partial `data`, GitHub would respond with, if the document is invalid or
+   *   any field fails to resolve
+   * @throws {ReferenceError} if the document requires a non-null field the fake doesn't model
+   *
+   * @public @async
+   */
+  async graphql(query, variables = {}) {
+    this.requests.push({ query: query, variables: variables });
+
+    // Loaded on first use, as the validator relies on the ActionContext that takes this fake
+    const SchemaValidator = require("../GraphQL/SchemaValidator");
+    const problems = new SchemaValidator(this.schema).validateDocument(query, variables);
+
+    if (problems.length > 0) {
+      throw this._responseError(
+        problems.map((message) => ({ message: message, extensions: { code: "undefinedField" } })),
+        undefined,
+      );
+    }
+
+    const document = Parser.parse(query);
+    const operation = document.definitions.find((definition) => definition.kind === "OperationDefinition");
+
+    const context = {
+      variables: variables,
+      fragments: {},
+      errors: [],
+    };
+
+    document.definitions
+      .filter((definition) => definition.kind === "FragmentDefinition")
+      .forEach((fragment) => (context.fragments[fragment.name] = fragment));
+
+    const data =
+      operation.operation === "mutation"
+        ? this._executeMutations(context, operation.selectionSet)
+        : this._execute(context, this.schema.operationTypes.query, this._getQueryRoot(), operation.selectionSet, []);
+
+    if (context.errors.length > 0) {
+      throw this._responseError(context.errors, data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Return the root object queries execute on.
+   *
+   * @returns {Object<String, *>}
+   *
+   * @protected
+   */
+  _getQueryRoot() {
+    return {
+      __typename: this.schema.operationTypes.query,
+      viewer: this.viewer,
+      node: (args) => this._getNode(args.id),
+      nodes: (args) => args.ids.map((id) => (this.nodes.has(id) ? this.nodes.get(id) : null)),
+      rateLimit: { cost: 1, limit: 5000, nodeCount: 1, remaining: 4999, resetAt: this.now, used: 1 },
+      repositoryOwner: (args) => {
+        const owner = [...this.nodes.values()].find((node) => node.__typename === "User" && node.login === args.login);
+
+        return owner ? owner : null;
+      },
+      repository: (args) => {
+        const repository = this.getRepository(args.owner, args.name);
+
+        if (!repository) {
+          throw this._notFound(`Could not resolve to a Repository with the name '${args.owner}/${args.name}'.`);
+        }
+
+        return repository;
+      },
+      user: (args) => {
+        const user = [...this.nodes.values()].find((node) => node.__typename === "User" && node.login === args.login);
+
+        if (!user) {
+          throw this._notFound(`Could not resolve to a User with the login of '${args.login}'.`);
+        }
+
+        return user;
+      },
+    };
+  }
+
+  /**
+   * Apply each mutation in a selection set, in order.
+   *
+   * @param {Object} context - the execution context of the request
+   * @param {Object[]} selections - the mutation fields selected
+   *
+   * @returns {Object<String, *>} the payload of each mutation, by response key
+   *
+   * @protected
+   */
+  _executeMutations(context, selections) {
+    const mutations = this._getMutations();
+    const root = { __typename: this.schema.operationTypes.mutation };
+
+    selections.forEach((selection) => {
+      if (!(selection.name in mutations)) {
+        root[selection.name] = () => {
+          throw new ReferenceError(`FakeGitHub doesn't support the \`${selection.name}\` mutation.`);
+        };
+
+        return;
+      }
+
+      root[selection.name] = (args) => {
+        this.mutations.push({ name: selection.name, input: args.input });
+
+        return { clientMutationId: args.input.clientMutationId, ...mutations[selection.name](args.input) };
+      };
+    });
+
+    return this._execute(context, root.__typename, root, selections, []);
+  }
+
+  /**
+   * Execute a selection set on an object.
+   *
+   * @param {Object} context - the execution context of the request
+   * @param {String} typeName - the GraphQL type of the object
+   * @param {Object<String, *>} object - the object
+   * @param {Object[]} selections - the selections
+   * @param {Array<String|Number>} path - the response path to the object
+   *
+   * @returns {Object<String, *>} the response data for the object
+   *
+   * @protected
+   */
+  _execute(context, typeName, object, selections, path) {
+    typeName = object.__typename ? object.__typename : typeName;
+
+    let result = {};
+
+    selections.forEach((selection) => {
+      if (selection.kind === "Field") {
+        const key = selection.alias ? selection.alias : selection.name;
+
+        result[key] = this._executeField(context, typeName, object, selection, [...path, key]);
+
+        return;
+      }
+
+      const fragment = selection.kind === "FragmentSpread" ? context.fragments[selection.name] : selection;
+
+      if (!fragment.typeCondition || this.schema.isPossibleType(fragment.typeCondition, typeName)) {
+        this._merge(result, this._execute(context, typeName, object, fragment.selectionSet, path));
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Resolve and complete a single field of an object.
+   *
+   * @param {Object} context - the execution context of the request
+   * @param {String} typeName - the GraphQL type of the object
+   * @param {Object<String, *>} object - the object
+   * @param {Object} selection - the field selection
+   * @param {Array<String|Number>} path - the response path to the field
+   *
+   * @returns {*} the response data for the field
+   *
+   * @throws {ReferenceError} if the field is non-null and the fake doesn't model it
+   *
+   * @protected
+   */
+  _executeField(context, typeName, object, selection, path) {
+    if (selection.name === "__typename") {
+      return typeName;
+    }
+
+    const definition = this.schema.getField(typeName, selection.name);
+    const args = this._getArguments(context, definition, selection);
+
+    let value;
+
+    try {
+      value = object[selection.name];
+      value = typeof value === "function" ? value(args) : value;
+    } catch (error) {
+      if (!error.type) {
+        throw error;
+      }
+
+      context.errors.push({ type: error.type, path: path, locations: [], message: error.message });
+
+      return null;
+    }
+
+    if (typeof value === "undefined") {
+      if (definition.type.kind === "NonNullType") {
+        throw new ReferenceError(`FakeGitHub doesn't model the non-null field \`${typeName}.${selection.name}\`.`);
+      }
+
+      return null;
+    }
+
+    const namedType = Schema.getNamedType(definition.type);
+
+    if (Array.isArray(value) && namedType.endsWith("Connection")) {
+      value = this._paginate(value, args);
+    }
+
+    return this._complete(context, namedType, value, selection.selectionSet, path);
+  }
+
+  /**
+   * Complete a resolved value, executing any selections on it.
+   *
+   * @param {Object} context - the execution context of the request
+   * @param {String} typeName - the named GraphQL type of the value
+   * @param {*} value - the resolved value
+   * @param {Object[]|undefined} selections - the selections on the value, if any
+   * @param {Array<String|Number>} path - the response path to the value
+   *
+   * @returns {*} the response data for the value
+   *
+   * @protected
+   */
+  _complete(context, typeName, value, selections, path) {
+    if (value === null || typeof value === "undefined") {
+      return null;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this._complete(context, typeName, item, selections, [...path, index]));
+    }
+
+    if (!selections) {
+      return value;
+    }
+
+    return this._execute(context, typeName, value, selections, path);
+  }
+
+  /**
+   * Return the arguments of a field selection, with variables and the schema's default values filled in.
+   *
+   * @param {Object} context - the execution context of the request
+   * @param {Object} definition - the schema's definition of the field
+   * @param {Object} selection - the field selection
+   *
+   * @returns {Object<String, *>}
+   *
+   * @protected
+   */
+  _getArguments(context, definition, selection) {
+    let args = {};
+
+    definition.arguments.forEach((argument) => {
+      const given = selection.arguments.find((arg) => arg.name === argument.name);
+
+      let value = given ? this._getValue(context, given.value) : undefined;
+
+      if (typeof value === "undefined" && argument.defaultValue) {
+        value = this._getValue(context, argument.defaultValue);
+      }
+
+      if (typeof value !== "undefined") {
+        args[argument.name] = value;
+      }
+    });
+
+    return args;
+  }
+
+  /**
+   * Return the JavaScript value of a parsed GraphQL value.
+   *
+   * @param {Object} context - the execution context of the request
+   * @param {Object} value - the parsed value
+   *
+   * @returns {*}
+   *
+   * @protected
+   */
+  _getValue(context, value) {
+    switch (value.kind) {
+      case "Variable":
+        return context.variables[value.name];
+
+      case "IntValue":
+        return parseInt(value.value, 10);
+
+      case "FloatValue":
+        return parseFloat(value.value);
+
+      case "ListValue":
+        return value.values.map((item) => this._getValue(context, item));
+
+      case "ObjectValue": {
+        let object = {};
+
+        value.fields.forEach((field) => (object[field.name] = this._getValue(context, field.value)));
+
+        return object;
+      }
+    }
+
+    return value.value;
+  }
+
+  /**
+   * Return a page of a connection, following the `first` and `after` arguments.
+   *
+   * @param {Object[]} items - every item in the connection
+   * @param {Object<String, *>} args - the connection arguments
+   *
+   * @returns {Object<String, *>} the connection, with its `totalCount`, `pageInfo`, `nodes`, and `edges`
+   *
+   * @protected
+   */
+  _paginate(items, args) {
+    const cursor = (index) => Buffer.from(`cursor:${index}`).toString("base64");
+    const start = args.after ? Number(Buffer.from(args.after, "base64").toString().replace("cursor:", "")) + 1 : 0;
+    const nodes = items.slice(start, typeof args.first === "number" ? start + args.first : undefined);
+
+    return {
+      totalCount: items.length,
+      nodes: nodes,
+      edges: nodes.map((node, index) => ({ cursor: cursor(start + index), node: node })),
+      pageInfo: {
+        hasNextPage: start + nodes.length < items.length,
+        hasPreviousPage: start > 0,
+        startCursor: nodes.length ? cursor(start) : null,
+        endCursor: nodes.length ? cursor(start + nodes.length - 1) : null,
+      },
+    };
+  }
+
+  // Helpers -----------------------------------------------------------------------------------------------------------
+
+  /**
+   * Return an object by global node ID.
+   *
+   * @param {String} id - the global node ID
+   * @param {String[]} [typenames=undefined] - the types the object must be one of, if restricted
+   *
+   * @returns {Object<String, *>}
+   *
+   * @throws {Error} a `NOT_FOUND` GraphQL error if no object of the given types has the ID
+   *
+   * @protected
+   */
+  _getNode(id, typenames = undefined) {
+    const node = this.nodes.get(id);
+
+    if (!node || (typenames && !typenames.includes(node.__typename))) {
+      throw this._notFound(`Could not resolve to a node with the global id of '${id}'`);
+    }
+
+    return node;
+  }
+
+  /**
+   * Return the project item, and the field of its project, a ProjectV2 mutation input refers to.
+   *
+   * @param {Object<String, *>} input - the mutation input, with a `projectId`, `itemId`, and `fieldId`
+   *
+   * @returns {Object[]} the item and the field
+   *
+   * @protected
+   */
+  _getProjectItemField(input) {
+    const project = this._getNode(input.projectId, ["ProjectV2"]);
+    const item = this._getNode(input.itemId, ["ProjectV2Item"]);
+    const field = this._getNode(input.fieldId, [
+      "ProjectV2Field",
+      "ProjectV2IterationField",
+      "ProjectV2SingleSelectField",
+    ]);
+
+    if (item.project !== project || field.project !== project) {
+      throw new Error(`The item and field must belong to the project \`${project.id}\`.`);
+    }
+
+    return [item, field];
+  }
+
+  /**
+   * Return the items of a connection, leaving out archived items unless `includeArchived` is set.
+   *
+   * @param {Object[]} items - the items
+   * @param {Object<String, *>} args - the connection arguments
+   *
+   * @returns {Object[]}
+   *
+   * @protected
+   */
+  _filterArchived(items, args) {
+    return args.includeArchived === false ? items.filter((item) => !item.isArchived) : items;
+  }
+
+  /**
+   * Create a GraphQL error that GitHub returns when an object doesn't exist.
+   *
+   * @param {String} message - the error message
+   *
+   * @returns {Error}
+   *
+   * @protected
+   */
+  _notFound(message) {
+    return Object.assign(new Error(message), { type: "NOT_FOUND" });
+  }
+
+  /**
+   * Create the error the Octokit client throws when a response includes GraphQL errors.
+   *
+   * @param {Object[]} errors - the GraphQL errors
+   * @param {Object<String, *>|undefined} data - any partial response data
+   *
+   * @returns {Error}
+   *
+   * @protected
+   */
+  _responseError(errors, data) {
+    const error = new Error(
+      `Request failed due to following response errors:\n${errors.map((err) => ` - ${err.message}`).join("\n")}`,
+    );
+
+    return Object.assign(error, { name: "GraphqlResponseError", errors: errors, data: data, headers: {} });
+  }
+
+  /**
+   * Merge the response data of a fragment into the response data of its parent, deeply.
+   *
+   * @param {Object<String, *>} target - the parent's response data
+   * @param {Object<String, *>} source - the fragment's response data
+   *
+   * @protected
+   */
+  _merge(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+      const isObject = (candidate) => candidate && typeof candidate === "object" && !Array.isArray(candidate);
+
+      if (isObject(target[key]) && isObject(value)) {
+        this._merge(target[key], value);
+        continue;
+      }
+
+      target[key] = value;
+    }
+  }
+};
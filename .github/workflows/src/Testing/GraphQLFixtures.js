@@ -0,0 +1,458 @@
+const ActionContext = require("../ActionContext");
+const EnhancedCore = require("../EnhancedCore");
+const FixtureNotFoundError = require("../Errors/FixtureNotFoundError");
+const WorkflowAbstract = require("../WorkflowAbstract");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * GraphQLFixtures.
+ *
+ * @classdesc
+ * Records GitHub GraphQL API traffic to JSON fixtures, and replays those fixtures in place of GitHub, so automations
+ * can run repeatably without making changes on GitHub.
+ *
+ * Install fixtures right after initializing the {@link ActionContext}, which swaps `ActionContext.github` for a
+ * recording or replaying client, depending on the `GRAPHQL_FIXTURES` environment variable:
+ *
+ * ```js
+ * require(".github/workflows/src/ActionContext").init(github, context, core, glob, io, exec, fetch);
+ * require(".github/workflows/src/Testing/GraphQLFixtures").install();
+ * ```
+ *
+ * - `GRAPHQL_FIXTURES=record` sends every request to GitHub and saves each request and response, in order.
+ * - `GRAPHQL_FIXTURES=replay` serves the saved responses without contacting GitHub, failing any request that doesn't
+ *   match a recorded one with a diff of the request expected.
+ *
+ * Fixtures save to `.github/workflows/tests/fixtures`, named by `GRAPHQL_FIXTURES_NAME` or, by default, the event and
+ * action that triggered the run (e.g., `issues-assigned.json`).
+ *
+ * @see {@link https://github.com/actions/github-script}
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ *
+ * @class @extends WorkflowAbstract
+ */
+module.exports = class GraphQLFixtures extends WorkflowAbstract {
+  /**
+   * The fixture modes.
+   *
+   * @public @static @constant @enum @type {Object<String, String>}
+   */
+  static MODE = {
+    OFF: "off",
+    RECORD: "record",
+    REPLAY: "replay",
+  };
+
+  /**
+   * The directory fixtures save to.
+   *
+   * @public @static @constant @type {String}
+   */
+  static DIRECTORY = path.join(__dirname, "..", "..", "tests", "fixtures");
+
+  /**
+   * Variables, and response fields, that change on every run, such as client mutation IDs, so are left out of
+   * recordings and matching.
+   *
+   * @public @static @constant @type {String[]}
+   */
+  static VOLATILE_VARIABLES = ["clientID", "clientMutationId"];
+
+  /**
+   * The path to the fixture file.
+   *
+   * @public @readonly @type {String}
+   */
+  file;
+
+  /**
+   * The recorded requests, each with its `query`, `variables`, and either a `response` or an `error`.
+   *
+   * @public @readonly @type {Object[]}
+   */
+  entries = [];
+
+  /**
+   * The recorded requests already replayed.
+   *
+   * @protected @type {Set<Object>}
+   */
+  _replayed = new Set();
+
+  /**
+   * Create a set of GraphQL fixtures.
+   *
+   * @param {String} name - the name of the fixture file, with or without its `.json` extension, or a path to it
+   *
+   * @public @constructor
+   */
+  constructor(name) {
+    super(name);
+
+    this._debugCall("constructor", arguments);
+
+    const file = name.endsWith(".json") ? name : `${name}.json`;
+
+    this.file = path.isAbsolute(file) || file.includes(path.sep) ? file : path.join(GraphQLFixtures.DIRECTORY, file);
+  }
+
+  /**
+   * Swap `ActionContext.github` for a recording or replaying client, as configured.
+   *
+   * @param {String} [mode=process.env.GRAPHQL_FIXTURES] - the fixture mode, from {@link GraphQLFixtures.MODE}
+   * @param {String} [name=process.env.GRAPHQL_FIXTURES_NAME] - the name of the fixture file, defaulting to the event
+   *   and action that triggered the run
+   *
+   * @returns {GraphQLFixtures|undefined} the installed fixtures, or `undefined` if off
+   *
+   * @throws {TypeError} if the mode isn't supported
+   *
+   * @public @static
+   */
+  static install(mode = undefined, name = undefined) {
+    const logger = new EnhancedCore(`${this.name}[CLASS]`);
+
+    this._debugStaticCall(this.name, "install", arguments, false, logger);
+
+    mode = (mode ? mode : process.env.GRAPHQL_FIXTURES || this.MODE.OFF).toLowerCase();
+    name = name ? name : process.env.GRAPHQL_FIXTURES_NAME || this._getDefaultName();
+
+    if (mode === this.MODE.OFF) {
+      return undefined;
+    }
+
+    const fixtures = new GraphQLFixtures(name);
+
+    switch (mode) {
+      case this.MODE.RECORD:
+        logger.notice(`Recording GitHub GraphQL API traffic to \`${fixtures.file}\`.`);
+        ActionContext.github = fixtures.record(ActionContext.github);
+        return fixtures;
+
+      case this.MODE.REPLAY:
+        logger.notice(`Replaying GitHub GraphQL API traffic from \`${fixtures.file}\`; GitHub won't be contacted.`);
+        ActionContext.github = fixtures.replay();
+        return fixtures;
+    }
+
+    throw new TypeError(`Unsupported GraphQL fixture mode: \`${mode}\``);
+  }
+
+  /**
+   * Return the default fixture name for this run, from the event and action that triggered it.
+   *
+   * @returns {String}
+   *
+   * @protected @static
+   */
+  static _getDefaultName() {
+    const context = ActionContext.context ? ActionContext.context : {};
+    const event = context.eventName ? context.eventName : "default";
+    const action = context.payload && context.payload.action ? `-${context.payload.action}` : "";
+
+    return `${event}${action}`;
+  }
+
+  // Recording ---------------------------------------------------------------------------------------------------------
+
+  /**
+   * Wrap a GitHub client so every GraphQL request sends as usual, and saves with its response to the fixture file.
+   *
+   * Recording starts a new fixture file, replacing any already recorded.
+   *
+   * @param {Object} github - the client to record, such as the Octokit client from `actions/github-script`
+   *
+   * @returns {Object} a client that records each call to `graphql`
+   *
+   * @public
+   */
+  record(github) {
+    this._debugCall("record", { github: "..." });
+
+    this.entries = [];
+    this._save();
+
+    const graphql = async (query, variables = {}) => {
+      const entry = { query: GraphQLFixtures.normalize(query), variables: GraphQLFixtures.mask(variables) };
+
+      this.entries.push(entry);
+
+      try {
+        const response = await github.graphql(query, variables);
+
+        entry.response = GraphQLFixtures.mask(response);
+        return response;
+      } catch (error) {
+        entry.error = GraphQLFixtures._serializeError(error);
+        throw error;
+      } finally {
+        this._save();
+      }
+    };
+
+    return Object.assign(Object.create(github), { graphql: graphql });
+  }
+
+  /**
+   * Write the recorded requests to the fixture file.
+   *
+   * @protected
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, `${JSON.stringify({ requests: this.entries }, null, 2)}\n`);
+  }
+
+  /**
+   * Copy the details of an error that the GitHub client uses to describe a failed call.
+   *
+   * @param {Error} error - the error to copy
+   *
+   * @returns {Object<String, *>}
+   *
+   * @protected @static
+   */
+  static _serializeError(error) {
+    const status = error.status ? error.status : error.response ? error.response.status : undefined;
+    const headers = error.response ? error.response.headers : error.headers;
+
+    return {
+      name: error.name,
+      message: error.message,
+      status: status,
+      headers: headers,
+      errors: error.errors,
+      data: error.data,
+    };
+  }
+
+  // Replaying ---------------------------------------------------------------------------------------------------------
+
+  /**
+   * Create a client that serves the fixture file's recorded responses in place of GitHub.
+   *
+   * Each request replays the first recorded request, not yet replayed, with the same query and variables. Recorded
+   * errors throw as the GitHub client would.
+   *
+   * @returns {Object} a client with a `graphql` method that replays recorded responses
+   *
+   * @throws {FixtureNotFoundError} if the fixture file doesn't exist
+   *
+   * @public
+   */
+  replay() {
+    this._debugCall("replay", arguments);
+
+    if (!fs.existsSync(this.file)) {
+      throw new FixtureNotFoundError(
+        `GraphQL fixture file \`${this.file}\` doesn't exist; record it first with \`GRAPHQL_FIXTURES=record\`.`,
+      );
+    }
+
+    this.entries = JSON.parse(fs.readFileSync(this.file, "utf8")).requests;
+    this._replayed = new Set();
+
+    return {
+      graphql: async (query, variables = {}) => {
+        const entry = this.find(query, variables);
+
+        this._replayed.add(entry);
+        this._eCore.verbose(`Replaying recorded response ${this.entries.indexOf(entry) + 1}.`);
+
+        if (entry.error) {
+          throw GraphQLFixtures._deserializeError(entry.error);
+        }
+
+        return JSON.parse(JSON.stringify(entry.response));
+      },
+    };
+  }
+
+  /**
+   * Return the first recorded request, not yet replayed, that matches the given request.
+   *
+   * @param {String} query - the GraphQL query or mutation requested
+   * @param {Object<String, *>} [variables={}] - the variables requested
+   *
+   * @returns {Object} the recorded request
+   *
+   * @throws {FixtureNotFoundError} if no recorded request matches, with a diff against the next expected request
+   *
+   * @public
+   */
+  find(query, variables = {}) {
+    const normalized = GraphQLFixtures.normalize(query);
+    const masked = JSON.stringify(GraphQLFixtures.mask(variables));
+    const pending = this.entries.filter((entry) => !this._replayed.has(entry));
+
+    const found = pending.find((entry) => {
+      return entry.query.join("\n") === normalized.join("\n") && JSON.stringify(entry.variables) === masked;
+    });
+
+    if (found) {
+      return found;
+    }
+
+    const name = GraphQLFixtures._getOperationName(normalized);
+
+    if (pending.length <= 0) {
+      throw new FixtureNotFoundError(
+        `No recorded GraphQL request left to replay for \`${name}\` in \`${this.file}\`; re-record the fixture.`,
+        GraphQLFixtures.diff(
+          [],
+          [...normalized, ...JSON.stringify(GraphQLFixtures.mask(variables), null, 2).split("\n")],
+        ),
+      );
+    }
+
+    // Compare with the recorded request of the same name, if any, or otherwise the next one expected
+    const expected = pending.find((entry) => GraphQLFixtures._getOperationName(entry.query) === name) || pending[0];
+
+    throw new FixtureNotFoundError(
+      `No recorded GraphQL request matches \`${name}\` in \`${this.file}\`; expected (-) versus requested (+):`,
+      GraphQLFixtures.diff(
+        [...expected.query, ...JSON.stringify(expected.variables, null, 2).split("\n")],
+        [...normalized, ...JSON.stringify(GraphQLFixtures.mask(variables), null, 2).split("\n")],
+      ),
+    );
+  }
+
+  /**
+   * Return the recorded requests not yet replayed.
+   *
+   * @returns {Object[]}
+   *
+   * @public
+   */
+  getUnreplayed() {
+    return this.entries.filter((entry) => !this._replayed.has(entry));
+  }
+
+  /**
+   * Rebuild an error recorded from the GitHub client, so it translates as the original did.
+   *
+   * @param {Object<String, *>} details - the recorded error details
+   *
+   * @returns {Error}
+   *
+   * @protected @static
+   */
+  static _deserializeError(details) {
+    const error = new Error(details.message);
+
+    error.name = details.name ? details.name : error.name;
+    error.status = details.status;
+    error.headers = details.headers;
+    error.errors = details.errors;
+    error.data = details.data;
+
+    if (details.status) {
+      error.response = { status: details.status, headers: details.headers ? details.headers : {} };
+    }
+
+    return error;
+  }
+
+  // Normalizing -------------------------------------------------------------------------------------------------------
+
+  /**
+   * Normalize a GraphQL query into trimmed, non-empty lines, so indentation changes don't affect matching.
+   *
+   * @param {String|String[]} query - the GraphQL query, or its normalized lines
+   *
+   * @returns {String[]} the normalized lines
+   *
+   * @public @static
+   */
+  static normalize(query) {
+    return (Array.isArray(query) ? query : query.split("\n"))
+      .map((line) => line.trim().replace(/\s+/g, " "))
+      .filter((line) => line.length > 0);
+  }
+
+  /**
+   * Replace the values of volatile variables, at any depth, with a placeholder.
+   *
+   * @see GraphQLFixtures.VOLATILE_VARIABLES
+   *
+   * @param {*} value - the variables, or a value within them
+   *
+   * @returns {*} a copy of the value with its volatile variables masked
+   *
+   * @public @static
+   */
+  static mask(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => GraphQLFixtures.mask(item));
+    }
+
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+
+    let masked = {};
+
+    for (const [key, item] of Object.entries(value)) {
+      masked[key] = GraphQLFixtures.VOLATILE_VARIABLES.includes(key) ? "[volatile]" : GraphQLFixtures.mask(item);
+    }
+
+    return masked;
+  }
+
+  /**
+   * Return the name of the operation in a normalized query.
+   *
+   * @param {String[]} lines - the normalized query
+   *
+   * @returns {String} the operation name, or `(anonymous)`
+   *
+   * @protected @static
+   */
+  static _getOperationName(lines) {
+    const match = /^(?:query|mutation|subscription)\s+(\w+)/.exec(lines.join(" "));
+
+    return match ? match[1] : "(anonymous)";
+  }
+
+  /**
+   * Return a line diff between two sets of lines, with removed lines prefixed `-` and added lines prefixed `+`.
+   *
+   * @param {String[]} expected - the expected lines
+   * @param {String[]} actual - the actual lines
+   *
+   * @returns {String}
+   *
+   * @public @static
+   */
+  static diff(expected, actual) {
+    // Find the longest common subsequence of lines, then walk it to mark each line kept, removed, or added
+    const lengths = Array.from({ length: expected.length + 1 }, () => new Array(actual.length + 1).fill(0));
+
+    for (let i = expected.length - 1; i >= 0; i--) {
+      for (let j = actual.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          expected[i] === actual[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let output = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < expected.length || j < actual.length) {
+      if (i < expected.length && j < actual.length && expected[i] === actual[j]) {
+        output.push(`  ${expected[i++]}`);
+        j++;
+      } else if (i < expected.length && (j >= actual.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        output.push(`- ${expected[i++]}`);
+      } else {
+        output.push(`+ ${actual[j++]}`);
+      }
+    }
+
+    return output.join("\n");
+  }
+};
@@ -0,0 +1,73 @@
+const setup = require("../setup");
+
+const FakeGitHub = require("../../../src/Testing/FakeGitHub");
+const OnIssues = require("../../../src/Automation/OnIssues");
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+
+/**
+ * Runs the `issues` event handlers end-to-end against {@link FakeGitHub}.
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+describe("OnIssues", () => {
+  let github;
+  let repository;
+
+  beforeEach(() => {
+    github = new FakeGitHub();
+    repository = github.addRepository("octocat", "hello-world");
+
+    github.addLabel(repository, "Help Wanted");
+  });
+
+  describe("handleUserAssigned", () => {
+    test("removes the `Help Wanted` Label from the assigned Issue", async () => {
+      const issue = github.addIssue(repository, {
+        title: "Broken build",
+        labels: ["Help Wanted", "Needs Triage"],
+        assignees: ["hubot"],
+      });
+
+      setup.init(github, github.getContext(issue, "assigned"));
+
+      await new OnIssues().handleUserAssigned();
+
+      assert.deepEqual(
+        issue.labels.map((label) => label.name),
+        ["Needs Triage"],
+      );
+      assert.deepEqual(
+        issue.assignees.map((user) => user.login),
+        ["hubot"],
+      );
+      assert.deepEqual(issue.comments, []);
+      assert.equal(issue.state, "OPEN");
+      assert.deepEqual(
+        github.mutations.map((mutation) => mutation.name),
+        ["removeLabelsFromLabelable"],
+      );
+      assert.deepEqual(github.mutations[0].input.labelIds, [github.getLabel(repository, "Help Wanted").id]);
+    });
+
+    test("keeps the other Labels of an assigned Issue without `Help Wanted`", async () => {
+      const issue = github.addIssue(repository, {
+        title: "Broken build",
+        labels: ["Needs Triage"],
+        assignees: ["hubot"],
+      });
+
+      setup.init(github, github.getContext(issue, "assigned"));
+
+      await new OnIssues().handleUserAssigned();
+
+      assert.deepEqual(
+        issue.labels.map((label) => label.name),
+        ["Needs Triage"],
+      );
+      assert.deepEqual(issue.comments, []);
+      assert.equal(issue.state, "OPEN");
+    });
+  });
+});
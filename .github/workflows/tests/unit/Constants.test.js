@@ -0,0 +1,50 @@
+const setup = require("./setup");
+
+const Constants = require("../../src/Constants");
+const FakeGitHub = require("../../src/Testing/FakeGitHub");
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+/**
+ * Checks the links built from the Repository the automation runs in, against {@link FakeGitHub}.
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+describe("Constants", () => {
+  /**
+   * Point `ActionContext` at a new Repository.
+   *
+   * @param {Object<String, *>} [fields={}] - any other fields of the Repository
+   *
+   * @returns {Object<String, *>} the Repository
+   */
+  function initRepository(fields = {}) {
+    const github = new FakeGitHub();
+    const repository = github.addRepository("octocat", "hello-world", fields);
+
+    setup.init(github, { repo: { owner: "octocat", repo: "hello-world" } });
+
+    return repository;
+  }
+
+  describe("URL", () => {
+    test("links to the contributing guidelines on the default branch", async () => {
+      initRepository().defaultBranchRef().name = "trunk";
+
+      assert.equal(
+        (await Constants.URL).CONTRIBUTING,
+        "https://github.com/octocat/hello-world/blob/trunk/.github/CONTRIBUTING.md",
+      );
+    });
+
+    test("links to the contributing guidelines on `HEAD` without a default branch", async () => {
+      initRepository({ isEmpty: true });
+
+      assert.equal(
+        (await Constants.URL).CONTRIBUTING,
+        "https://github.com/octocat/hello-world/blob/HEAD/.github/CONTRIBUTING.md",
+      );
+    });
+  });
+});
@@ -0,0 +1,57 @@
+require("./setup");
+
+const EnhancedCore = require("../../src/EnhancedCore");
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+/**
+ * Checks the formatting of logged messages.
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+describe("EnhancedCore", () => {
+  describe("_format", () => {
+    /**
+     * Format a message and parse it back, without the logger name and timestamp appended to the last line.
+     *
+     * @param {*} message - the message to format
+     *
+     * @returns {*} the parsed message
+     */
+    function formatAndParse(message) {
+      const lines = new EnhancedCore("Test")._format(message).map((line) => line.replace(/\x1b\[[0-9;]*m/g, ""));
+
+      lines[lines.length - 1] = lines[lines.length - 1].replace(/ \(Test @ .*\)$/, "");
+
+      return JSON.parse(lines.join("\n"));
+    }
+
+    test("marks an object that contains itself", () => {
+      const issue = { number: 1 };
+
+      issue.self = issue;
+
+      assert.deepEqual(formatAndParse(issue), { number: 1, self: "[Circular]" });
+    });
+
+    test("marks an object contained by its own descendant", () => {
+      const issue = { number: 1, labels: [] };
+
+      issue.labels.push({ name: "bug", issue: issue });
+
+      assert.deepEqual(formatAndParse(issue), { number: 1, labels: [{ name: "bug", issue: "[Circular]" }] });
+    });
+
+    test("shows an object in full each time it repeats outside of a cycle", () => {
+      const label = { name: "bug" };
+      const user = { login: "octocat" };
+
+      assert.deepEqual(formatAndParse({ labels: [label, label], assignees: [user], author: user }), {
+        labels: [{ name: "bug" }, { name: "bug" }],
+        assignees: [{ login: "octocat" }],
+        author: { login: "octocat" },
+      });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const setup = require("../setup");
+
+const GraphQLBatcher = require("../../../src/GitHub/GraphQLBatcher");
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+
+/**
+ * Checks which queries combine into a single request, and how each is rewritten to share it.
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+describe("GraphQLBatcher", () => {
+  describe("load", () => {
+    let requests;
+
+    beforeEach(() => {
+      requests = [];
+
+      // Answers each `viewer` and `search` field, under its alias when it has one
+      setup.init({
+        graphql: async (query, variables) => {
+          requests.push({ query, variables });
+
+          let data = {};
+
+          for (const [, alias, name] of query.matchAll(/(?:(\w+):\s*)?\b(viewer|search)\b(?=\s*[({@])/g)) {
+            data[alias ? alias : name] = name === "viewer" ? { login: "octocat" } : { issueCount: 5 };
+          }
+
+          return data;
+        },
+      });
+    });
+
+    test("sends queries made in the same tick as a single request", async () => {
+      const responses = await Promise.all([
+        GraphQLBatcher.load("query GetViewer { viewer { login } }"),
+        GraphQLBatcher.load(
+          'query Search($first: Int!) { search(query: "price $5", type: ISSUE, first: $first) { issueCount } }',
+          {
+            first: 1,
+          },
+        ),
+      ]);
+
+      assert.deepEqual(responses, [{ viewer: { login: "octocat" } }, { search: { issueCount: 5 } }]);
+      assert.equal(requests.length, 1);
+      assert.match(requests[0].query, /q1_search: search\(query: "price \$5", type: ISSUE, first: \$q1_first\)/);
+      assert.deepEqual(requests[0].variables, { q1_first: 1 });
+    });
+
+    test("sends a query with a top-level directive on its own", async () => {
+      const responses = await Promise.all([
+        GraphQLBatcher.load("query GetViewer { viewer { login } }"),
+        GraphQLBatcher.load("query GetViewer($load: Boolean!) { viewer @include(if: $load) { login } }", {
+          load: true,
+        }),
+      ]);
+
+      assert.deepEqual(responses, [{ viewer: { login: "octocat" } }, { viewer: { login: "octocat" } }]);
+      assert.equal(requests.length, 2);
+      assert.match(
+        requests[0].query,
+        /^query GetViewer\(\$load: Boolean!\) \{ viewer @include\(if: \$load\) \{ login \}/,
+      );
+    });
+  });
+
+  describe("_parse", () => {
+    test("splits a query into its variable definitions and selection set", () => {
+      assert.deepEqual(GraphQLBatcher._parse("query GetIssue($number: Int!) { issue(number: $number) { id } }"), {
+        definitions: "$number: Int!",
+        selection: " issue(number: $number) { id } ",
+      });
+    });
+
+    test("doesn't combine a query with a top-level directive", () => {
+      assert.equal(
+        GraphQLBatcher._parse("query GetViewer($load: Boolean!) { viewer @include(if: $load) { login } }"),
+        undefined,
+      );
+      assert.equal(GraphQLBatcher._parse("query GetViewer @cached { viewer { login } }"), undefined);
+    });
+
+    test("doesn't combine a query with a top-level inline fragment", () => {
+      assert.equal(GraphQLBatcher._parse("query GetViewer { ... on Query { viewer { login } } }"), undefined);
+    });
+
+    test("doesn't combine a query with named fragments", () => {
+      assert.equal(
+        GraphQLBatcher._parse("query GetViewer { viewer { ...Login } } fragment Login on User { login }"),
+        undefined,
+      );
+    });
+
+    test("combines a query with directives and inline fragments below the top level", () => {
+      assert.ok(
+        GraphQLBatcher._parse('query GetNode { node(id: "I_1") { ... on Issue { title @include(if: true) } } }'),
+      );
+    });
+
+    test("doesn't combine mutations or invalid queries", () => {
+      assert.equal(
+        GraphQLBatcher._parse('mutation Close { closeIssue(input: { issueId: "I_1" }) { clientMutationId } }'),
+        undefined,
+      );
+      assert.equal(GraphQLBatcher._parse("query GetViewer { viewer { login }"), undefined);
+    });
+  });
+
+  describe("_prefixVariables", () => {
+    test("prefixes each variable definition and reference", () => {
+      assert.equal(
+        GraphQLBatcher._prefixVariables("issue(number: $number) { labels(first: $first) { totalCount } }", "q0_"),
+        "issue(number: $q0_number) { labels(first: $q0_first) { totalCount } }",
+      );
+    });
+
+    test("leaves strings, block strings, and comments as they are", () => {
+      const selection = [
+        'search(query: "price $5 \\"or $6\\"", first: $first) { issueCount }',
+        'search(query: """cost: $7""", first: $first) { issueCount } # up to $first',
+      ].join("\n");
+
+      assert.equal(
+        GraphQLBatcher._prefixVariables(selection, "q0_"),
+        [
+          'search(query: "price $5 \\"or $6\\"", first: $q0_first) { issueCount }',
+          'search(query: """cost: $7""", first: $q0_first) { issueCount } # up to $first',
+        ].join("\n"),
+      );
+    });
+  });
+
+  describe("_prefixFields", () => {
+    test("aliases each top-level field, keeping its response key", () => {
+      assert.deepEqual(
+        GraphQLBatcher._prefixFields(' viewer { login } open: search(query: "is:open") { issueCount } ', "q0_"),
+        {
+          selection: ' q0_viewer: viewer { login } q0_open: search(query: "is:open") { issueCount } ',
+          keys: ["viewer", "open"],
+        },
+      );
+    });
+
+    test("doesn't mistake the contents of strings and comments for fields", () => {
+      const selection = ' search(query: "a \\" } b") { issueCount } # viewer {\n viewer { login } ';
+
+      assert.deepEqual(GraphQLBatcher._prefixFields(selection, "q0_"), {
+        selection: ' q0_search: search(query: "a \\" } b") { issueCount } # viewer {\n q0_viewer: viewer { login } ',
+        keys: ["search", "viewer"],
+      });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const setup = require("../setup");
+
+const FakeGitHub = require("../../../src/Testing/FakeGitHub");
+const GraphQLAbstract = require("../../../src/GitHub/GraphQLAbstract");
+const Issue = require("../../../src/GitHub/Issue");
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+
+/**
+ * Checks Issues against {@link FakeGitHub}.
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+describe("Issue", () => {
+  let github;
+  let issue;
+
+  beforeEach(() => {
+    github = new FakeGitHub();
+    issue = github.addIssue(github.addRepository("octocat", "hello-world"), { title: "Broken build" });
+
+    github.addLabel(issue.repository, "triage");
+    github.addRepository("octocat", "spoon-knife");
+
+    setup.init(github, github.getContext(issue));
+  });
+
+  describe("close", () => {
+    test("closes an Issue as a duplicate of another, by its number", async () => {
+      const original = github.addIssue(github.getRepository("octocat", "hello-world"), { title: "Build fails" });
+
+      await new Issue(issue.number).close({ reason: "DUPLICATE", duplicateOf: original.number });
+
+      assert.equal(issue.state, "CLOSED");
+      assert.equal(issue.stateReason, "DUPLICATE");
+      assert.equal(github.mutations[0].input.duplicateIssueId, original.id);
+    });
+  });
+
+  describe("open", () => {
+    test("adds the opened Issue to each ProjectV2 separately", async () => {
+      const project = github.addProject("octocat", { title: "Roadmap" });
+
+      const opened = await Issue.open({ title: "Triage digest", labels: ["triage"], projects: [project.number] });
+      const created = github.getIssue(issue.repository, opened.number);
+
+      assert.equal(created.title, "Triage digest");
+      assert.deepEqual(
+        created.projectsV2().map((project) => project.title),
+        ["Roadmap"],
+      );
+      assert.deepEqual(
+        github.mutations.map((mutation) => mutation.name),
+        ["createIssue", "addProjectV2ItemById"],
+      );
+      assert.ok(!("projectIds" in github.mutations[0].input));
+    });
+
+    test("adds the opened Issue to a Milestone by its number", async () => {
+      const milestone = github.addMilestone(issue.repository, "v1.0");
+
+      const opened = await Issue.open({ title: "Triage digest", milestone: milestone.number });
+
+      assert.equal(await (await opened.milestone).title, "v1.0");
+    });
+  });
+
+  describe("transferTo", () => {
+    test("forgets the old Issue by its number and node ID", async () => {
+      const old = new Issue(issue.number);
+      const nodeID = await old.id;
+
+      const transferred = await old.transferTo("spoon-knife");
+
+      assert.equal(await transferred.title, "Broken build");
+      assert.equal(transferred.repository.name, "spoon-knife");
+      assert.notEqual(new Issue(issue.number, "hello-world"), old);
+      assert.equal(GraphQLAbstract._identities.get(`node:${nodeID}`), transferred);
+      assert.ok(![...GraphQLAbstract._identities.values()].includes(old));
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const setup = require("../setup");
+
+const FakeGitHub = require("../../../src/Testing/FakeGitHub");
+const Label = require("../../../src/GitHub/Label");
+const Issue = require("../../../src/GitHub/Issue");
+const LabelManifest = require("../../../src/LabelManifest");
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+
+/**
+ * Checks Labels against {@link FakeGitHub}.
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+describe("Label", () => {
+  beforeEach(() => {
+    const github = new FakeGitHub();
+    const repository = github.addRepository("octocat", "hello-world");
+
+    github.addLabel(repository, "Bug", { color: "d73a4a", description: "Something isn't working" });
+    github.addIssue(repository, { labels: ["Bug"] });
+
+    setup.init(github, { repo: { owner: "octocat", repo: "hello-world" } });
+  });
+
+  describe("name", () => {
+    test("takes the name GitHub returns when loaded", async () => {
+      const label = new Label("bug");
+
+      assert.equal(await label.color, "d73a4a");
+      assert.equal(label.name, "Bug");
+    });
+
+    test("takes the name GitHub returns when listed after construction", async () => {
+      const label = new Label("bug");
+      let listed = [];
+
+      for await (const item of new Issue(1).labels) {
+        listed.push(item);
+      }
+
+      assert.equal(listed[0], label);
+      assert.equal(label.name, "Bug");
+    });
+
+    test("doesn't plan a rename for a name constructed in another case", async () => {
+      new Label("bug");
+
+      const changes = await new LabelManifest([
+        { name: "Bug", color: "d73a4a", description: "Something isn't working" },
+      ]).plan();
+
+      assert.deepEqual(changes, []);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const setup = require("../setup");
+
+const GraphQLAbstract = require("../../../src/GitHub/GraphQLAbstract");
+const SchemaValidator = require("../../../src/GraphQL/SchemaValidator");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { before, describe, test } = require("node:test");
+
+/**
+ * Checks every model, and the documents it sends, against the vendored GitHub schema, so schema drift fails here rather
+ * than on GitHub.
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+const MODELS = path.join(__dirname, "..", "..", "..", "src", "GitHub");
+
+// The arguments that identify an instance of each model, for those that take any
+const ARGUMENTS = {
+  Actor: ["octocat"],
+  Bot: ["dependabot"],
+  Issue: [1],
+  Label: ["bug"],
+  Milestone: [1],
+  ProjectV2: [1],
+  PullRequest: [1],
+  User: ["octocat"],
+};
+
+// Abstract classes share fields and queries with their subclasses, but have no GraphQL type of their own
+const models = fs
+  .readdirSync(MODELS)
+  .map((file) => require(path.join(MODELS, file)))
+  .filter((cls) => cls.prototype instanceof GraphQLAbstract && !cls.name.endsWith("Abstract"));
+
+describe("SchemaValidator", () => {
+  let validator;
+
+  before(() => {
+    setup.init(undefined, { repo: { owner: "octocat", repo: "hello-world" } });
+
+    validator = new SchemaValidator();
+  });
+
+  test("finds the models to validate", () => {
+    assert.ok(models.length > 0);
+  });
+
+  for (const cls of models) {
+    describe(cls.name, () => {
+      test("declares fields matching the schema", () => {
+        assert.deepEqual(validator.validateFields(cls._getGraphQLType(), cls._fields), []);
+      });
+
+      test("sends documents valid against the schema", async () => {
+        const args = ARGUMENTS[cls.name] ? ARGUMENTS[cls.name] : [];
+
+        assert.deepEqual(await validator.validateModel(new cls(...args)), []);
+      });
+    });
+  }
+});
@@ -0,0 +1,106 @@
+const setup = require("../setup");
+
+const FakeGitHub = require("../../../src/Testing/FakeGitHub");
+const Issue = require("../../../src/GitHub/Issue");
+const assert = require("node:assert/strict");
+const { beforeEach, describe, test } = require("node:test");
+
+/**
+ * Checks that {@link FakeGitHub} answers the queries, and applies the mutations, the models send.
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+describe("FakeGitHub", () => {
+  let github;
+  let issue;
+
+  beforeEach(() => {
+    github = new FakeGitHub();
+    github.addUser("hubot");
+
+    issue = github.addIssue(github.addRepository("octocat", "hello-world"), {
+      title: "Broken build",
+      labels: ["Help Wanted", "Needs Triage"],
+    });
+
+    setup.init(github, github.getContext(issue));
+  });
+
+  test("answers the queries an Issue loads with", async () => {
+    const model = new Issue(issue.number);
+    let labels = [];
+
+    for await (const label of model.labels) {
+      labels.push(label.name);
+    }
+
+    assert.equal(await model.title, "Broken build");
+    assert.equal(await model.state, "OPEN");
+    assert.deepEqual(labels, ["Help Wanted", "Needs Triage"]);
+  });
+
+  test("applies the mutations an Issue sends", async () => {
+    const model = new Issue(issue.number);
+
+    await model.removeLabels(["Help Wanted"]);
+    await model.addAssignees(["hubot"]);
+    await model.addComment("Taking a look.");
+
+    assert.deepEqual(
+      issue.labels.map((label) => label.name),
+      ["Needs Triage"],
+    );
+    assert.deepEqual(
+      issue.assignees.map((user) => user.login),
+      ["hubot"],
+    );
+    assert.deepEqual(
+      issue.comments.map((comment) => comment.body),
+      ["Taking a look."],
+    );
+    assert.deepEqual(
+      github.mutations.map((mutation) => mutation.name),
+      ["removeLabelsFromLabelable", "addAssigneesToAssignable", "addComment"],
+    );
+  });
+
+  test("closes and reopens an Issue", async () => {
+    const model = new Issue(issue.number);
+
+    await model.close({ reason: "NOT_PLANNED" });
+
+    assert.equal(issue.state, "CLOSED");
+    assert.equal(issue.stateReason, "NOT_PLANNED");
+
+    await model.reopen();
+
+    assert.equal(issue.state, "OPEN");
+    assert.deepEqual(
+      github.mutations.map((mutation) => mutation.name),
+      ["closeIssue", "reopenIssue"],
+    );
+  });
+
+  test("fails to open an Issue in a ProjectV2 by `projectIds`, which only takes classic Projects", async () => {
+    const project = github.addProject("octocat", { title: "Roadmap" });
+
+    await assert.rejects(
+      github.graphql(
+        `mutation CreateIssue($repositoryID: ID!, $projectIDs: [ID!]) {
+          createIssue(input: { repositoryId: $repositoryID, title: "Triage digest", projectIds: $projectIDs }) {
+            issue { number }
+          }
+        }`,
+        { repositoryID: issue.repository.id, projectIDs: [project.id] },
+      ),
+      { message: new RegExp(`Could not resolve to a node with the global id of '${project.id}'`) },
+    );
+
+    assert.equal(issue.repository.issues.length, 1);
+  });
+
+  test("fails a query for an Issue that doesn't exist", async () => {
+    await assert.rejects(new Issue(404).title, { name: "NotFoundError" });
+  });
+});
@@ -0,0 +1,129 @@
+const setup = require("../setup");
+
+const FixtureNotFoundError = require("../../../src/Errors/FixtureNotFoundError");
+const GraphQLResponseError = require("../../../src/Errors/GraphQLResponseError");
+const GraphQLFixtures = require("../../../src/Testing/GraphQLFixtures");
+const Issue = require("../../../src/GitHub/Issue");
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+
+/**
+ * Replays the `issue-comment` fixture, recorded from commenting on an Issue against a client that answers as GitHub
+ * would.
+ *
+ * To record the fixture again, such as after changing the queries `Issue` sends, run this test with
+ * `GRAPHQL_FIXTURES=record`.
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+const FIXTURE = "issue-comment";
+
+const CONTEXT = { repo: { owner: "octocat", repo: "hello-world" } };
+
+/**
+ * Load Issue #1 and comment on it.
+ *
+ * @param {String} [comment="Taking a look."] - the comment to add
+ *
+ * @returns {String} the title of the Issue
+ */
+async function commentOnIssue(comment = "Taking a look.") {
+  const issue = new Issue(1);
+  const title = await issue.title;
+
+  await issue.addComment(comment);
+
+  return title;
+}
+
+/**
+ * Point `ActionContext` at a client that fails every request, so only fixtures answer them.
+ */
+function initOffline() {
+  setup.init(
+    {
+      graphql: async () => {
+        throw new Error("Unexpected request to GitHub while replaying fixtures.");
+      },
+    },
+    CONTEXT,
+  );
+}
+
+describe("GraphQLFixtures", () => {
+  before(async () => {
+    if (process.env.GRAPHQL_FIXTURES !== GraphQLFixtures.MODE.RECORD) {
+      return;
+    }
+
+    setup.init(
+      {
+        graphql: async (query, variables) => {
+          if (/^\s*query GetIssueByNumber\b/.test(query)) {
+            return { repository: { issue: { id: "I_1", number: variables.number, title: "Broken build" } } };
+          }
+
+          const issue = { number: 1, repository: { name: "hello-world", owner: { login: "octocat" } } };
+
+          return {
+            addComment: {
+              clientMutationId: variables.clientID,
+              commentEdge: { node: { id: "IC_1", body: variables.comment, issue: issue } },
+            },
+          };
+        },
+      },
+      CONTEXT,
+    );
+
+    GraphQLFixtures.install(GraphQLFixtures.MODE.RECORD, FIXTURE);
+
+    await commentOnIssue();
+  });
+
+  test("replays a recorded run without contacting GitHub", async () => {
+    initOffline();
+
+    const fixtures = GraphQLFixtures.install(GraphQLFixtures.MODE.REPLAY, FIXTURE);
+
+    assert.equal(await commentOnIssue(), "Broken build");
+    assert.deepEqual(fixtures.getUnreplayed(), []);
+  });
+
+  test("fails a request without a recorded match, with a diff against the request expected", async () => {
+    initOffline();
+
+    GraphQLFixtures.install(GraphQLFixtures.MODE.REPLAY, FIXTURE);
+
+    // The client reports the failed request as it would any other, keeping the fixture's error as its cause
+    await assert.rejects(commentOnIssue("Closing as a duplicate."), (error) => {
+      assert.ok(error instanceof GraphQLResponseError);
+      assert.ok(error.cause instanceof FixtureNotFoundError);
+      assert.match(error.cause.message, /^No recorded GraphQL request matches `AddCommentToIssue` in `.*issue-comment/);
+      assert.match(error.cause.diff, /^- {3}"comment": "Taking a look\."$/m);
+      assert.match(error.cause.diff, /^\+ {3}"comment": "Closing as a duplicate\."$/m);
+
+      return true;
+    });
+  });
+
+  test("fails a request once every recorded request has replayed", async () => {
+    initOffline();
+
+    const fixtures = GraphQLFixtures.install(GraphQLFixtures.MODE.REPLAY, FIXTURE);
+
+    await commentOnIssue();
+
+    assert.throws(() => fixtures.find("query GetViewer { viewer { login } }"), {
+      name: "FixtureNotFoundError",
+      message: /^No recorded GraphQL request left to replay for `GetViewer`/,
+    });
+  });
+
+  test("fails to replay a fixture that was never recorded", () => {
+    initOffline();
+
+    assert.throws(() => new GraphQLFixtures("missing").replay(), FixtureNotFoundError);
+  });
+});
@@ -0,0 +1,51 @@
+const ActionContext = require("../../src/ActionContext");
+
+/**
+ * Shared setup for the unit tests.
+ *
+ * `EnhancedCore` extends the `@actions/core` reference in `ActionContext` as soon as it loads, so each test requires
+ * this before anything else in `src/`. This stands in for `@actions/core` with a silent logger, as there's no workflow
+ * run to log to:
+ *
+ * ```js
+ * const setup = require("../setup");
+ * const GraphQLBatcher = require("../../../src/GitHub/GraphQLBatcher");
+ *
+ * setup.init({ graphql: async () => ({ viewer: { login: "octocat" } }) });
+ * ```
+ *
+ * @author Andrew Vaughan <hello@andrewvaughan.io>
+ * @license MIT
+ */
+const core = {
+  debug: () => {},
+  info: () => {},
+  notice: () => {},
+  warning: () => {},
+  error: () => {},
+  startGroup: () => {},
+  endGroup: () => {},
+  getInput: () => "",
+  isDebug: () => false,
+};
+
+// Some scripts, such as `Constants`, read the context of the run as they load
+const context = { serverUrl: "https://github.com", repo: { owner: "octocat", repo: "hello-world" } };
+
+ActionContext.init(undefined, context, core, {}, {}, {}, undefined);
+
+module.exports = {
+  core: core,
+
+  /**
+   * Point `ActionContext` at the given GitHub client and context, forgetting every object loaded by earlier tests.
+   *
+   * @param {Object} github - the client to send GraphQL requests through, such as a {@link FakeGitHub}
+   * @param {Object<String, *>} [context={}] - the context of the workflow run
+   */
+  init(github, context = {}) {
+    ActionContext.init(github, context, core, {}, {}, {}, undefined);
+
+    require("../../src/GitHub/GraphQLAbstract").clearIdentityMap();
+  },
+};